@@ -59,10 +59,34 @@ export const uploadVideo = async (file, folder = 'photographer-booking/videos')
   }
 };
 
+// Upload function for documents and mixed media (PDFs, screenshots).
+// Pass type 'authenticated' for files only reachable through signed URLs.
+export const uploadFile = async (file, folder = 'photographer-booking/files', { type = 'upload' } = {}) => {
+  try {
+    const result = await cloudinary.uploader.upload(file.path, {
+      folder: folder,
+      resource_type: 'auto',
+      type
+    });
+
+    return {
+      url: result.secure_url,
+      publicId: result.public_id,
+      resourceType: result.resource_type,
+      deliveryType: result.type,
+      format: result.format,
+      bytes: result.bytes
+    };
+  } catch (error) {
+    console.error('Cloudinary file upload error:', error);
+    throw new Error('Failed to upload file');
+  }
+};
+
 // Delete file function
-export const deleteFile = async (publicId) => {
+export const deleteFile = async (publicId, resourceType = 'image') => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     return result;
   } catch (error) {
     console.error('Cloudinary delete error:', error);
@@ -70,10 +94,20 @@ export const deleteFile = async (publicId) => {
   }
 };
 
+// Recover the public id (including folders) from a delivery URL
+export const getPublicIdFromUrl = (url) => {
+  const match = url.match(/\/upload\/(?:v\d+\/)?(.+)\.[^./]+$/);
+  return match ? match[1] : url.split('/').pop().split('.')[0];
+};
+
+// Authenticated assets need a signature on every derived URL
+const deliveryOptions = (type) => (type === 'authenticated' ? { type, sign_url: true } : {});
+
 // Generate thumbnail for video
-export const generateVideoThumbnail = (publicId) => {
+export const generateVideoThumbnail = (publicId, { type } = {}) => {
   return cloudinary.url(publicId, {
     resource_type: 'video',
+    ...deliveryOptions(type),
     transformation: [
       { width: 400, height: 300, crop: 'fill' },
       { format: 'jpg', quality: 'auto' }
@@ -81,4 +115,25 @@ export const generateVideoThumbnail = (publicId) => {
   });
 };
 
+// Generate thumbnail for image
+export const generateImageThumbnail = (publicId, { type } = {}) => {
+  return cloudinary.url(publicId, {
+    ...deliveryOptions(type),
+    transformation: [
+      { width: 400, height: 300, crop: 'fill' },
+      { format: 'jpg', quality: 'auto' }
+    ]
+  });
+};
+
+// Signed zip download of original files; Cloudinary archives one resource type at a time
+export const generateArchiveUrl = (publicIds, resourceType = 'image', expiresAt, type = 'upload') => {
+  return cloudinary.utils.download_zip_url({
+    public_ids: publicIds,
+    resource_type: resourceType,
+    type,
+    expires_at: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : undefined
+  });
+};
+
 export default cloudinary;
@@ -0,0 +1,29 @@
+// config/providerTypes.js
+// Every kind of bookable provider. Adding a type (e.g. drone operators or editors)
+// means adding an entry here, a profile model, and registering the model in
+// services/providerService.js; routes, roles and enums pick it up from this list.
+export const PROVIDER_TYPES = {
+  photographer: {
+    key: 'photographer',
+    modelName: 'Photographer',
+    role: 'photographer',
+    plural: 'photographers',
+    teamLabel: 'team', // what dashboards and availability call the provider's people
+    portfolioMedia: 'images', // albums of images, or a single 'video' per item
+    extensions: []
+  },
+  videographer: {
+    key: 'videographer',
+    modelName: 'Videographer',
+    role: 'videographer',
+    plural: 'videographers',
+    teamLabel: 'crew',
+    portfolioMedia: 'video',
+    extensions: ['postProduction']
+  }
+};
+
+export const PROVIDER_MODEL_NAMES = Object.values(PROVIDER_TYPES).map(type => type.modelName);
+export const PROVIDER_ROLES = Object.values(PROVIDER_TYPES).map(type => type.role);
+
+export default PROVIDER_TYPES;
@@ -1,10 +1,12 @@
 // controllers/adminController.js
 import User from '../models/User.js';
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
 import Booking from '../models/Booking.js';
 import Review from '../models/Review.js';
 import { sendEmail } from '../utils/emailService.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { getRequiredRoles, setRequiredRoles } from '../services/twoFactorService.js';
+import { canTransition, transitionBooking } from '../services/bookingStateMachine.js';
+import { getProviderType, getProviderTypeForRole, listProviderTypes } from '../services/providerService.js';
 
 export const getDashboardStats = async (req, res) => {
   try {
@@ -20,10 +22,12 @@ export const getDashboardStats = async (req, res) => {
     });
 
     // Provider statistics
-    const totalPhotographers = await Photographer.countDocuments({ isActive: true });
-    const totalVideographers = await Videographer.countDocuments({ isActive: true });
-    const pendingApprovals = await Photographer.countDocuments({ isApproved: false }) +
-                           await Videographer.countDocuments({ isApproved: false });
+    const providerStats = {};
+    let pendingApprovals = 0;
+    for (const type of listProviderTypes()) {
+      providerStats[type.plural] = await type.Model.countDocuments({ isActive: true });
+      pendingApprovals += await type.Model.countDocuments({ isApproved: false });
+    }
 
     // Booking statistics
     const totalBookings = await Booking.countDocuments();
@@ -75,8 +79,7 @@ export const getDashboardStats = async (req, res) => {
         newThisMonth: newUsersThisMonth
       },
       providers: {
-        photographers: totalPhotographers,
-        videographers: totalVideographers,
+        ...providerStats,
         pendingApprovals
       },
       bookings: {
@@ -154,10 +157,9 @@ export const getUserById = async (req, res) => {
     // Get additional data based on role
     let additionalData = {};
     
-    if (user.role === 'photographer') {
-      additionalData.profile = await Photographer.findOne({ user: id });
-    } else if (user.role === 'videographer') {
-      additionalData.profile = await Videographer.findOne({ user: id });
+    const providerType = getProviderTypeForRole(user.role);
+    if (providerType) {
+      additionalData.profile = await providerType.Model.findOne({ user: id });
     }
 
     // Get booking statistics
@@ -229,6 +231,7 @@ export const updateUserStatus = async (req, res) => {
 
     // Send notification email
     if (!isActive) {
+      await revokeAllSessions(user._id, 'revoked');
       await sendEmail({
         to: user.email,
         subject: 'Account Status Update',
@@ -252,6 +255,49 @@ export const updateUserStatus = async (req, res) => {
   }
 };
 
+// Lift a lockout from failed logins and reset the attempt count
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getSecuritySettings = async (req, res) => {
+  try {
+    res.json({ twoFactorRequiredRoles: await getRequiredRoles() });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Users in a required role without two-factor are held at the enrolment routes
+// until they set it up
+export const updateSecuritySettings = async (req, res) => {
+  try {
+    const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+    await setRequiredRoles(roles, req.user._id);
+
+    res.json({
+      message: 'Security settings updated successfully',
+      twoFactorRequiredRoles: roles
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 export const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
@@ -287,45 +333,11 @@ export const deleteUser = async (req, res) => {
   }
 };
 
-export const getAllPhotographers = async (req, res) => {
-  try {
-    const { page = 1, limit = 20, status, approved } = req.query;
-    
-    const query = {};
-    
-    if (status) {
-      query.isActive = status === 'active';
-    }
-    
-    if (approved !== undefined) {
-      query.isApproved = approved === 'true';
-    }
-
-    const photographers = await Photographer.find(query)
-      .populate('user', 'name email createdAt')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Photographer.countDocuments(query);
-
-    res.json({
-      photographers,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalResults: total
-      }
-    });
-  } catch (error) {
-    console.error('Get all photographers error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
-
-export const getAllVideographers = async (req, res) => {
+// Every profile of req.providerType, whatever its status
+export const getAllProviders = async (req, res) => {
   try {
     const { page = 1, limit = 20, status, approved } = req.query;
+    const { Model, plural } = req.providerType;
     
     const query = {};
     
@@ -337,16 +349,16 @@ export const getAllVideographers = async (req, res) => {
       query.isApproved = approved === 'true';
     }
 
-    const videographers = await Videographer.find(query)
+    const providers = await Model.find(query)
       .populate('user', 'name email createdAt')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Videographer.countDocuments(query);
+    const total = await Model.countDocuments(query);
 
     res.json({
-      videographers,
+      [plural]: providers,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -354,7 +366,7 @@ export const getAllVideographers = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get all videographers error:', error);
+    console.error(`Get all ${req.providerType.plural} error:`, error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -364,8 +376,12 @@ export const approveProvider = async (req, res) => {
     const { id, type } = req.params;
     const { approved, reason } = req.body;
 
-    const Model = type === 'photographer' ? Photographer : Videographer;
-    const provider = await Model.findByIdAndUpdate(
+    const providerType = getProviderType(type);
+    if (!providerType) {
+      return res.status(400).json({ message: 'Invalid provider type' });
+    }
+
+    const provider = await providerType.Model.findByIdAndUpdate(
       id,
       { isApproved: approved },
       { new: true }
@@ -473,29 +489,38 @@ export const updateBookingStatus = async (req, res) => {
     const { id } = req.params;
     const { status, reason } = req.body;
 
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      { 
-        status,
-        $push: {
-          communication: {
-            from: req.user._id,
-            message: reason || `Status updated to ${status} by admin`,
-            type: 'status_update'
-          }
-        }
-      },
-      { new: true }
-    ).populate('client', 'name email')
-     .populate('provider');
+    const booking = await Booking.findById(id);
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
+    const check = canTransition(booking, status, 'admin');
+    if (!check.allowed) {
+      return res.status(400).json({
+        message: check.reason,
+        allowedTransitions: check.allowedTransitions
+      });
+    }
+
+    const result = await transitionBooking(booking, status, {
+      actor: req.user,
+      role: 'admin',
+      reason: reason || `Status updated to ${status} by admin`
+    });
+
+    if (!result.allowed) {
+      return res.status(409).json({
+        message: result.reason,
+        conflicts: result.conflicts
+      });
+    }
+
     res.json({
       message: 'Booking status updated successfully',
-      booking
+      booking: await Booking.findById(id)
+        .populate('client', 'name email')
+        .populate('provider')
     });
   } catch (error) {
     console.error('Update booking status error:', error);
@@ -815,12 +840,10 @@ export const sendBulkNotification = async (req, res) => {
 
     if (recipients === 'all') {
       users = await User.find({ isActive: true });
-    } else if (recipients === 'photographers') {
-      const photographers = await Photographer.find({ isActive: true }).populate('user');
-      users = photographers.map(p => p.user);
-    } else if (recipients === 'videographers') {
-      const videographers = await Videographer.find({ isActive: true }).populate('user');
-      users = videographers.map(v => v.user);
+    } else if (listProviderTypes().some(type => type.plural === recipients)) {
+      const { Model } = listProviderTypes().find(type => type.plural === recipients);
+      const providers = await Model.find({ isActive: true }).populate('user');
+      users = providers.map(provider => provider.user);
     } else if (Array.isArray(recipients)) {
       users = await User.find({ _id: { $in: recipients } });
     }
@@ -856,28 +879,19 @@ export const manageSubscriptions = async (req, res) => {
     // This would integrate with a payment system like Stripe
     // For now, return subscription management data
     
-    const subscriptions = await Photographer.aggregate([
-      {
-        $group: {
-          _id: '$subscription.plan',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const videographerSubscriptions = await Videographer.aggregate([
-      {
-        $group: {
-          _id: '$subscription.plan',
-          count: { $sum: 1 }
+    const subscriptions = {};
+    for (const type of listProviderTypes()) {
+      subscriptions[type.plural] = await type.Model.aggregate([
+        {
+          $group: {
+            _id: '$subscription.plan',
+            count: { $sum: 1 }
+          }
         }
-      }
-    ]);
+      ]);
+    }
 
-    res.json({
-      photographers: subscriptions,
-      videographers: videographerSubscriptions
-    });
+    res.json(subscriptions);
   } catch (error) {
     console.error('Manage subscriptions error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -1,12 +1,30 @@
 // controllers/authController.js
 import User from '../models/User.js';
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
-import { generateToken } from '../middleware/auth.js';
+import Session from '../models/Session.js';
 import { validationResult } from 'express-validator';
-import { sendPasswordResetEmail } from '../utils/emailService.js';
-import jwt from 'jsonwebtoken';
+import {
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail
+} from '../utils/emailService.js';
+import { getAccessDenial } from '../middleware/auth.js';
 import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { getProviderTypeForRole } from '../services/providerService.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+} from '../services/sessionService.js';
+import {
+  findUserWithTwoFactor,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge
+} from '../services/twoFactorService.js';
 
 export const register = async (req, res) => {
   try {
@@ -33,37 +51,41 @@ export const register = async (req, res) => {
 
     await user.save();
 
-    // If registering as photographer or videographer, create profile
-    if (role === 'photographer') {
-      const photographer = new Photographer({
+    // If registering as a service provider, create their profile
+    const providerType = getProviderTypeForRole(user.role);
+    if (providerType) {
+      const profile = new providerType.Model({
         user: user._id,
         businessName,
         description,
         specializations: specializations || [],
         experience: 0
       });
-      await photographer.save();
-    } else if (role === 'videographer') {
-      const videographer = new Videographer({
-        user: user._id,
-        businessName,
-        description,
-        specializations: specializations || [],
-        experience: 0
-      });
-      await videographer.save();
+      await profile.save();
     }
 
-    const token = generateToken(user._id);
+    // A failed welcome email doesn't fail registration; the link can be resent
+    try {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendWelcomeEmail(user, verificationToken);
+    } catch (emailError) {
+      console.error('Welcome email error:', emailError);
+    }
+
+    const { token, refreshToken, refreshTokenExpires } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      refreshTokenExpires,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -72,6 +94,57 @@ export const register = async (req, res) => {
   }
 };
 
+// A wrong password or second factor counts towards the lockout. Sends the
+// response and returns it.
+const rejectLoginAttempt = async (user, res, message) => {
+  const lockUntil = await user.incLoginAttempts();
+
+  if (lockUntil) {
+    try {
+      await sendAccountLockedEmail(user, lockUntil);
+    } catch (emailError) {
+      console.error('Account locked email error:', emailError);
+    }
+
+    return res.status(423).json({
+      message: 'Account is temporarily locked after too many failed attempts',
+      lockUntil
+    });
+  }
+
+  return res.status(400).json({ message });
+};
+
+// Every check has passed: clear failed attempts and open a session
+const completeLogin = async (user, req, res, extra = {}) => {
+  if (user.loginAttempts || user.lockCount) {
+    await user.resetLoginAttempts();
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken, refreshTokenExpires } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    refreshTokenExpires,
+    ...extra,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      lastLogin: user.lastLogin
+    }
+  });
+};
+
 export const login = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -87,36 +160,88 @@ export const login = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Locked accounts aren't checked at all until the lock expires
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account is temporarily locked after too many failed attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return rejectLoginAttempt(user, res, 'Invalid credentials');
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    const denial = getAccessDenial(user);
+    if (denial) {
+      return res.status(403).json({ message: denial });
+    }
 
-    const token = generateToken(user._id);
+    // With two-factor on, the password only earns a short-lived challenge that
+    // is traded for tokens at /2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        ...createLoginChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        lastLogin: user.lastLogin
-      }
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 };
 
+// Second login step: the challenge from `login` plus an authenticator or backup code
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, backupCode } = req.body;
+
+    const userId = readLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await findUserWithTwoFactor(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account is temporarily locked after too many failed attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const denial = getAccessDenial(user);
+    if (denial) {
+      return res.status(403).json({ message: denial });
+    }
+
+    const result = verifySecondFactor(user, { code, backupCode });
+    if (!result.valid) {
+      return rejectLoginAttempt(user, res, 'Invalid two-factor code');
+    }
+
+    await completeLogin(user, req, res, result.method === 'backup_code'
+      ? { backupCodesRemaining: result.backupCodesRemaining }
+      : {});
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
 export const getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
@@ -126,14 +251,28 @@ export const getMe = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token. Refresh tokens are single use:
+// each call returns a new one, and replaying an old one revokes the session.
 export const refreshToken = async (req, res) => {
   try {
-    const newToken = generateToken(req.user._id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result.valid) {
+      return res.status(401).json({ message: result.reason });
+    }
+
     res.json({ 
       message: 'Token refreshed successfully',
-      token: newToken 
+      token: result.token,
+      refreshToken: result.refreshToken,
+      refreshTokenExpires: result.refreshTokenExpires
     });
   } catch (error) {
+    console.error('Refresh token error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -226,12 +365,15 @@ export const resetPassword = async (req, res) => {
     
     await user.save();
 
-    // Generate new JWT token
-    const jwtToken = generateToken(user._id);
+    // Sign out every device that knew the old password, then sign in this one
+    await revokeAllSessions(user._id, 'password_changed');
+    const { token: jwtToken, refreshToken, refreshTokenExpires } = await createSession(user, req);
 
     res.json({
       message: 'Password reset successful',
       token: jwtToken,
+      refreshToken,
+      refreshTokenExpires,
       user: {
         id: user._id,
         name: user.name,
@@ -289,6 +431,9 @@ export const changePassword = async (req, res) => {
     user.passwordChangedAt = new Date();
     await user.save();
 
+    // Other devices have to sign in again with the new password
+    await revokeAllSessions(userId, 'password_changed', req.authSession._id);
+
     console.log('Password changed successfully for user:', userId);
 
     res.json({ 
@@ -300,9 +445,11 @@ export const changePassword = async (req, res) => {
   }
 };
 
-// Logout (optional - mainly for client-side token removal)
+// Logout ends this device's session; its access and refresh tokens stop working
 export const logout = async (req, res) => {
   try {
+    await revokeSession(req.authSession, 'logout');
+
     // Update last login time
     await User.findByIdAndUpdate(req.user._id, {
       lastLogin: new Date()
@@ -317,26 +464,72 @@ export const logout = async (req, res) => {
   }
 };
 
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices',
+      revoked
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const revokeSessionById = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOne({ _id: req.params.sessionId, user: req.user._id })
+      : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked');
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // Verify email (optional feature)
 export const verifyEmail = async (req, res) => {
   try {
     const { token } = req.params;
 
-    // Decode token to get user ID
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
+    const user = await User.findByEmailVerificationToken(token);
     if (!user) {
-      return res.status(400).json({ message: 'Invalid verification token' });
-    }
-
-    if (user.emailVerified) {
-      return res.json({ message: 'Email already verified' });
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
     }
 
-    // Mark email as verified
-    user.emailVerified = true;
-    user.emailVerifiedAt = new Date();
+    user.markEmailVerified();
     await user.save();
 
     res.json({ 
@@ -349,10 +542,51 @@ export const verifyEmail = async (req, res) => {
       }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(400).json({ message: 'Invalid verification token' });
-    }
     console.error('Email verification error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+// Send a fresh verification link; earlier links stop working
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+
+    // Minimum gap between verification emails to one account, read here so .env values apply
+    const resendSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+    const nextSendAt = user.emailVerificationSentAt &&
+      new Date(user.emailVerificationSentAt.getTime() + resendSeconds * 1000);
+    if (nextSendAt && nextSendAt > new Date()) {
+      return res.status(429).json({
+        message: 'A verification email was sent recently. Please wait before requesting another.',
+        retryAfter: Math.ceil((nextSendAt - Date.now()) / 1000)
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+
+      // Let the user retry straight away
+      user.emailVerificationSentAt = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        message: 'Failed to send verification email. Please try again.'
+      });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,10 +1,90 @@
 // controllers/bookingController.js
 import Booking from '../models/Booking.js';
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
 import User from '../models/User.js';
 import { sendBookingConfirmation } from '../services/notificationService.js';
-import { calculateAvailability, findAvailableSlots } from '../utils/availabilityChecker.js';
+import { calculateScheduleAvailability, findAvailableSlots } from '../utils/availabilityChecker.js';
+import { expandOccurrences } from '../utils/recurrence.js';
+import { buildQuote, applyDiscount } from '../services/quoteService.js';
+import { checkPromoCode, redeemPromoCode, releasePromoRedemption } from '../services/promoService.js';
+import { postMessage, markMessagesRead, getUnreadCount } from '../services/chatService.js';
+import { canTransition, transitionBooking, getAvailableTransitions } from '../services/bookingStateMachine.js';
+import { reserveBooking, releaseBooking } from '../services/reservationService.js';
+import { previewCancellation } from '../services/cancellationService.js';
+import { refundPayment, buildInstalments } from '../services/paymentService.js';
+import { getBookingRole } from '../utils/bookingAccess.js';
+import { getProviderModel, findProviderProfile } from '../services/providerService.js';
+
+// Validate a promo code against the quote and apply its discount in place
+const applyPromoCode = async (quote, code, user, provider, providerType) => {
+  const result = await checkPromoCode({
+    code,
+    userId: user._id,
+    providerId: provider._id,
+    providerType,
+    subtotal: quote.pricing.subtotal
+  });
+
+  if (result.valid) {
+    applyDiscount(quote, {
+      code: result.promo.code,
+      amount: result.discount,
+      reason: result.promo.description
+    });
+  }
+
+  return result;
+};
+
+export const getQuote = async (req, res) => {
+  try {
+    const { providerId, providerType, eventDetails, services, promoCode } = req.body;
+
+    const ProviderModel = getProviderModel(providerType);
+    if (!ProviderModel) {
+      return res.status(400).json({ message: 'Invalid provider type' });
+    }
+
+    const provider = await ProviderModel.findById(providerId);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const schedule = expandOccurrences(eventDetails);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const quote = buildQuote(provider, { eventDetails, services, occurrences: schedule.occurrences.length });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Unable to quote this booking',
+        errors: quote.errors
+      });
+    }
+
+    if (promoCode) {
+      const promo = await applyPromoCode(quote, promoCode, req.user, provider, providerType);
+      if (!promo.valid) {
+        return res.status(400).json({ message: promo.reason });
+      }
+    }
+
+    res.json({
+      quote: {
+        providerId: provider._id,
+        providerType,
+        duration: quote.duration,
+        occurrences: schedule.occurrences,
+        services: quote.services,
+        ...quote.pricing
+      }
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
 export const createBooking = async (req, res) => {
   try {
@@ -15,48 +95,129 @@ export const createBooking = async (req, res) => {
       services,
       teamRequirements,
       equipmentRequirements,
-      pricing
+      pricing,
+      promoCode
     } = req.body;
 
     // Validate provider
-    const ProviderModel = providerType === 'Photographer' ? Photographer : Videographer;
-    const provider = await ProviderModel.find({ user: providerId }).populate('teamMembers equipment');
+    const ProviderModel = getProviderModel(providerType);
+    if (!ProviderModel) {
+      return res.status(400).json({ message: 'Invalid provider type' });
+    }
+
+    const provider = await ProviderModel.findById(providerId).populate('teamMembers equipment');
 
     if (!provider) {
       return res.status(404).json({ message: 'Provider not found' });
     }
 
+    // Multi-day and recurring bookings run on every day of their schedule
+    const schedule = expandOccurrences(eventDetails);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const { occurrences } = schedule;
+    const isMultiDay = occurrences.length > 1;
+
     // Check availability
-    const availability = await calculateAvailability(provider, eventDetails.date);
+    const availability = await calculateScheduleAvailability(provider, occurrences);
     if (!availability.available) {
       return res.status(400).json({ 
-        message: 'Provider not available on selected date',
-        reason: availability.reason
+        message: isMultiDay
+          ? 'Provider not available on every selected date'
+          : 'Provider not available on selected date',
+        reason: availability.unavailable[0].reason,
+        unavailable: availability.unavailable
+      });
+    }
+
+    // Price the booking server-side; client-supplied amounts are never trusted
+    const quote = buildQuote(provider, { eventDetails, services, occurrences: occurrences.length });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Unable to quote this booking',
+        errors: quote.errors
+      });
+    }
+
+    let promo = null;
+    if (promoCode) {
+      promo = await applyPromoCode(quote, promoCode, req.user, provider, providerType);
+      if (!promo.valid) {
+        return res.status(400).json({ message: promo.reason });
+      }
+    }
+
+    // The client confirmed a price; refuse if it no longer matches the quote
+    if (pricing?.totalAmount !== undefined &&
+        Math.abs(pricing.totalAmount - quote.pricing.totalAmount) > 0.01) {
+      return res.status(409).json({
+        message: 'Price has changed. Please review the updated quote.',
+        quote: quote.pricing
       });
     }
 
     // Create booking
     const booking = new Booking({
       client: req.user._id,
-      provider: providerId,
+      provider: provider._id,
       providerType,
-      eventDetails,
-      services,
+      eventDetails: {
+        ...eventDetails,
+        endDate: isMultiDay ? occurrences[occurrences.length - 1].date : undefined,
+        duration: quote.duration
+      },
+      occurrences: isMultiDay ? occurrences : [],
+      services: quote.services,
       pricing: {
-        basePrice: pricing.basePrice,
-        addOnsTotal: pricing.addOnsTotal || 0,
-        taxes: pricing.taxes || 0,
-        discount: pricing.discount || {},
-        totalAmount: pricing.totalAmount
+        ...quote.pricing,
+        quotedAt: new Date()
       },
       teamAssignment: {
-        mainProvider: providerId,
+        mainProvider: provider._id,
         teamMembers: [],
         equipment: []
       }
     });
 
-    await booking.save();
+    if (isMultiDay) {
+      booking.payment.instalments = buildInstalments(booking.pricing, booking.occurrences);
+    }
+
+    // Hold the provider's time before anything else so overlapping requests lose cleanly
+    const reservation = await reserveBooking(booking);
+    if (!reservation.reserved) {
+      return res.status(409).json({
+        message: 'Provider is already booked for part of this time',
+        conflicts: reservation.conflicts
+      });
+    }
+
+    // Claim the redemption before saving so usage caps hold under concurrency
+    if (promo) {
+      const redeemed = await redeemPromoCode(promo.promo, {
+        userId: req.user._id,
+        bookingId: booking._id,
+        amount: promo.discount
+      });
+
+      if (!redeemed) {
+        await releaseBooking(booking._id);
+        return res.status(409).json({ message: 'Promo code is no longer available' });
+      }
+    }
+
+    // The hold and the redemption only make sense with a booking behind them
+    try {
+      await booking.save();
+    } catch (saveError) {
+      await releaseBooking(booking._id);
+      if (promo) {
+        await releasePromoRedemption(promo.promo._id, booking._id);
+      }
+      throw saveError;
+    }
 
     // Send confirmation emails
     await sendBookingConfirmation(booking);
@@ -65,7 +226,8 @@ export const createBooking = async (req, res) => {
       message: 'Booking created successfully',
       booking: await Booking.findById(booking._id)
         .populate('client', 'name email')
-        .populate('provider')
+        .populate('provider'),
+      holdExpiresAt: reservation.expiresAt
     });
   } catch (error) {
     console.error('Create booking error:', error);
@@ -81,17 +243,11 @@ export const getBookings = async (req, res) => {
     // Determine query based on user role
     if (req.user.role === 'user') {
       query.client = req.user._id;
-    } else if (req.user.role === 'photographer') {
-      const photographer = await Photographer.findOne({ user: req.user._id });
-      if (photographer) {
-        query.provider = photographer._id;
-        query.providerType = 'Photographer';
-      }
-    } else if (req.user.role === 'videographer') {
-      const videographer = await Videographer.findOne({ user: req.user._id });
-      if (videographer) {
-        query.provider = videographer._id;
-        query.providerType = 'Videographer';
+    } else {
+      const provider = await findProviderProfile(req.user);
+      if (provider) {
+        query.provider = provider.profile._id;
+        query.providerType = provider.type.modelName;
       }
     }
 
@@ -131,39 +287,54 @@ export const getBookingById = async (req, res) => {
       .populate('provider')
       .populate('teamAssignment.teamMembers.member')
       .populate('teamAssignment.equipment.item')
-      .populate('review');
+      .populate('review')
+      .populate('package', 'title eventDetails timeline bookings');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
     // Check authorization
-    const isClient = booking.client._id.toString() === req.user._id.toString();
-    const isProvider = booking.provider.user && booking.provider.user.toString() === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isClient && !isProvider && !isAdmin) {
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (!bookingRole) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ booking });
+    res.json({
+      booking,
+      availableTransitions: getAvailableTransitions(booking, bookingRole)
+    });
   } catch (error) {
     console.error('Get booking error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+const TRANSITION_ERROR_STATUS = {
+  invalid_transition: 400,
+  not_permitted: 403,
+  conflict: 409
+};
+
+// Map a refused transition onto an HTTP response
+const sendTransitionError = (res, check) => {
+  return res.status(TRANSITION_ERROR_STATUS[check.type] || 400).json({
+    message: check.reason,
+    allowedTransitions: check.allowedTransitions,
+    conflicts: check.conflicts
+  });
+};
+
 export const updateBookingStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status, reason, teamAssignment, milestones } = req.body;
 
     // Find the provider's profile
-    let providerProfile;
-    if (req.user.role === 'photographer') {
-      providerProfile = await Photographer.findOne({ user: req.user._id });
-    } else if (req.user.role === 'videographer') {
-      providerProfile = await Videographer.findOne({ user: req.user._id });
+    const providerProfile = (await findProviderProfile(req.user))?.profile;
+
+    if (!providerProfile) {
+      return res.status(404).json({ message: 'Provider profile not found' });
     }
 
     const booking = await Booking.findOne({
@@ -175,41 +346,41 @@ export const updateBookingStatus = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    const updateData = { status };
-
-    if (reason) {
-      updateData['communication'] = [
-        ...booking.communication,
-        {
-          from: req.user._id,
-          message: reason,
-          type: 'status_update'
-        }
-      ];
+    const statusChanged = status && status !== booking.status;
+    if (statusChanged) {
+      const check = canTransition(booking, status, 'provider');
+      if (!check.allowed) {
+        return sendTransitionError(res, check);
+      }
     }
 
+    // Crew and equipment go through their own endpoints, which run the
+    // invitation flow, availability checks and reservations
     if (teamAssignment) {
-      updateData['teamAssignment'] = {
-        ...booking.teamAssignment,
-        ...teamAssignment
-      };
+      return res.status(400).json({
+        message: 'Assign crew and equipment through /bookings/:id/team and /bookings/:id/equipment'
+      });
     }
 
     if (milestones) {
-      updateData.milestones = milestones;
+      booking.milestones = milestones;
     }
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true }
-    ).populate('client', 'name email');
-
-    // Send notification based on status
-    if (status === 'confirmed') {
-      await sendBookingConfirmation(updatedBooking);
+    if (statusChanged) {
+      const result = await transitionBooking(booking, status, {
+        actor: req.user,
+        role: 'provider',
+        reason
+      });
+      if (!result.allowed) {
+        return sendTransitionError(res, result);
+      }
+    } else {
+      await booking.save();
     }
 
+    const updatedBooking = await Booking.findById(id).populate('client', 'name email');
+
     res.json({
       message: 'Booking status updated successfully',
       booking: updatedBooking
@@ -231,30 +402,42 @@ export const cancelBooking = async (req, res) => {
     }
 
     // Check authorization
-    const isClient = booking.client.toString() === req.user._id.toString();
-    const isProvider = booking.provider.user && booking.provider.user.toString() === req.user._id.toString();
-
-    if (!isClient && !isProvider) {
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (!bookingRole) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     // Check if booking can be cancelled
-    if (booking.status === 'completed' || booking.status === 'cancelled') {
-      return res.status(400).json({ message: 'Booking cannot be cancelled' });
+    const check = canTransition(booking, 'cancelled', bookingRole);
+    if (!check.allowed) {
+      return sendTransitionError(res, check);
     }
 
-    booking.status = 'cancelled';
+    const refund = await previewCancellation(booking, bookingRole);
+
     booking.cancellation = {
       cancelledBy: req.user._id,
       reason,
-      cancellationDate: new Date()
+      cancellationDate: new Date(),
+      refundPercentage: refund.refundPercentage,
+      refundAmount: refund.refundAmount,
+      cancellationFee: refund.cancellationFee
     };
 
-    await booking.save();
+    await transitionBooking(booking, 'cancelled', {
+      actor: req.user,
+      role: bookingRole,
+      reason
+    });
+
+    if (refund.refundAmount > 0) {
+      await refundPayment(booking, refund.refundAmount, reason || 'Booking cancelled');
+    }
 
     res.json({
       message: 'Booking cancelled successfully',
-      booking
+      booking,
+      refund
     });
   } catch (error) {
     console.error('Cancel booking error:', error);
@@ -262,31 +445,77 @@ export const cancelBooking = async (req, res) => {
   }
 };
 
-export const addMessage = async (req, res) => {
+// What cancelling now would refund, without committing to it
+export const getCancellationPreview = async (req, res) => {
   try {
     const { id } = req.params;
-    const { message } = req.body;
 
     const booking = await Booking.findById(id);
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check authorization
-    const isClient = booking.client.toString() === req.user._id.toString();
-    const isProvider = booking.provider.user && booking.provider.user.toString() === req.user._id.toString();
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (!bookingRole) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const check = canTransition(booking, 'cancelled', bookingRole);
 
-    if (!isClient && !isProvider) {
+    res.json({
+      canCancel: check.allowed,
+      reason: check.reason,
+      ...(check.allowed && await previewCancellation(booking, bookingRole))
+    });
+  } catch (error) {
+    console.error('Get cancellation preview error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id)
+      .populate('communication.from', 'name avatar');
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (!bookingRole) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    booking.communication.push({
-      from: req.user._id,
-      message,
-      type: 'message'
+    res.json({
+      communication: booking.communication,
+      unreadCount: getUnreadCount(booking, req.user._id)
     });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    await booking.save();
+export const addMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Check authorization
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (bookingRole !== 'client' && bookingRole !== 'provider') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Persists to booking.communication and pushes to the live chat room
+    await postMessage(booking, req.user, message);
 
     const updatedBooking = await Booking.findById(id)
       .populate('communication.from', 'name avatar');
@@ -301,12 +530,42 @@ export const addMessage = async (req, res) => {
   }
 };
 
+export const markMessagesAsRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (!bookingRole) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const messageIds = await markMessagesRead(booking, req.user);
+
+    res.json({
+      message: 'Messages marked as read',
+      messageIds
+    });
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 export const getAvailableSlots = async (req, res) => {
   try {
     const { providerId, providerType } = req.params;
     const { date, duration = 4 } = req.query;
 
-    const ProviderModel = providerType === 'Photographer' ? Photographer : Videographer;
+    const ProviderModel = getProviderModel(providerType);
+    if (!ProviderModel) {
+      return res.status(400).json({ message: 'Invalid provider type' });
+    }
+
     const provider = await ProviderModel.findById(providerId).populate('teamMembers');
 
     if (!provider) {
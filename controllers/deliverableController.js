@@ -0,0 +1,559 @@
+// controllers/deliverableController.js
+import {
+  uploadFile,
+  deleteFile,
+  generateImageThumbnail,
+  generateVideoThumbnail,
+  generateArchiveUrl
+} from '../config/cloudinary.js';
+import {
+  sendDeliveryNotification,
+  sendProofsReady,
+  sendProofSelectionSubmitted
+} from '../services/notificationService.js';
+import { addCharge } from '../services/quoteService.js';
+import { calculatePaymentStatus, syncInstalments } from '../services/paymentService.js';
+
+const DELIVERY_ACCESS_DAYS = parseInt(process.env.DELIVERY_ACCESS_DAYS) || 30;
+const DOWNLOAD_LINK_MINUTES = 60;
+
+const DELIVERABLE_TYPES = ['photos', 'videos', 'edited_content', 'raw_files'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const isAccessExpired = (deliverable) =>
+  !!deliverable.accessExpiresAt && deliverable.accessExpiresAt < new Date();
+
+// File details without the stored delivery URL; originals are only handed
+// out as short-lived links from downloadDeliverable
+const toFileView = (file) => {
+  const { url, ...details } = file.toObject ? file.toObject() : file;
+  return details;
+};
+
+// Clients see delivered content and published proofs, and only the files while access lasts
+const toClientView = (deliverable) => {
+  const expired = isAccessExpired(deliverable);
+  const { files, urls, ...details } = deliverable.toObject();
+
+  return {
+    ...details,
+    fileCount: files.length,
+    accessExpired: expired,
+    files: expired ? [] : files.map(toFileView)
+  };
+};
+
+// Deliverables can't go out on bookings that are cancelled or under dispute
+const CLOSED_STATUSES = ['cancelled', 'disputed'];
+
+const requireProvider = (req, res) => {
+  if (req.bookingRole !== 'provider') {
+    res.status(403).json({ message: 'Only the provider can manage deliverables' });
+    return false;
+  }
+  return true;
+};
+
+const findDeliverable = (req, res) => {
+  const deliverable = req.booking.deliverables.id(req.params.deliverableId);
+  if (!deliverable) {
+    res.status(404).json({ message: 'Deliverable not found' });
+  }
+  return deliverable;
+};
+
+export const getDeliverables = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+
+    if (bookingRole === 'client') {
+      return res.json({
+        deliverables: booking.deliverables
+          .filter(deliverable => deliverable.status === 'delivered' || deliverable.proofing?.enabled)
+          .map(toClientView)
+      });
+    }
+
+    res.json({ deliverables: booking.deliverables });
+  } catch (error) {
+    console.error('Get deliverables error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const createDeliverable = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { name, description, type, occurrence } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!['confirmed', 'in_progress', 'completed'].includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot add deliverables to a ${booking.status} booking` });
+    }
+
+    if (!name || !DELIVERABLE_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: `Name and a type of ${DELIVERABLE_TYPES.join(', ')} are required`
+      });
+    }
+
+    // Multi-day and recurring bookings can tie a deliverable to one day's coverage
+    if (occurrence && !booking.occurrences.id(occurrence)) {
+      return res.status(400).json({ message: 'Occurrence not found on this booking' });
+    }
+
+    booking.deliverables.push({ name, description, type, occurrence });
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Deliverable created successfully',
+      deliverable: booking.deliverables[booking.deliverables.length - 1]
+    });
+  } catch (error) {
+    console.error('Create deliverable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const uploadDeliverableFiles = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    const uploaded = [];
+    for (const file of req.files) {
+      const result = await uploadFile(file, `deliverables/${booking._id}`, { type: 'authenticated' });
+      const delivery = { type: result.deliveryType };
+      uploaded.push({
+        url: result.url,
+        publicId: result.publicId,
+        resourceType: result.resourceType,
+        deliveryType: result.deliveryType,
+        fileName: file.originalname,
+        format: result.format,
+        bytes: result.bytes,
+        thumbnailUrl: result.resourceType === 'video'
+          ? generateVideoThumbnail(result.publicId, delivery)
+          : generateImageThumbnail(result.publicId, delivery)
+      });
+    }
+
+    deliverable.files.push(...uploaded);
+    deliverable.urls.push(...uploaded.map(file => file.url));
+
+    if (deliverable.status === 'pending') {
+      deliverable.status = 'in_progress';
+    }
+
+    await booking.save();
+
+    res.status(201).json({
+      message: `${uploaded.length} files uploaded successfully`,
+      deliverable
+    });
+  } catch (error) {
+    console.error('Upload deliverable files error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const deleteDeliverableFile = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { fileId } = req.params;
+
+    if (!requireProvider(req, res)) return;
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    const file = deliverable.files.id(fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    if (file.publicId) {
+      await deleteFile(file.publicId, file.resourceType);
+    }
+
+    deliverable.urls = deliverable.urls.filter(url => url !== file.url);
+    deliverable.files.pull(fileId);
+    deliverable.proofing.selections = deliverable.proofing.selections
+      .filter(selection => selection.file.toString() !== fileId);
+
+    await booking.save();
+
+    res.json({ message: 'File deleted successfully' });
+  } catch (error) {
+    console.error('Delete deliverable file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Mark delivered and open (or renew) the client's download window
+export const deliverDeliverable = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    if (CLOSED_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot deliver on a ${booking.status} booking` });
+    }
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    if (deliverable.files.length === 0) {
+      return res.status(400).json({ message: 'Upload files before delivering' });
+    }
+
+    const accessExpiresAt = new Date();
+    accessExpiresAt.setDate(accessExpiresAt.getDate() + DELIVERY_ACCESS_DAYS);
+
+    deliverable.status = 'delivered';
+    deliverable.deliveredDate = new Date();
+    deliverable.accessExpiresAt = accessExpiresAt;
+
+    await booking.save();
+    await sendDeliveryNotification(booking, deliverable);
+
+    res.json({
+      message: 'Deliverable delivered successfully',
+      deliverable
+    });
+  } catch (error) {
+    console.error('Deliver deliverable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Short-lived signed zip links, one per resource type in the deliverable
+export const downloadDeliverable = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    if (bookingRole === 'client') {
+      if (deliverable.status !== 'delivered') {
+        return res.status(404).json({ message: 'Deliverable not found' });
+      }
+
+      if (isAccessExpired(deliverable)) {
+        return res.status(410).json({ message: 'Download access has expired' });
+      }
+    }
+
+    // Archives take one resource type and one delivery type at a time
+    const archives = deliverable.files.reduce((groups, file) => {
+      const resourceType = file.resourceType || 'image';
+      const deliveryType = file.deliveryType || 'upload';
+      const key = `${resourceType}:${deliveryType}`;
+      groups[key] = groups[key] || { resourceType, deliveryType, publicIds: [] };
+      groups[key].publicIds.push(file.publicId);
+      return groups;
+    }, {});
+
+    const linkExpiresAt = new Date(Date.now() + DOWNLOAD_LINK_MINUTES * 60 * 1000);
+    const downloads = Object.values(archives).map(({ resourceType, deliveryType, publicIds }) => ({
+      resourceType,
+      fileCount: publicIds.length,
+      url: generateArchiveUrl(publicIds, resourceType, linkExpiresAt, deliveryType)
+    }));
+
+    if (bookingRole === 'client') {
+      deliverable.downloadCount += 1;
+      await booking.save();
+    }
+
+    res.json({
+      downloads,
+      linkExpiresAt,
+      accessExpiresAt: deliverable.accessExpiresAt
+    });
+  } catch (error) {
+    console.error('Download deliverable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Pick list and quota usage for a proof set
+const getSelectionSummary = (deliverable) => {
+  const { proofing } = deliverable;
+  const picks = proofing.selections
+    .filter(selection => selection.selected)
+    .map(selection => ({
+      file: deliverable.files.id(selection.file),
+      comment: selection.comment
+    }))
+    .filter(pick => pick.file)
+    .map(pick => ({ ...pick, file: toFileView(pick.file) }));
+
+  const extraSelections = Math.max(0, picks.length - proofing.selectionQuota);
+
+  return {
+    status: proofing.status,
+    selectionQuota: proofing.selectionQuota,
+    selectedCount: picks.length,
+    extraSelections,
+    extraSelectionPrice: proofing.extraSelectionPrice,
+    extraSelectionsCharged: proofing.overageCharged,
+    extraAmountDue: roundCurrency(
+      Math.max(0, extraSelections - proofing.overageCharged) * proofing.extraSelectionPrice
+    ),
+    submittedAt: proofing.submittedAt,
+    picks,
+    comments: proofing.selections
+      .filter(selection => !selection.selected && selection.comment)
+      .map(selection => ({ file: selection.file, comment: selection.comment }))
+  };
+};
+
+// Provider: publish the deliverable's files as a proof set for the client to pick from
+export const publishProofs = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { selectionQuota, extraSelectionPrice = 0 } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    if (deliverable.files.length === 0) {
+      return res.status(400).json({ message: 'Upload proofs before publishing' });
+    }
+
+    const quota = parseInt(selectionQuota);
+    const price = parseFloat(extraSelectionPrice);
+    if (!(quota >= 0) || !(price >= 0)) {
+      return res.status(400).json({ message: 'Selection quota and extra selection price must be positive numbers' });
+    }
+
+    const { proofing } = deliverable;
+    const firstPublish = !proofing.enabled;
+
+    proofing.enabled = true;
+    proofing.status = 'open';
+    proofing.selectionQuota = quota;
+    proofing.extraSelectionPrice = price;
+    proofing.publishedAt = proofing.publishedAt || new Date();
+
+    await booking.save();
+
+    if (firstPublish) {
+      await sendProofsReady(booking, deliverable);
+    }
+
+    res.json({
+      message: 'Proofs published successfully',
+      proofing: getSelectionSummary(deliverable)
+    });
+  } catch (error) {
+    console.error('Publish proofs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getProofSelection = async (req, res) => {
+  try {
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    if (!deliverable.proofing?.enabled) {
+      return res.status(404).json({ message: 'No proof set for this deliverable' });
+    }
+
+    res.json({ proofing: getSelectionSummary(deliverable) });
+  } catch (error) {
+    console.error('Get proof selection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Client: favourite or comment on a single proof
+export const updateProofSelection = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+    const { fileId } = req.params;
+    const { selected, comment } = req.body;
+
+    if (bookingRole !== 'client') {
+      return res.status(403).json({ message: 'Only the client can select proofs' });
+    }
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    const { proofing } = deliverable;
+    if (!proofing?.enabled) {
+      return res.status(404).json({ message: 'No proof set for this deliverable' });
+    }
+
+    if (proofing.status !== 'open') {
+      return res.status(400).json({ message: 'Selection has already been submitted' });
+    }
+
+    if (!deliverable.files.id(fileId)) {
+      return res.status(404).json({ message: 'Proof not found' });
+    }
+
+    let selection = proofing.selections.find(entry => entry.file.toString() === fileId);
+    if (!selection) {
+      proofing.selections.push({ file: fileId });
+      selection = proofing.selections[proofing.selections.length - 1];
+    }
+
+    if (selected !== undefined) {
+      selection.selected = !!selected;
+    }
+    if (comment !== undefined) {
+      selection.comment = comment;
+    }
+    selection.updatedAt = new Date();
+
+    await booking.save();
+
+    const summary = getSelectionSummary(deliverable);
+
+    res.json({
+      selection,
+      selectedCount: summary.selectedCount,
+      selectionQuota: summary.selectionQuota,
+      extraSelections: summary.extraSelections
+    });
+  } catch (error) {
+    console.error('Update proof selection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Client: lock in the selection and hand it to the provider
+export const submitProofSelection = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+
+    if (bookingRole !== 'client') {
+      return res.status(403).json({ message: 'Only the client can submit a selection' });
+    }
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    const { proofing } = deliverable;
+    if (!proofing?.enabled || proofing.status !== 'open') {
+      return res.status(400).json({ message: 'No open proof set for this deliverable' });
+    }
+
+    const summary = getSelectionSummary(deliverable);
+    if (summary.selectedCount === 0) {
+      return res.status(400).json({ message: 'Select at least one proof before submitting' });
+    }
+
+    proofing.status = 'submitted';
+    proofing.submittedAt = new Date();
+
+    await booking.save();
+    await sendProofSelectionSubmitted(booking, deliverable, summary.selectedCount);
+
+    res.json({
+      message: 'Selection submitted successfully',
+      proofing: getSelectionSummary(deliverable)
+    });
+  } catch (error) {
+    console.error('Submit proof selection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Provider: let the client change a submitted selection
+export const reopenProofSelection = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    if (deliverable.proofing?.status !== 'submitted') {
+      return res.status(400).json({ message: 'Selection has not been submitted' });
+    }
+
+    deliverable.proofing.status = 'open';
+    await booking.save();
+
+    res.json({
+      message: 'Selection reopened',
+      proofing: getSelectionSummary(deliverable)
+    });
+  } catch (error) {
+    console.error('Reopen proof selection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Provider: add selections beyond the quota to the booking as an add-on
+export const chargeExtraSelections = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const deliverable = findDeliverable(req, res);
+    if (!deliverable) return;
+
+    const { proofing } = deliverable;
+    if (proofing?.status !== 'submitted') {
+      return res.status(400).json({ message: 'Selection has not been submitted' });
+    }
+
+    const summary = getSelectionSummary(deliverable);
+    const uncharged = summary.extraSelections - proofing.overageCharged;
+
+    if (uncharged <= 0 || proofing.extraSelectionPrice <= 0) {
+      return res.status(400).json({ message: 'No extra selections to charge' });
+    }
+
+    Object.assign(booking.pricing, addCharge(booking.pricing, {
+      label: `${deliverable.name}: extra selections`,
+      quantity: uncharged,
+      unitPrice: proofing.extraSelectionPrice
+    }));
+
+    proofing.overageCharged += uncharged;
+    syncInstalments(booking);
+    booking.payment.status = calculatePaymentStatus(booking);
+    booking.communication.push({
+      from: req.user._id,
+      message: `${uncharged} extra selections from ${deliverable.name} added to the booking ($${summary.extraAmountDue})`,
+      type: 'payment_reminder'
+    });
+
+    await booking.save();
+
+    res.json({
+      message: 'Extra selections added to the booking',
+      charged: {
+        quantity: uncharged,
+        amount: summary.extraAmountDue
+      },
+      pricing: booking.pricing
+    });
+  } catch (error) {
+    console.error('Charge extra selections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,281 @@
+// controllers/disputeController.js
+import Dispute from '../models/Dispute.js';
+import Booking from '../models/Booking.js';
+import { canTransition, transitionBooking } from '../services/bookingStateMachine.js';
+import { uploadEvidence, resolveDispute as applyResolution } from '../services/disputeService.js';
+import { getBookingRole } from '../utils/bookingAccess.js';
+import { listProviderTypes } from '../services/providerService.js';
+
+const populateDispute = (query) => query
+  .populate('openedBy', 'name email')
+  .populate('statements.author', 'name avatar')
+  .populate('assignedTo', 'name email')
+  .populate('booking', 'eventDetails.title eventDetails.date status pricing.totalAmount payment.status');
+
+// Client or provider: open a dispute on a booking
+export const openDispute = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+    const { category, reason } = req.body;
+
+    if (!['client', 'provider'].includes(bookingRole)) {
+      return res.status(403).json({ message: 'Only the client or provider can open a dispute' });
+    }
+
+    const check = canTransition(booking, 'disputed', bookingRole);
+    if (!check.allowed) {
+      return res.status(400).json({ message: check.reason });
+    }
+
+    const dispute = new Dispute({
+      booking: booking._id,
+      openedBy: req.user._id,
+      openedByRole: bookingRole,
+      category,
+      reason,
+      previousStatus: booking.status,
+      evidence: await uploadEvidence(req.files, req.user),
+      statements: [{
+        author: req.user._id,
+        role: bookingRole,
+        message: reason
+      }]
+    });
+
+    await dispute.save();
+
+    await transitionBooking(booking, 'disputed', {
+      actor: req.user,
+      role: bookingRole,
+      reason
+    });
+
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      dispute
+    });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Disputes on the user's bookings, as client or provider
+export const getMyDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const profiles = await Promise.all(listProviderTypes().map(type =>
+      type.Model.findOne({ user: req.user._id }).select('_id')
+    ));
+    const providerIds = profiles.filter(Boolean).map(profile => profile._id);
+
+    const bookings = await Booking.find({
+      $or: [{ client: req.user._id }, { provider: { $in: providerIds } }]
+    }).select('_id');
+
+    const query = { booking: { $in: bookings.map(booking => booking._id) } };
+    if (status) {
+      query.status = status;
+    }
+
+    const disputes = await populateDispute(Dispute.find(query))
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Dispute.countDocuments(query);
+
+    res.json({
+      disputes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load a dispute and the caller's role on its booking
+const findDisputeForUser = async (id, user) => {
+  const dispute = await Dispute.findById(id);
+  if (!dispute) {
+    return { error: { status: 404, message: 'Dispute not found' } };
+  }
+
+  const booking = await Booking.findById(dispute.booking);
+  const role = booking && await getBookingRole(booking, user);
+  if (!role) {
+    return { error: { status: 403, message: 'Access denied' } };
+  }
+
+  return { dispute, booking, role };
+};
+
+export const getDisputeById = async (req, res) => {
+  try {
+    const { error } = await findDisputeForUser(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const dispute = await populateDispute(Dispute.findById(req.params.id))
+      .populate('resolution.resolvedBy', 'name');
+
+    res.json({ dispute });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Either party (or an admin) adds a statement, optionally with more evidence
+export const addStatement = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    const { dispute, role, error } = await findDisputeForUser(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ message: 'Dispute has already been resolved' });
+    }
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ message: 'Statement cannot be empty' });
+    }
+
+    dispute.statements.push({
+      author: req.user._id,
+      role,
+      message: message.trim(),
+      evidence: await uploadEvidence(req.files, req.user)
+    });
+
+    await dispute.save();
+
+    res.status(201).json({
+      message: 'Statement added successfully',
+      statement: dispute.statements[dispute.statements.length - 1]
+    });
+  } catch (error) {
+    console.error('Add dispute statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: list disputes
+export const getAllDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, category } = req.query;
+
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    const disputes = await populateDispute(Dispute.find(query))
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Dispute.countDocuments(query);
+
+    res.json({
+      disputes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Get all disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: take ownership of a dispute and mark it under review
+export const reviewDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: id, status: { $ne: 'resolved' } },
+      { status: 'under_review', assignedTo: req.user._id },
+      { new: true }
+    );
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Open dispute not found' });
+    }
+
+    res.json({
+      message: 'Dispute marked as under review',
+      dispute
+    });
+  } catch (error) {
+    console.error('Review dispute error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: resolve a dispute; the outcome drives the refund and booking status
+export const resolveDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outcome, refundAmount, notes } = req.body;
+
+    const dispute = await Dispute.findById(id);
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ message: 'Dispute has already been resolved' });
+    }
+
+    const booking = await Booking.findById(dispute.booking);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.status !== 'disputed') {
+      return res.status(400).json({ message: 'Booking is no longer in dispute' });
+    }
+
+    const result = await applyResolution(dispute, booking, {
+      outcome,
+      refundAmount,
+      notes,
+      admin: req.user
+    });
+
+    if (!result.resolved) {
+      return res.status(result.conflicts ? 409 : 400).json({
+        message: result.reason,
+        conflicts: result.conflicts
+      });
+    }
+
+    res.json({
+      message: 'Dispute resolved successfully',
+      dispute: result.dispute,
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,134 @@
+// controllers/equipmentAssignmentController.js
+import Equipment from '../models/Equipment.js';
+import { getBookingWindows, reserveBooking, releaseResource } from '../services/reservationService.js';
+import { checkEquipmentBookable, findAvailableEquipment } from '../services/equipmentService.js';
+
+const OPEN_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const requireProvider = (req, res) => {
+  if (req.bookingRole !== 'provider') {
+    res.status(403).json({ message: 'Only the provider can manage equipment' });
+    return false;
+  }
+  return true;
+};
+
+export const getBookingEquipment = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    await booking.populate('teamAssignment.equipment.item', 'name category brand model condition images');
+
+    res.json({ equipment: booking.teamAssignment.equipment });
+  } catch (error) {
+    console.error('Get booking equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// The provider's in-service items that are free for every day of this booking
+export const getAvailableBookingEquipment = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const assigned = booking.teamAssignment.equipment.map(assignment => assignment.item?.toString());
+    const equipment = await findAvailableEquipment(
+      booking.provider,
+      getBookingWindows(booking),
+      { excludeBookingId: booking._id }
+    );
+
+    res.json({
+      equipment: equipment.filter(item => !assigned.includes(item._id.toString()))
+    });
+  } catch (error) {
+    console.error('Get available booking equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const assignEquipment = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { equipmentId, quantity = 1 } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!OPEN_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot assign equipment to a ${booking.status} booking` });
+    }
+
+    const item = await Equipment.findOne({ _id: equipmentId, owner: booking.provider });
+    if (!item) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    const check = checkEquipmentBookable(item);
+    if (!check.bookable) {
+      return res.status(400).json({ message: check.reason });
+    }
+
+    const alreadyAssigned = booking.teamAssignment.equipment.some(
+      assignment => assignment.item?.toString() === item._id.toString()
+    );
+    if (alreadyAssigned) {
+      return res.status(400).json({ message: 'Equipment is already assigned to this booking' });
+    }
+
+    booking.teamAssignment.equipment.push({ item: item._id, quantity });
+    const assignment = booking.teamAssignment.equipment[booking.teamAssignment.equipment.length - 1];
+
+    const reservation = await reserveBooking(booking);
+    if (!reservation.reserved) {
+      return res.status(409).json({
+        message: `${item.name} is already booked for part of this time`,
+        conflicts: reservation.conflicts
+      });
+    }
+
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Equipment reserved for booking',
+      assignment
+    });
+  } catch (error) {
+    console.error('Assign equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const removeEquipment = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const assignment = booking.teamAssignment.equipment.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Equipment assignment not found' });
+    }
+
+    booking.teamAssignment.equipment.pull(assignment._id);
+
+    // As with crew removal, the item is freed even if the rest can't be re-claimed
+    let reservation = { reserved: true };
+    if (OPEN_STATUSES.includes(booking.status)) {
+      reservation = await reserveBooking(booking);
+      if (!reservation.reserved) {
+        await releaseResource(booking._id, assignment.item._id || assignment.item);
+      }
+    }
+    await booking.save();
+
+    res.json({
+      message: 'Equipment removed from booking',
+      ...(!reservation.reserved && { conflicts: reservation.conflicts })
+    });
+  } catch (error) {
+    console.error('Remove equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
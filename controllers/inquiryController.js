@@ -0,0 +1,479 @@
+// controllers/inquiryController.js
+import mongoose from 'mongoose';
+import Inquiry from '../models/Inquiry.js';
+import Booking from '../models/Booking.js';
+import { calculateScheduleAvailability } from '../utils/availabilityChecker.js';
+import { expandOccurrences } from '../utils/recurrence.js';
+import { buildCustomQuote, calculateDuration } from '../services/quoteService.js';
+import { buildInstalments } from '../services/paymentService.js';
+import { reserveBooking } from '../services/reservationService.js';
+import { updateProviderStats } from '../services/analyticsService.js';
+import { sendBookingConfirmation, sendInquiryUpdate } from '../services/notificationService.js';
+import { getProviderModel } from '../services/providerService.js';
+import {
+  MAX_INQUIRY_PROVIDERS,
+  getInquiryRole,
+  getCurrentQuote,
+  isQuoteExpired,
+  isResponseOpen,
+  getQuoteExpiry,
+  toInquiryView,
+  closeOpenResponses
+} from '../services/inquiryService.js';
+
+// Load the inquiry and the caller's role on it, sending 404/403 when there is none
+const findInquiry = async (req, res) => {
+  const inquiry = await Inquiry.findById(req.params.id)
+    .populate('client', 'name avatar')
+    .populate('responses.provider', 'businessName user location ratings');
+
+  if (!inquiry) {
+    res.status(404).json({ message: 'Inquiry not found' });
+    return null;
+  }
+
+  const access = getInquiryRole(inquiry, req.user);
+  if (!access.role) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  req.inquiryAccess = access;
+  return inquiry;
+};
+
+// The response thread in the URL, which providers may only reach for themselves
+const findResponse = (req, res, inquiry) => {
+  const response = inquiry.responses.id(req.params.responseId);
+  const { role, response: own } = req.inquiryAccess;
+
+  if (!response || (role === 'provider' && !response._id.equals(own._id))) {
+    res.status(404).json({ message: 'Response not found' });
+    return null;
+  }
+
+  return response;
+};
+
+const requireOpen = (res, inquiry) => {
+  if (inquiry.status !== 'open') {
+    res.status(400).json({ message: `Inquiry is ${inquiry.status}` });
+    return false;
+  }
+  return true;
+};
+
+export const createInquiry = async (req, res) => {
+  try {
+    const { eventDetails, budget, providers = [] } = req.body;
+
+    if (providers.length === 0 || providers.length > MAX_INQUIRY_PROVIDERS) {
+      return res.status(400).json({
+        message: `Send an inquiry to between 1 and ${MAX_INQUIRY_PROVIDERS} providers`
+      });
+    }
+
+    const schedule = expandOccurrences(eventDetails);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const responses = [];
+    for (const [index, { providerId, providerType }] of providers.entries()) {
+      const ProviderModel = getProviderModel(providerType);
+      const provider = ProviderModel && mongoose.isValidObjectId(providerId)
+        ? await ProviderModel.findById(providerId)
+        : null;
+
+      if (!provider || !provider.isActive) {
+        return res.status(404).json({ message: `Provider ${index + 1} was not found` });
+      }
+
+      if (responses.some(response => response.provider.equals(provider._id))) {
+        continue;
+      }
+
+      responses.push({
+        provider: provider._id,
+        providerType: provider.constructor.modelName,
+        providerUser: provider.user
+      });
+    }
+
+    const inquiry = await Inquiry.create({
+      client: req.user._id,
+      eventDetails,
+      budget,
+      responses
+    });
+
+    for (const response of inquiry.responses) {
+      await updateProviderStats(response.provider, response.providerType);
+      await sendInquiryUpdate(inquiry, response.providerUser, {
+        subject: 'New Quote Request',
+        message: `${req.user.name} would like a quote for their event.`
+      });
+    }
+
+    res.status(201).json({
+      message: 'Inquiry sent successfully',
+      inquiry
+    });
+  } catch (error) {
+    console.error('Create inquiry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Clients see inquiries they sent, providers the ones they were asked to quote on
+export const getInquiries = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const query = {};
+    if (req.user.role === 'user') {
+      query.client = req.user._id;
+    } else if (req.user.role !== 'admin') {
+      query['responses.providerUser'] = req.user._id;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const inquiries = await Inquiry.find(query)
+      .populate('client', 'name avatar')
+      .populate('responses.provider', 'businessName user')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Inquiry.countDocuments(query);
+
+    res.json({
+      inquiries: inquiries.map(inquiry => toInquiryView(inquiry, getInquiryRole(inquiry, req.user))),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get inquiries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getInquiryById = async (req, res) => {
+  try {
+    const inquiry = await findInquiry(req, res);
+    if (!inquiry) return;
+
+    res.json({
+      inquiry: toInquiryView(inquiry, req.inquiryAccess),
+      role: req.inquiryAccess.role
+    });
+  } catch (error) {
+    console.error('Get inquiry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Back-and-forth between the client and one provider
+export const addInquiryMessage = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    const inquiry = await findInquiry(req, res);
+    if (!inquiry) return;
+
+    const { role } = req.inquiryAccess;
+    if (!['client', 'provider'].includes(role)) {
+      return res.status(403).json({ message: 'Only the client and provider can message' });
+    }
+
+    const response = findResponse(req, res, inquiry);
+    if (!response) return;
+
+    if (!requireOpen(res, inquiry)) return;
+
+    if (!message?.trim()) {
+      return res.status(400).json({ message: 'Message is required' });
+    }
+
+    response.messages.push({ from: req.user._id, message: message.trim() });
+    await inquiry.save();
+
+    await sendInquiryUpdate(inquiry, role === 'client' ? response.providerUser : inquiry.client._id, {
+      subject: 'New Inquiry Message',
+      message: `${req.user.name} wrote: ${message.trim()}`
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      entry: response.messages[response.messages.length - 1]
+    });
+  } catch (error) {
+    console.error('Add inquiry message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Providers quote (or re-quote) from their own line items
+export const submitQuote = async (req, res) => {
+  try {
+    const { lineItems, message, validUntil } = req.body;
+
+    const inquiry = await findInquiry(req, res);
+    if (!inquiry) return;
+
+    if (req.inquiryAccess.role !== 'provider') {
+      return res.status(403).json({ message: 'Only the provider can send a quote' });
+    }
+
+    const response = findResponse(req, res, inquiry);
+    if (!response) return;
+
+    if (!requireOpen(res, inquiry)) return;
+
+    if (!isResponseOpen(response)) {
+      return res.status(400).json({ message: `You have ${response.status} this inquiry` });
+    }
+
+    const quote = buildCustomQuote({ lineItems });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Unable to build this quote',
+        errors: quote.errors
+      });
+    }
+
+    const expiry = getQuoteExpiry(inquiry, validUntil);
+    if (expiry <= new Date()) {
+      return res.status(400).json({ message: 'Quote must be valid until a future date before the event' });
+    }
+
+    response.quotes.push({
+      ...quote.pricing,
+      message,
+      validUntil: expiry
+    });
+    response.status = 'quoted';
+    response.respondedAt = response.respondedAt || new Date();
+
+    await inquiry.save();
+
+    await sendInquiryUpdate(inquiry, inquiry.client._id, {
+      subject: response.quotes.length > 1 ? 'Updated Quote' : 'New Quote',
+      message: `${response.provider.businessName} quoted $${quote.pricing.totalAmount}.`
+    });
+
+    res.status(201).json({
+      message: 'Quote sent successfully',
+      quote: getCurrentQuote(response)
+    });
+  } catch (error) {
+    console.error('Submit quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const declineInquiry = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const inquiry = await findInquiry(req, res);
+    if (!inquiry) return;
+
+    if (req.inquiryAccess.role !== 'provider') {
+      return res.status(403).json({ message: 'Only the provider can decline' });
+    }
+
+    const response = findResponse(req, res, inquiry);
+    if (!response) return;
+
+    if (!requireOpen(res, inquiry)) return;
+
+    if (!isResponseOpen(response)) {
+      return res.status(400).json({ message: `You have already ${response.status} this inquiry` });
+    }
+
+    response.status = 'declined';
+    response.declineReason = reason;
+    response.respondedAt = response.respondedAt || new Date();
+
+    await inquiry.save();
+
+    await sendInquiryUpdate(inquiry, inquiry.client._id, {
+      subject: 'Quote Request Declined',
+      message: `${response.provider.businessName} can't take this event.${reason ? ` Reason: ${reason}` : ''}`
+    });
+
+    res.json({ message: 'Inquiry declined' });
+  } catch (error) {
+    console.error('Decline inquiry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Accepting a quote books that provider at the quoted price as a pending booking
+export const acceptQuote = async (req, res) => {
+  try {
+    const { pricing } = req.body;
+
+    const inquiry = await findInquiry(req, res);
+    if (!inquiry) return;
+
+    if (req.inquiryAccess.role !== 'client') {
+      return res.status(403).json({ message: 'Only the client can accept a quote' });
+    }
+
+    const response = findResponse(req, res, inquiry);
+    if (!response) return;
+
+    if (!requireOpen(res, inquiry)) return;
+
+    const quote = getCurrentQuote(response);
+    if (response.status !== 'quoted' || !quote) {
+      return res.status(400).json({ message: 'This provider has not quoted' });
+    }
+
+    if (isQuoteExpired(quote)) {
+      return res.status(400).json({ message: 'This quote has expired. Ask the provider for a new one.' });
+    }
+
+    // The client accepted a price; refuse if the provider has re-quoted since
+    if (pricing?.totalAmount !== undefined &&
+        Math.abs(pricing.totalAmount - quote.totalAmount) > 0.01) {
+      return res.status(409).json({
+        message: 'Quote has changed. Please review the updated quote.',
+        quote
+      });
+    }
+
+    const provider = await getProviderModel(response.providerType).findById(response.provider._id);
+    if (!provider || !provider.isActive) {
+      return res.status(400).json({ message: 'Provider is no longer available' });
+    }
+
+    const eventDetails = inquiry.eventDetails.toObject();
+    const schedule = expandOccurrences(eventDetails);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+
+    const { occurrences } = schedule;
+    const isMultiDay = occurrences.length > 1;
+
+    const availability = await calculateScheduleAvailability(provider, occurrences);
+    if (!availability.available) {
+      return res.status(400).json({
+        message: isMultiDay
+          ? 'Provider not available on every selected date'
+          : 'Provider not available on selected date',
+        reason: availability.unavailable[0].reason,
+        unavailable: availability.unavailable
+      });
+    }
+
+    const { message, validUntil, createdAt, _id, ...quotedPricing } = quote.toObject();
+
+    const booking = new Booking({
+      client: req.user._id,
+      provider: provider._id,
+      providerType: response.providerType,
+      inquiry: inquiry._id,
+      eventDetails: {
+        ...eventDetails,
+        endDate: isMultiDay ? occurrences[occurrences.length - 1].date : undefined,
+        duration: calculateDuration(eventDetails.startTime, eventDetails.endTime)
+      },
+      occurrences: isMultiDay ? occurrences : [],
+      services: [],
+      pricing: {
+        ...quotedPricing,
+        quotedAt: createdAt
+      },
+      teamAssignment: {
+        mainProvider: provider._id,
+        teamMembers: [],
+        equipment: []
+      }
+    });
+
+    if (isMultiDay) {
+      booking.payment.instalments = buildInstalments(booking.pricing, booking.occurrences);
+    }
+
+    const reservation = await reserveBooking(booking);
+    if (!reservation.reserved) {
+      return res.status(409).json({
+        message: 'Provider is already booked for part of this time',
+        conflicts: reservation.conflicts
+      });
+    }
+
+    await booking.save();
+
+    response.status = 'accepted';
+    response.booking = booking._id;
+    const closed = closeOpenResponses(inquiry, response);
+    inquiry.status = 'booked';
+    inquiry.booking = booking._id;
+    inquiry.closedAt = new Date();
+
+    await inquiry.save();
+
+    await updateProviderStats(provider._id, response.providerType);
+    await sendBookingConfirmation(booking);
+    for (const other of closed) {
+      await sendInquiryUpdate(inquiry, other.providerUser, {
+        subject: 'Inquiry Closed',
+        message: 'The client has booked another provider for this event.'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Quote accepted and booking created',
+      booking: await Booking.findById(booking._id)
+        .populate('client', 'name email')
+        .populate('provider'),
+      holdExpiresAt: reservation.expiresAt
+    });
+  } catch (error) {
+    console.error('Accept quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// The client withdraws the inquiry without booking anyone
+export const closeInquiry = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const inquiry = await findInquiry(req, res);
+    if (!inquiry) return;
+
+    if (!['client', 'admin'].includes(req.inquiryAccess.role)) {
+      return res.status(403).json({ message: 'Only the client can close an inquiry' });
+    }
+
+    if (!requireOpen(res, inquiry)) return;
+
+    const closed = closeOpenResponses(inquiry);
+    inquiry.status = 'closed';
+    inquiry.closedAt = new Date();
+
+    await inquiry.save();
+
+    for (const response of closed) {
+      await sendInquiryUpdate(inquiry, response.providerUser, {
+        subject: 'Inquiry Closed',
+        message: `The client has withdrawn this inquiry.${reason ? ` Reason: ${reason}` : ''}`
+      });
+    }
+
+    res.json({ message: 'Inquiry closed' });
+  } catch (error) {
+    console.error('Close inquiry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
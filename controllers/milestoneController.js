@@ -0,0 +1,233 @@
+// controllers/milestoneController.js
+import { MILESTONE_TEMPLATES, hasMilestoneTemplate, buildMilestonesFromTemplate } from '../utils/milestoneTemplates.js';
+
+const requireProvider = (req, res) => {
+  if (!['provider', 'admin'].includes(req.bookingRole)) {
+    res.status(403).json({ message: 'Only the provider can manage milestones' });
+    return false;
+  }
+  return true;
+};
+
+const findMilestone = (req, res) => {
+  const milestone = req.booking.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    res.status(404).json({ message: 'Milestone not found' });
+  }
+  return milestone;
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+export const getMilestoneTemplates = async (req, res) => {
+  try {
+    const { eventType } = req.query;
+
+    if (eventType) {
+      if (!hasMilestoneTemplate(eventType)) {
+        return res.status(404).json({ message: 'No template for this event type' });
+      }
+      return res.json({ eventType, milestones: MILESTONE_TEMPLATES[eventType] });
+    }
+
+    res.json({ templates: MILESTONE_TEMPLATES });
+  } catch (error) {
+    console.error('Get milestone templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getMilestones = async (req, res) => {
+  try {
+    const now = new Date();
+
+    res.json({
+      milestones: req.booking.milestones.map(milestone => ({
+        ...milestone.toObject(),
+        overdue: !milestone.completed && !!milestone.dueDate && milestone.dueDate < now
+      }))
+    });
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const addMilestone = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { name, description, dueDate, position } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Milestone name is required' });
+    }
+
+    if (dueDate && !isValidDate(dueDate)) {
+      return res.status(400).json({ message: 'Invalid due date' });
+    }
+
+    const index = position === undefined
+      ? booking.milestones.length
+      : Math.min(Math.max(parseInt(position) || 0, 0), booking.milestones.length);
+
+    booking.milestones.splice(index, 0, { name: name.trim(), description, dueDate });
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Milestone added successfully',
+      milestone: booking.milestones[index]
+    });
+  } catch (error) {
+    console.error('Add milestone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Add the milestones for the booking's event type, optionally replacing open ones
+export const applyMilestoneTemplate = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { eventType = booking.eventDetails.type, replace = false } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!hasMilestoneTemplate(eventType)) {
+      return res.status(404).json({ message: 'No template for this event type' });
+    }
+
+    const milestones = buildMilestonesFromTemplate(eventType, booking.eventDetails.date);
+
+    if (replace) {
+      // Completed milestones are history and are always kept
+      booking.milestones = [
+        ...booking.milestones.filter(milestone => milestone.completed),
+        ...milestones
+      ];
+    } else {
+      booking.milestones.push(...milestones);
+    }
+
+    await booking.save();
+
+    res.status(201).json({
+      message: 'Milestone template applied successfully',
+      milestones: booking.milestones
+    });
+  } catch (error) {
+    console.error('Apply milestone template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const updateMilestone = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { name, description, dueDate } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    const milestone = findMilestone(req, res);
+    if (!milestone) return;
+
+    if (dueDate && !isValidDate(dueDate)) {
+      return res.status(400).json({ message: 'Invalid due date' });
+    }
+
+    if (name !== undefined) milestone.name = name;
+    if (description !== undefined) milestone.description = description;
+
+    // A new due date gets its own alerts
+    if (dueDate !== undefined) {
+      milestone.dueDate = dueDate;
+      milestone.upcomingAlertSentAt = undefined;
+      milestone.overdueAlertSentAt = undefined;
+    }
+
+    await booking.save();
+
+    res.json({
+      message: 'Milestone updated successfully',
+      milestone
+    });
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const completeMilestone = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { completed = true } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    const milestone = findMilestone(req, res);
+    if (!milestone) return;
+
+    milestone.completed = !!completed;
+    milestone.completedDate = completed ? new Date() : undefined;
+    milestone.completedBy = completed ? req.user._id : undefined;
+
+    await booking.save();
+
+    res.json({
+      message: completed ? 'Milestone completed' : 'Milestone reopened',
+      milestone
+    });
+  } catch (error) {
+    console.error('Complete milestone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Reorder with the full list of milestone ids in their new order
+export const reorderMilestones = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { order } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    const currentIds = booking.milestones.map(milestone => milestone._id.toString());
+
+    if (!Array.isArray(order) ||
+        order.length !== currentIds.length ||
+        new Set(order).size !== order.length ||
+        !order.every(id => currentIds.includes(String(id)))) {
+      return res.status(400).json({ message: 'Order must list every milestone id exactly once' });
+    }
+
+    booking.milestones = order.map(id => booking.milestones.id(id).toObject());
+    await booking.save();
+
+    res.json({
+      message: 'Milestones reordered successfully',
+      milestones: booking.milestones
+    });
+  } catch (error) {
+    console.error('Reorder milestones error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const deleteMilestone = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const milestone = findMilestone(req, res);
+    if (!milestone) return;
+
+    booking.milestones.pull(milestone._id);
+    await booking.save();
+
+    res.json({ message: 'Milestone deleted successfully' });
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,171 @@
+// controllers/occurrenceController.js
+import moment from 'moment';
+import { reserveBooking, releaseOccurrence } from '../services/reservationService.js';
+import { addCredit } from '../services/quoteService.js';
+import {
+  syncInstalments,
+  calculatePaymentStatus,
+  getPaymentSummary,
+  refundPayment
+} from '../services/paymentService.js';
+
+const OPEN_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const findOccurrence = (req, res) => {
+  const occurrence = req.booking.occurrences.id(req.params.occurrenceId);
+  if (!occurrence) {
+    res.status(404).json({ message: 'Occurrence not found' });
+  }
+  return occurrence;
+};
+
+const findInstalment = (booking, occurrence) => booking.payment.instalments.find(
+  instalment => instalment.occurrence?.toString() === occurrence._id.toString()
+);
+
+export const getOccurrences = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    res.json({
+      occurrences: booking.occurrences.map(occurrence => {
+        const instalment = findInstalment(booking, occurrence);
+        return {
+          ...occurrence.toObject(),
+          startTime: occurrence.startTime || booking.eventDetails.startTime,
+          endTime: occurrence.endTime || booking.eventDetails.endTime,
+          deliverables: booking.deliverables
+            .filter(deliverable => deliverable.occurrence?.toString() === occurrence._id.toString())
+            .map(deliverable => ({ _id: deliverable._id, name: deliverable.name, status: deliverable.status })),
+          instalment: instalment && {
+            _id: instalment._id,
+            amount: instalment.amount,
+            dueDate: instalment.dueDate,
+            status: instalment.status,
+            paidAt: instalment.paidAt
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Providers mark a day as done once it has started; either side can call off a
+// day that hasn't. A cancelled day comes off the total and its instalment is
+// waived, refunding it if it was already paid.
+export const updateOccurrence = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+    const { status, reason, notes } = req.body;
+
+    const occurrence = findOccurrence(req, res);
+    if (!occurrence) return;
+
+    if (!OPEN_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot update occurrences of a ${booking.status} booking` });
+    }
+
+    if (status && !['completed', 'cancelled'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be completed or cancelled' });
+    }
+
+    if (status && occurrence.status !== 'scheduled') {
+      return res.status(400).json({ message: `Occurrence is already ${occurrence.status}` });
+    }
+
+    if (notes !== undefined) {
+      if (!['provider', 'admin'].includes(bookingRole)) {
+        return res.status(403).json({ message: 'Only the provider can add notes to an occurrence' });
+      }
+      occurrence.notes = notes;
+    }
+
+    let refund = null;
+
+    if (status === 'completed') {
+      if (!['provider', 'admin'].includes(bookingRole)) {
+        return res.status(403).json({ message: 'Only the provider can complete an occurrence' });
+      }
+
+      if (booking.status === 'pending') {
+        return res.status(400).json({ message: 'Booking must be confirmed first' });
+      }
+
+      if (moment(occurrence.date).startOf('day').isAfter(moment())) {
+        return res.status(400).json({ message: 'Occurrence has not started yet' });
+      }
+
+      occurrence.status = 'completed';
+      occurrence.completedAt = new Date();
+    }
+
+    if (status === 'cancelled') {
+      if (!moment(occurrence.date).startOf('day').isAfter(moment())) {
+        return res.status(400).json({ message: 'Only future occurrences can be cancelled' });
+      }
+
+      const remaining = booking.occurrences.filter(other => other.status === 'scheduled');
+      if (remaining.length <= 1) {
+        return res.status(400).json({ message: 'Cancel the booking instead of its last occurrence' });
+      }
+
+      occurrence.status = 'cancelled';
+      occurrence.cancelledAt = new Date();
+      occurrence.cancelledBy = req.user._id;
+      occurrence.cancellationReason = reason;
+
+      const instalment = findInstalment(booking, occurrence);
+      if (instalment) {
+        Object.assign(booking.pricing, addCredit(booking.pricing, {
+          label: `Cancelled ${moment(occurrence.date).format('YYYY-MM-DD')}`,
+          amount: instalment.subtotal || 0
+        }));
+        instalment.status = 'waived';
+        instalment.paidAt = undefined;
+      }
+
+      booking.communication.push({
+        from: req.user._id,
+        message: `Occurrence on ${moment(occurrence.date).format('YYYY-MM-DD')} cancelled${reason ? `: ${reason}` : ''}`,
+        type: 'status_update'
+      });
+    }
+
+    syncInstalments(booking);
+    booking.payment.status = calculatePaymentStatus(booking);
+    await booking.save();
+
+    if (status === 'cancelled') {
+      // Free the day for the provider, crew and equipment once the cancellation
+      // is saved. If the rest of the booking can't be re-claimed, the day is
+      // still released on its own.
+      const reservation = await reserveBooking(booking);
+      if (!reservation.reserved) {
+        await releaseOccurrence(booking._id, {
+          date: occurrence.date,
+          startTime: occurrence.startTime || booking.eventDetails.startTime,
+          endTime: occurrence.endTime || booking.eventDetails.endTime
+        });
+      }
+
+      // Anything paid beyond the new total goes back to the client
+      const { netPaid, totalAmount } = getPaymentSummary(booking);
+      if (netPaid > totalAmount) {
+        refund = await refundPayment(booking, netPaid - totalAmount, 'Occurrence cancelled');
+      }
+    }
+
+    res.json({
+      message: status ? `Occurrence ${status}` : 'Occurrence updated',
+      occurrence,
+      payment: getPaymentSummary(booking),
+      refund
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
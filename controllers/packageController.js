@@ -0,0 +1,437 @@
+// controllers/packageController.js
+import BookingPackage from '../models/BookingPackage.js';
+import Booking from '../models/Booking.js';
+import { sendBookingConfirmation } from '../services/notificationService.js';
+import { calculateAvailability } from '../utils/availabilityChecker.js';
+import { reserveBooking, releaseBooking } from '../services/reservationService.js';
+import {
+  quotePackage,
+  getPackageStatus,
+  getPackageRole,
+  getPackagePaymentSplit,
+  summarizePackagePayments,
+  createPackageIntent,
+  confirmPackageIntent
+} from '../services/packageService.js';
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Shared details the client can change after booking. Date and times are fixed:
+// moving the event means rebooking every provider.
+const EDITABLE_DETAILS = ['description', 'location', 'guestCount', 'specialRequirements'];
+
+// Child bookings that still follow changes to the shared details
+const OPEN_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const populatePackage = (query) => query
+  .populate('client', 'name email avatar')
+  .populate({
+    path: 'bookings.booking',
+    select: 'provider providerType status eventDetails.startTime eventDetails.endTime services pricing payment.status payment.amountPaid payment.amountRefunded payment.deposit',
+    populate: { path: 'provider', select: 'businessName user' }
+  });
+
+// Load the package and the caller's role on it, sending 404/403 when there is none
+const findPackage = async (req, res, populate = true) => {
+  const query = BookingPackage.findById(req.params.id);
+  const bookingPackage = await (populate ? populatePackage(query) : query);
+
+  if (!bookingPackage) {
+    res.status(404).json({ message: 'Package not found' });
+    return null;
+  }
+
+  const role = getPackageRole(bookingPackage, req.user);
+  if (!role) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  req.packageRole = role;
+  return bookingPackage;
+};
+
+const childBookingsOf = (bookingPackage) =>
+  bookingPackage.bookings.map(part => part.booking).filter(Boolean);
+
+const describeQuote = ({ parts, pricing }) => ({
+  ...pricing,
+  providers: parts.map(({ provider, providerType, eventDetails, quote }) => ({
+    providerId: provider._id,
+    providerType,
+    businessName: provider.businessName,
+    startTime: eventDetails.startTime,
+    endTime: eventDetails.endTime,
+    duration: quote.duration,
+    services: quote.services,
+    ...quote.pricing
+  }))
+});
+
+export const getPackageQuote = async (req, res) => {
+  try {
+    const { title, eventDetails, providers } = req.body;
+
+    const quote = await quotePackage({ title, eventDetails, items: providers });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Unable to quote this package',
+        errors: quote.errors
+      });
+    }
+
+    res.json({ quote: describeQuote(quote) });
+  } catch (error) {
+    console.error('Get package quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const createPackage = async (req, res) => {
+  try {
+    const { title, eventDetails, providers, timeline = [], pricing } = req.body;
+
+    const quote = await quotePackage({ title, eventDetails, items: providers });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Unable to quote this package',
+        errors: quote.errors
+      });
+    }
+
+    // The client confirmed a combined price; refuse if it no longer matches
+    if (pricing?.totalAmount !== undefined &&
+        Math.abs(pricing.totalAmount - quote.pricing.totalAmount) > 0.01) {
+      return res.status(409).json({
+        message: 'Price has changed. Please review the updated quote.',
+        quote: describeQuote(quote)
+      });
+    }
+
+    for (const { provider } of quote.parts) {
+      const availability = await calculateAvailability(provider, eventDetails.date);
+      if (!availability.available) {
+        return res.status(400).json({
+          message: `${provider.businessName} is not available on selected date`,
+          reason: availability.reason
+        });
+      }
+    }
+
+    const bookingPackage = new BookingPackage({
+      client: req.user._id,
+      title,
+      eventDetails,
+      timeline,
+      pricing: {
+        ...quote.pricing,
+        quotedAt: new Date()
+      }
+    });
+
+    const bookings = quote.parts.map(({ provider, providerType, eventDetails: childDetails, quote: childQuote }) => new Booking({
+      client: req.user._id,
+      provider: provider._id,
+      providerType,
+      package: bookingPackage._id,
+      eventDetails: {
+        ...childDetails,
+        duration: childQuote.duration
+      },
+      services: childQuote.services,
+      pricing: {
+        ...childQuote.pricing,
+        quotedAt: new Date()
+      },
+      teamAssignment: {
+        mainProvider: provider._id,
+        teamMembers: [],
+        equipment: []
+      }
+    }));
+
+    // All providers or none: give back earlier holds if any one is taken
+    const holds = [];
+    for (const [index, booking] of bookings.entries()) {
+      const reservation = await reserveBooking(booking);
+      if (!reservation.reserved) {
+        await Promise.all(bookings.slice(0, index).map(held => releaseBooking(held._id)));
+        return res.status(409).json({
+          message: `${quote.parts[index].provider.businessName} is already booked for part of this time`,
+          providerId: quote.parts[index].provider._id,
+          conflicts: reservation.conflicts
+        });
+      }
+      holds.push(reservation.expiresAt);
+    }
+
+    bookingPackage.bookings = quote.parts.map(({ provider, providerType }, index) => ({
+      booking: bookings[index]._id,
+      provider: provider._id,
+      providerType,
+      providerUser: provider.user
+    }));
+
+    // A failed save undoes the whole package: every hold and any child already saved
+    try {
+      for (const booking of bookings) {
+        await booking.save();
+      }
+      await bookingPackage.save();
+    } catch (saveError) {
+      await Promise.all(bookings.map(booking => releaseBooking(booking._id)));
+      await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) } });
+      throw saveError;
+    }
+
+    for (const booking of bookings) {
+      await sendBookingConfirmation(booking);
+    }
+
+    res.status(201).json({
+      message: 'Package booked successfully',
+      package: await populatePackage(BookingPackage.findById(bookingPackage._id)),
+      holdExpiresAt: holds.filter(Boolean).sort((a, b) => a - b)[0]
+    });
+  } catch (error) {
+    console.error('Create package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Clients see packages they booked, providers the packages they are part of
+export const getPackages = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (req.user.role === 'user') {
+      query.client = req.user._id;
+    } else if (req.user.role !== 'admin') {
+      query['bookings.providerUser'] = req.user._id;
+    }
+
+    const packages = await populatePackage(BookingPackage.find(query))
+      .sort({ 'eventDetails.date': -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await BookingPackage.countDocuments(query);
+
+    res.json({
+      packages: packages.map(bookingPackage => ({
+        ...bookingPackage.toObject(),
+        status: getPackageStatus(childBookingsOf(bookingPackage))
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getPackageById = async (req, res) => {
+  try {
+    const bookingPackage = await findPackage(req, res);
+    if (!bookingPackage) return;
+
+    const bookings = childBookingsOf(bookingPackage);
+
+    res.json({
+      package: bookingPackage,
+      status: getPackageStatus(bookings),
+      payments: summarizePackagePayments(bookings)
+    });
+  } catch (error) {
+    console.error('Get package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Client: change the shared details; open child bookings follow
+export const updatePackage = async (req, res) => {
+  try {
+    const bookingPackage = await findPackage(req, res, false);
+    if (!bookingPackage) return;
+
+    if (req.packageRole !== 'client') {
+      return res.status(403).json({ message: 'Only the client can change the event details' });
+    }
+
+    const { title, eventDetails = {} } = req.body;
+
+    if (['date', 'startTime', 'endTime'].some(field => eventDetails[field] !== undefined)) {
+      return res.status(400).json({ message: 'Event date and times cannot be changed on a package' });
+    }
+
+    const childUpdate = {};
+    if (title !== undefined) {
+      bookingPackage.title = title;
+      childUpdate['eventDetails.title'] = title;
+    }
+
+    for (const field of EDITABLE_DETAILS) {
+      if (eventDetails[field] !== undefined) {
+        bookingPackage.eventDetails[field] = eventDetails[field];
+        childUpdate[`eventDetails.${field}`] = eventDetails[field];
+      }
+    }
+
+    await bookingPackage.save();
+
+    if (Object.keys(childUpdate).length > 0) {
+      await Booking.updateMany(
+        { package: bookingPackage._id, status: { $in: OPEN_STATUSES } },
+        { $set: childUpdate }
+      );
+    }
+
+    res.json({
+      message: 'Package updated successfully',
+      package: await populatePackage(BookingPackage.findById(bookingPackage._id))
+    });
+  } catch (error) {
+    console.error('Update package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Client or any provider on the package: replace the running order of the day
+export const updateTimeline = async (req, res) => {
+  try {
+    const bookingPackage = await findPackage(req, res, false);
+    if (!bookingPackage) return;
+
+    const { timeline } = req.body;
+    if (!Array.isArray(timeline)) {
+      return res.status(400).json({ message: 'Timeline must be an array' });
+    }
+
+    const childIds = bookingPackage.bookings.map(part => part.booking.toString());
+
+    for (const item of timeline) {
+      if (!item.title || !TIME_PATTERN.test(item.startTime || '') ||
+          (item.endTime && !TIME_PATTERN.test(item.endTime))) {
+        return res.status(400).json({ message: 'Each timeline item needs a title and HH:MM times' });
+      }
+
+      if ((item.bookings || []).some(id => !childIds.includes(String(id)))) {
+        return res.status(400).json({ message: 'Timeline items can only reference bookings on this package' });
+      }
+    }
+
+    // HH:MM compares by minutes, not as text ('9:00' comes before '10:00')
+    const minutes = (time) => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+
+    bookingPackage.timeline = [...timeline].sort((a, b) => minutes(a.startTime) - minutes(b.startTime));
+    await bookingPackage.save();
+
+    res.json({
+      message: 'Timeline updated successfully',
+      timeline: bookingPackage.timeline
+    });
+  } catch (error) {
+    console.error('Update package timeline error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getPackagePayments = async (req, res) => {
+  try {
+    const bookingPackage = await findPackage(req, res, false);
+    if (!bookingPackage) return;
+
+    const bookings = await Booking.find({ package: bookingPackage._id });
+
+    res.json({
+      summary: summarizePackagePayments(bookings),
+      intents: bookingPackage.payment.intents
+    });
+  } catch (error) {
+    console.error('Get package payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Client: one deposit or balance payment, split across the providers
+export const createPackagePaymentIntent = async (req, res) => {
+  try {
+    const bookingPackage = await findPackage(req, res, false);
+    if (!bookingPackage) return;
+
+    const { purpose } = req.body;
+
+    if (req.packageRole !== 'client') {
+      return res.status(403).json({ message: 'Only the client can pay for this package' });
+    }
+
+    if (!['deposit', 'balance'].includes(purpose)) {
+      return res.status(400).json({ message: 'Purpose must be deposit or balance' });
+    }
+
+    const bookings = await Booking.find({ package: bookingPackage._id });
+    if (getPackagePaymentSplit(bookings, purpose).length === 0) {
+      return res.status(400).json({
+        message: purpose === 'deposit'
+          ? 'Deposits have already been paid'
+          : 'Nothing left to pay on this package'
+      });
+    }
+
+    const intent = await createPackageIntent(bookingPackage, bookings, purpose);
+
+    res.status(201).json({
+      message: 'Payment intent created',
+      intent
+    });
+  } catch (error) {
+    console.error('Create package payment intent error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const confirmPackagePaymentIntent = async (req, res) => {
+  try {
+    const bookingPackage = await findPackage(req, res, false);
+    if (!bookingPackage) return;
+
+    const { intentId } = req.params;
+    const { paymentMethod } = req.body;
+
+    if (req.packageRole !== 'client') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!bookingPackage.payment.intents.some(intent => intent.intentId === intentId)) {
+      return res.status(404).json({ message: 'Payment intent not found' });
+    }
+
+    const result = await confirmPackageIntent(bookingPackage, intentId, { paymentMethod });
+
+    if (result.status === 'failed') {
+      return res.status(402).json({
+        message: result.failureReason || 'Payment failed',
+        intent: result
+      });
+    }
+
+    const bookings = await Booking.find({ package: bookingPackage._id });
+
+    res.json({
+      message: 'Payment confirmed',
+      intent: result,
+      summary: summarizePackagePayments(bookings)
+    });
+  } catch (error) {
+    console.error('Confirm package payment intent error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
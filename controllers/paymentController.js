@@ -0,0 +1,181 @@
+// controllers/paymentController.js
+import Booking from '../models/Booking.js';
+import { getBookingRole } from '../utils/bookingAccess.js';
+import {
+  getPaymentSummary,
+  getIntentAmount,
+  createPaymentIntent,
+  confirmPaymentIntent,
+  refundPayment
+} from '../services/paymentService.js';
+
+export const getBookingPayments = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    res.json({
+      summary: getPaymentSummary(booking),
+      transactions: booking.payment.transactions,
+      intents: booking.payment.intents
+    });
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const createIntent = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+    const { purpose } = req.body;
+
+    if (bookingRole !== 'client') {
+      return res.status(403).json({ message: 'Only the client can pay for this booking' });
+    }
+
+    if (!['deposit', 'balance', 'instalment'].includes(purpose)) {
+      return res.status(400).json({ message: 'Purpose must be deposit, balance or instalment' });
+    }
+
+    if (purpose === 'instalment' && !booking.payment.instalments?.length) {
+      return res.status(400).json({ message: 'This booking is not paid in instalments' });
+    }
+
+    if (['cancelled', 'disputed'].includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot take payment for a ${booking.status} booking` });
+    }
+
+    if (purpose === 'deposit' && booking.payment.deposit?.paid) {
+      return res.status(400).json({ message: 'Deposit has already been paid' });
+    }
+
+    if (getIntentAmount(booking, purpose) <= 0) {
+      return res.status(400).json({ message: 'Nothing left to pay on this booking' });
+    }
+
+    const intent = await createPaymentIntent(booking, purpose);
+
+    res.status(201).json({
+      message: 'Payment intent created',
+      intent
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const confirmIntent = async (req, res) => {
+  try {
+    const { intentId } = req.params;
+    const { paymentMethod } = req.body;
+
+    const booking = await Booking.findOne({ 'payment.intents.intentId': intentId });
+    if (!booking) {
+      return res.status(404).json({ message: 'Payment intent not found' });
+    }
+
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (bookingRole !== 'client') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const result = await confirmPaymentIntent(booking, intentId, { paymentMethod });
+
+    if (result.status === 'canceled') {
+      return res.status(409).json({
+        message: result.failureReason,
+        intent: result
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(402).json({
+        message: result.failureReason || 'Payment failed',
+        intent: result
+      });
+    }
+
+    res.json({
+      message: 'Payment confirmed',
+      intent: result,
+      summary: getPaymentSummary(booking)
+    });
+  } catch (error) {
+    console.error('Confirm payment intent error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const createRefund = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+    const { amount, reason } = req.body;
+
+    if (!['provider', 'admin'].includes(bookingRole)) {
+      return res.status(403).json({ message: 'Only the provider or an admin can issue refunds' });
+    }
+
+    const { netPaid } = getPaymentSummary(booking);
+    const refundAmount = amount === undefined ? netPaid : parseFloat(amount);
+
+    if (!(refundAmount > 0)) {
+      return res.status(400).json({ message: 'Refund amount must be a positive number' });
+    }
+
+    if (refundAmount > netPaid) {
+      return res.status(400).json({
+        message: 'Refund amount exceeds the amount paid',
+        refundable: netPaid
+      });
+    }
+
+    const result = await refundPayment(booking, refundAmount, reason);
+
+    res.json({
+      message: 'Refund processed successfully',
+      ...result,
+      summary: getPaymentSummary(booking)
+    });
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getPaymentHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = {
+      client: req.user._id,
+      'payment.transactions.0': { $exists: true }
+    };
+
+    const bookings = await Booking.find(query)
+      .select('eventDetails.title eventDetails.date pricing.totalAmount payment status')
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      payments: bookings.map(booking => ({
+        bookingId: booking._id,
+        event: booking.eventDetails.title,
+        eventDate: booking.eventDetails.date,
+        bookingStatus: booking.status,
+        summary: getPaymentSummary(booking),
+        transactions: booking.payment.transactions
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
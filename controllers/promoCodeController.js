@@ -0,0 +1,234 @@
+// controllers/promoCodeController.js
+import PromoCode from '../models/PromoCode.js';
+import { checkPromoCode } from '../services/promoService.js';
+import { buildQuote } from '../services/quoteService.js';
+import { getProviderModel } from '../services/providerService.js';
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'scope',
+  'provider',
+  'providerType',
+  'minSpend',
+  'usageLimit',
+  'perUserLimit',
+  'validFrom',
+  'validUntil',
+  'isActive'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    data[field] = body[field];
+  }
+  return data;
+}, {});
+
+// Admin: list promo codes
+export const getPromoCodes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, scope, active } = req.query;
+
+    const query = {};
+
+    if (search) {
+      query.code = { $regex: search, $options: 'i' };
+    }
+
+    if (scope) {
+      query.scope = scope;
+    }
+
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const promoCodes = await PromoCode.find(query)
+      .select('-redemptions')
+      .populate('provider', 'businessName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PromoCode.countDocuments(query);
+
+    res.json({
+      promoCodes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total
+      }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: promo code with its redemption history
+export const getPromoCodeById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await PromoCode.findById(id)
+      .populate('provider', 'businessName')
+      .populate('redemptions.user', 'name email')
+      .populate('redemptions.booking', 'eventDetails.title eventDetails.date status');
+
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    res.json({ promoCode });
+  } catch (error) {
+    console.error('Get promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: create a promo code
+export const createPromoCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const existing = await PromoCode.findOne({ code: code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ message: 'Promo code already exists' });
+    }
+
+    const data = pickEditableFields(req.body);
+
+    if (data.scope === 'provider') {
+      const ProviderModel = getProviderModel(data.providerType);
+      if (!ProviderModel) {
+        return res.status(400).json({ message: 'Invalid provider type' });
+      }
+
+      const provider = await ProviderModel.findById(data.provider);
+      if (!provider) {
+        return res.status(404).json({ message: 'Provider not found' });
+      }
+    }
+
+    const promoCode = new PromoCode({
+      ...data,
+      code,
+      createdBy: req.user._id
+    });
+
+    await promoCode.save();
+
+    res.status(201).json({
+      message: 'Promo code created successfully',
+      promoCode
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: update a promo code (the code itself and its usage are not editable)
+export const updatePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      id,
+      pickEditableFields(req.body),
+      { new: true, runValidators: true }
+    ).select('-redemptions');
+
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    res.json({
+      message: 'Promo code updated successfully',
+      promoCode
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin: delete an unused code, or deactivate one that has been redeemed
+export const deletePromoCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await PromoCode.findById(id);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    if (promoCode.usageCount > 0) {
+      promoCode.isActive = false;
+      await promoCode.save();
+      return res.json({ message: 'Promo code has redemptions and was deactivated' });
+    }
+
+    await PromoCode.findByIdAndDelete(id);
+
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Client: check a code against the booking being quoted
+export const validatePromoCodeForBooking = async (req, res) => {
+  try {
+    const { code, providerId, providerType, eventDetails, services } = req.body;
+
+    const ProviderModel = getProviderModel(providerType);
+    if (!ProviderModel) {
+      return res.status(400).json({ message: 'Invalid provider type' });
+    }
+
+    const provider = await ProviderModel.findById(providerId);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const quote = buildQuote(provider, { eventDetails, services });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Unable to quote this booking',
+        errors: quote.errors
+      });
+    }
+
+    const result = await checkPromoCode({
+      code,
+      userId: req.user._id,
+      providerId: provider._id,
+      providerType,
+      subtotal: quote.pricing.subtotal
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        valid: false,
+        message: result.reason
+      });
+    }
+
+    res.json({
+      valid: true,
+      code: result.promo.code,
+      description: result.promo.description,
+      discount: result.discount
+    });
+  } catch (error) {
+    console.error('Validate promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
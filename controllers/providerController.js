@@ -0,0 +1,634 @@
+// controllers/providerController.js
+// Handlers shared by every provider type. Routes set req.providerType, and
+// authorizeProviderAccess loads the caller's own profile into req.profile.
+import mongoose from 'mongoose';
+import TeamMember from '../models/TeamMember.js';
+import Equipment from '../models/Equipment.js';
+import Review from '../models/Review.js';
+import { uploadImage, deleteFile, getPublicIdFromUrl } from '../config/cloudinary.js';
+import {
+  listProviderTypes,
+  searchProviders,
+  getDashboardStats as buildDashboardStats,
+  getBookingHistory as findBookingHistory,
+  getTeamAvailability as findTeamAvailability,
+  createPortfolioItem,
+  removePortfolioMedia
+} from '../services/providerService.js';
+import {
+  checkEquipmentBookable,
+  getEquipmentReservations,
+  getMaintenanceStatus,
+  buildEquipmentReport
+} from '../services/equipmentService.js';
+import { getCancellationPolicy } from '../services/cancellationService.js';
+
+const CALENDAR_DAYS = 60;
+
+// Load one of the profile's equipment items, sending the 404 when it isn't theirs
+const findEquipment = async (req, res) => {
+  const equipment = await Equipment.findOne({ _id: req.params.equipmentId, owner: req.profile._id });
+  if (!equipment) {
+    res.status(404).json({ message: 'Equipment not found' });
+  }
+  return equipment;
+};
+
+const findPortfolioItem = (req, res) => {
+  const portfolioItem = req.profile.portfolio.id(req.params.portfolioId);
+  if (!portfolioItem) {
+    res.status(404).json({ message: 'Portfolio item not found' });
+  }
+  return portfolioItem;
+};
+
+const requireAlbums = (req, res) => {
+  if (req.providerType.portfolioMedia !== 'images') {
+    res.status(400).json({ message: 'This provider type does not use image albums' });
+    return false;
+  }
+  return true;
+};
+
+export const getProviderTypes = async (req, res) => {
+  try {
+    res.json({
+      types: listProviderTypes().map(({ key, modelName, plural, portfolioMedia, extensions }) => ({
+        key,
+        modelName,
+        plural,
+        portfolioMedia,
+        extensions
+      }))
+    });
+  } catch (error) {
+    console.error('Get provider types error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getProviders = async (req, res) => {
+  try {
+    const { providers, pagination } = await searchProviders(req.providerType, req.query);
+
+    res.json({
+      [req.providerType.plural]: providers,
+      pagination
+    });
+  } catch (error) {
+    console.error(`Get ${req.providerType.plural} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Public profile by profile id (or by user id via getProviderByUserId); counts as a view
+const showProfile = (findProfile) => async (req, res) => {
+  try {
+    const { Model, modelName, key } = req.providerType;
+    const filter = findProfile(req);
+
+    if (!filter) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    const profile = await Model.findOne(filter)
+      .populate('user', 'name email avatar phone')
+      .populate('teamMembers')
+      .populate('equipment');
+
+    if (!profile || !profile.isActive) {
+      return res.status(404).json({ message: `${modelName} not found` });
+    }
+
+    profile.analytics.profileViews += 1;
+    await profile.save();
+
+    const reviews = await Review.find({ provider: profile._id, providerType: modelName })
+      .populate('client', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({ [key]: profile, reviews });
+  } catch (error) {
+    console.error(`Get ${req.providerType.key} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getProviderById = showProfile(req =>
+  mongoose.isValidObjectId(req.params.id) && { _id: req.params.id }
+);
+
+export const getProviderByUserId = showProfile(req =>
+  mongoose.isValidObjectId(req.params.userId) && { user: req.params.userId }
+);
+
+export const updateProvider = async (req, res) => {
+  try {
+    const { Model, key } = req.providerType;
+    // The cancellation policy is validated on its own route
+    const { cancellationPolicy, ...updates } = req.body;
+
+    const profile = await Model.findByIdAndUpdate(
+      req.profile._id,
+      updates,
+      { new: true, runValidators: true }
+    ).populate('user', 'name email avatar');
+
+    res.json({
+      message: 'Profile updated successfully',
+      [key]: profile
+    });
+  } catch (error) {
+    console.error(`Update ${req.providerType.key} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Update a type-specific profile section such as a videographer's postProduction
+export const updateExtension = async (req, res) => {
+  try {
+    const { extension } = req.params;
+    const { profile, providerType } = req;
+
+    if (!providerType.extensions.includes(extension)) {
+      return res.status(404).json({ message: `${providerType.modelName} profiles have no ${extension} section` });
+    }
+
+    for (const [field, value] of Object.entries(req.body)) {
+      profile.set(`${extension}.${field}`, value);
+    }
+    await profile.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      [extension]: profile.get(extension)
+    });
+  } catch (error) {
+    console.error('Update provider extension error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getDashboardStats = async (req, res) => {
+  try {
+    res.json(await buildDashboardStats(req.providerType, req.profile));
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getBookingHistory = async (req, res) => {
+  try {
+    res.json(await findBookingHistory(req.providerType, req.profile, req.query));
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getTeamAvailability = async (req, res) => {
+  try {
+    const { Model, modelName } = req.providerType;
+
+    const profile = mongoose.isValidObjectId(req.params.id) && await Model.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: `${modelName} not found` });
+    }
+
+    res.json(await findTeamAvailability(req.providerType, profile, req.query.date));
+  } catch (error) {
+    console.error('Get team availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const updateAvailability = async (req, res) => {
+  try {
+    const { workingHours, blackoutDates } = req.body;
+
+    const profile = await req.providerType.Model.findByIdAndUpdate(
+      req.profile._id,
+      {
+        'availability.workingHours': workingHours,
+        'availability.blackoutDates': blackoutDates
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Availability updated successfully',
+      availability: profile.availability
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const updateCancellationPolicy = async (req, res) => {
+  try {
+    const { tiers, depositNonRefundable = false } = req.body;
+
+    const profile = await req.providerType.Model.findByIdAndUpdate(
+      req.profile._id,
+      {
+        cancellationPolicy: {
+          tiers: tiers.map(tier => ({
+            daysBefore: Number(tier.daysBefore),
+            refundPercentage: Number(tier.refundPercentage)
+          })),
+          depositNonRefundable
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Cancellation policy updated successfully',
+      cancellationPolicy: getCancellationPolicy(profile)
+    });
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const addTeamMember = async (req, res) => {
+  try {
+    const { profile, providerType } = req;
+
+    const teamMember = new TeamMember({
+      ...req.body,
+      owner: profile._id,
+      ownerType: providerType.modelName
+    });
+
+    await teamMember.save();
+
+    profile.teamMembers.push(teamMember._id);
+    await profile.save();
+
+    res.status(201).json({
+      message: 'Team member added successfully',
+      teamMember
+    });
+  } catch (error) {
+    console.error('Add team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const updateTeamMember = async (req, res) => {
+  try {
+    const teamMember = await TeamMember.findOneAndUpdate(
+      { _id: req.params.memberId, owner: req.profile._id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!teamMember) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    res.json({
+      message: 'Team member updated successfully',
+      teamMember
+    });
+  } catch (error) {
+    console.error('Update team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const deleteTeamMember = async (req, res) => {
+  try {
+    const { profile } = req;
+    const { memberId } = req.params;
+
+    await TeamMember.findOneAndDelete({ _id: memberId, owner: profile._id });
+
+    profile.teamMembers.pull(memberId);
+    await profile.save();
+
+    res.json({ message: 'Team member deleted successfully' });
+  } catch (error) {
+    console.error('Delete team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// An album of images or a single video, depending on the provider type
+export const uploadPortfolio = async (req, res) => {
+  try {
+    const { profile, providerType } = req;
+
+    const result = await createPortfolioItem(providerType, { files: req.files, file: req.file }, req.body);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    profile.portfolio.push(result.item);
+    await profile.save();
+
+    res.status(201).json({
+      message: 'Portfolio item uploaded successfully',
+      portfolioItem: profile.portfolio[profile.portfolio.length - 1]
+    });
+  } catch (error) {
+    console.error('Upload portfolio error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const addPortfolioImages = async (req, res) => {
+  try {
+    if (!requireAlbums(req, res)) return;
+
+    const portfolioItem = findPortfolioItem(req, res);
+    if (!portfolioItem) return;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images provided' });
+    }
+
+    for (const file of req.files) {
+      const uploadResult = await uploadImage(file, `${req.providerType.key}-portfolio`);
+      portfolioItem.images.push(uploadResult.url);
+    }
+    await req.profile.save();
+
+    res.json({
+      message: 'Images added successfully',
+      portfolioItem
+    });
+  } catch (error) {
+    console.error('Add portfolio images error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const deletePortfolioImage = async (req, res) => {
+  try {
+    if (!requireAlbums(req, res)) return;
+
+    const portfolioItem = findPortfolioItem(req, res);
+    if (!portfolioItem) return;
+
+    const index = parseInt(req.params.imageIndex);
+    const imageUrl = portfolioItem.images[index];
+    if (!imageUrl) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    await deleteFile(getPublicIdFromUrl(imageUrl));
+
+    portfolioItem.images.splice(index, 1);
+    await req.profile.save();
+
+    res.json({
+      message: 'Image deleted successfully',
+      portfolioItem
+    });
+  } catch (error) {
+    console.error('Delete portfolio image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const deletePortfolioItem = async (req, res) => {
+  try {
+    const portfolioItem = findPortfolioItem(req, res);
+    if (!portfolioItem) return;
+
+    await removePortfolioMedia(req.providerType, portfolioItem);
+
+    req.profile.portfolio.pull(portfolioItem._id);
+    await req.profile.save();
+
+    res.json({ message: 'Portfolio item deleted successfully' });
+  } catch (error) {
+    console.error('Delete portfolio item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const addEquipment = async (req, res) => {
+  try {
+    const { profile, providerType } = req;
+
+    // Handle image uploads
+    const images = [];
+    for (const file of req.files || []) {
+      const uploadResult = await uploadImage(file, 'equipment');
+      images.push(uploadResult.url);
+    }
+
+    const equipment = new Equipment({
+      ...req.body,
+      images,
+      owner: profile._id,
+      ownerType: providerType.modelName
+    });
+
+    await equipment.save();
+
+    profile.equipment.push(equipment._id);
+    await profile.save();
+
+    res.status(201).json({
+      message: 'Equipment added successfully',
+      equipment
+    });
+  } catch (error) {
+    console.error('Add equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const updateEquipment = async (req, res) => {
+  try {
+    const equipment = await Equipment.findOneAndUpdate(
+      { _id: req.params.equipmentId, owner: req.profile._id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    // Items taken out of service keep their existing reservations; list them so
+    // the provider can swap in other kit
+    const check = checkEquipmentBookable(equipment);
+    const affectedReservations = check.bookable ? [] : await getEquipmentReservations(equipment._id, {
+      from: new Date(),
+      to: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+    });
+
+    res.json({
+      message: 'Equipment updated successfully',
+      equipment,
+      ...(!check.bookable && { warning: check.reason, affectedReservations })
+    });
+  } catch (error) {
+    console.error('Update equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const deleteEquipment = async (req, res) => {
+  try {
+    const equipment = await findEquipment(req, res);
+    if (!equipment) return;
+
+    // Delete images from Cloudinary
+    for (const imageUrl of equipment.images) {
+      await deleteFile(getPublicIdFromUrl(imageUrl));
+    }
+
+    await Equipment.findByIdAndDelete(equipment._id);
+
+    req.profile.equipment.pull(equipment._id);
+    await req.profile.save();
+
+    res.json({ message: 'Equipment deleted successfully' });
+  } catch (error) {
+    console.error('Delete equipment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Reserved windows for one item, defaulting to the next CALENDAR_DAYS days
+export const getEquipmentCalendar = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + CALENDAR_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const equipment = await findEquipment(req, res);
+    if (!equipment) return;
+
+    const check = checkEquipmentBookable(equipment);
+
+    res.json({
+      equipment: {
+        _id: equipment._id,
+        name: equipment.name,
+        condition: equipment.condition,
+        isAvailable: equipment.isAvailable,
+        bookable: check.bookable,
+        reason: check.reason
+      },
+      from,
+      to,
+      reservations: await getEquipmentReservations(equipment._id, { from, to })
+    });
+  } catch (error) {
+    console.error('Get equipment calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getMaintenanceLog = async (req, res) => {
+  try {
+    const equipment = await findEquipment(req, res);
+    if (!equipment) return;
+
+    res.json({
+      maintenanceLog: [...equipment.maintenanceLog].sort((a, b) => b.date - a.date),
+      maintenanceSchedule: equipment.maintenanceSchedule,
+      status: await getMaintenanceStatus(equipment)
+    });
+  } catch (error) {
+    console.error('Get maintenance log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const addMaintenanceRecord = async (req, res) => {
+  try {
+    const { type, date, cost, notes, performedBy, conditionAfter } = req.body;
+
+    if (date && Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Invalid maintenance date' });
+    }
+
+    const equipment = await findEquipment(req, res);
+    if (!equipment) return;
+
+    equipment.maintenanceLog.push({
+      type,
+      date: date || new Date(),
+      cost,
+      notes,
+      performedBy,
+      conditionAfter,
+      recordedBy: req.user._id
+    });
+    const record = equipment.maintenanceLog[equipment.maintenanceLog.length - 1];
+
+    // Back-dated entries don't move the service clock backwards
+    if (!equipment.lastMaintenance || record.date > equipment.lastMaintenance) {
+      equipment.lastMaintenance = record.date;
+      equipment.maintenanceSchedule.reminderSentAt = undefined;
+    }
+
+    if (conditionAfter) {
+      equipment.condition = conditionAfter;
+    }
+
+    await equipment.save();
+
+    res.status(201).json({
+      message: 'Maintenance recorded successfully',
+      record,
+      condition: equipment.condition,
+      status: await getMaintenanceStatus(equipment)
+    });
+  } catch (error) {
+    console.error('Add maintenance record error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Set or clear the service interval (days) and usage interval (bookings)
+export const updateMaintenanceSchedule = async (req, res) => {
+  try {
+    const { intervalDays, usageInterval } = req.body;
+
+    const equipment = await findEquipment(req, res);
+    if (!equipment) return;
+
+    if (intervalDays !== undefined) equipment.maintenanceSchedule.intervalDays = intervalDays || undefined;
+    if (usageInterval !== undefined) equipment.maintenanceSchedule.usageInterval = usageInterval || undefined;
+    equipment.maintenanceSchedule.reminderSentAt = undefined;
+
+    await equipment.save();
+
+    res.json({
+      message: 'Maintenance schedule updated successfully',
+      maintenanceSchedule: equipment.maintenanceSchedule,
+      status: await getMaintenanceStatus(equipment)
+    });
+  } catch (error) {
+    console.error('Update maintenance schedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Depreciation, asset value and maintenance status across the provider's kit
+export const getEquipmentReport = async (req, res) => {
+  try {
+    res.json(await buildEquipmentReport(req.profile._id));
+  } catch (error) {
+    console.error('Get equipment report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,481 @@
+// controllers/rentalController.js
+import EquipmentRental from '../models/EquipmentRental.js';
+import Equipment from '../models/Equipment.js';
+import { reserveRental, releaseRental, getRentalWindow } from '../services/reservationService.js';
+import { checkEquipmentBookable, filterUnreserved, UNBOOKABLE_CONDITIONS } from '../services/equipmentService.js';
+import {
+  getRentalRole,
+  canTransitionRental,
+  applyRentalTransition,
+  validateRentalDates,
+  quoteRental,
+  createRentalIntent,
+  cancelRentalIntent,
+  confirmRentalPayment,
+  refundRental,
+  settleDeposit
+} from '../services/rentalService.js';
+import { sendRentalRequest, sendRentalStatusUpdate } from '../services/notificationService.js';
+import { getProviderModel, findProviderProfile } from '../services/providerService.js';
+
+const TRANSITION_ERROR_STATUS = {
+  invalid_transition: 400,
+  not_permitted: 403
+};
+
+// Load the rental and the caller's role on it, sending 404/403 when there is none
+const findRental = async (req, res) => {
+  const rental = await EquipmentRental.findById(req.params.id).populate('equipment');
+  if (!rental) {
+    res.status(404).json({ message: 'Rental not found' });
+    return null;
+  }
+
+  const role = getRentalRole(rental, req.user);
+  if (!role) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return { rental, role };
+};
+
+const checkTransition = (res, rental, toStatus, role) => {
+  const check = canTransitionRental(rental, toStatus, role);
+  if (!check.allowed) {
+    res.status(TRANSITION_ERROR_STATUS[check.type]).json({ message: check.reason });
+  }
+  return check.allowed;
+};
+
+const CONDITIONS = Equipment.schema.path('condition').enumValues;
+
+const otherParty = (rental, role) => (role === 'owner' ? rental.renterUser : rental.ownerUser);
+
+// Rentable items from other providers, optionally only those free for the dates
+export const getRentalMarketplace = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, category, startDate, endDate, maxPrice } = req.query;
+
+    const provider = await findProviderProfile(req.user);
+
+    const query = {
+      rentable: true,
+      isAvailable: true,
+      condition: { $nin: UNBOOKABLE_CONDITIONS },
+      ...(provider && { owner: { $ne: provider.profile._id } }),
+      ...(category && { category }),
+      ...(maxPrice && { rentalPrice: { $lte: parseFloat(maxPrice) } })
+    };
+
+    let equipment = await Equipment.find(query)
+      .populate('owner', 'businessName location rating')
+      .sort({ rentalPrice: 1 });
+
+    if (startDate || endDate) {
+      const dates = validateRentalDates(startDate, endDate || startDate);
+      if (!dates.valid) {
+        return res.status(400).json({ message: dates.reason });
+      }
+      equipment = await filterUnreserved(equipment, getRentalWindow(dates));
+    }
+
+    const total = equipment.length;
+    const start = (page - 1) * limit;
+
+    res.json({
+      equipment: equipment.slice(start, start + limit * 1),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalResults: total
+    });
+  } catch (error) {
+    console.error('Get rental marketplace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const requestRental = async (req, res) => {
+  try {
+    const { equipmentId, startDate, endDate, message } = req.body;
+
+    const provider = await findProviderProfile(req.user);
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider profile not found' });
+    }
+
+    const equipment = await Equipment.findOne({ _id: equipmentId, rentable: true });
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+
+    if (equipment.owner.toString() === provider.profile._id.toString()) {
+      return res.status(400).json({ message: 'You cannot rent your own equipment' });
+    }
+
+    const check = checkEquipmentBookable(equipment);
+    if (!check.bookable) {
+      return res.status(400).json({ message: check.reason });
+    }
+
+    const dates = validateRentalDates(startDate, endDate);
+    if (!dates.valid) {
+      return res.status(400).json({ message: dates.reason });
+    }
+
+    const owner = await getProviderModel(equipment.ownerType).findById(equipment.owner).select('user');
+    if (!owner) {
+      return res.status(404).json({ message: 'Equipment owner not found' });
+    }
+
+    const rental = new EquipmentRental({
+      equipment: equipment._id,
+      owner: equipment.owner,
+      ownerType: equipment.ownerType,
+      ownerUser: owner.user,
+      renter: provider.profile._id,
+      renterType: provider.type.modelName,
+      renterUser: req.user._id,
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      message,
+      pricing: quoteRental(equipment, dates.days)
+    });
+
+    // Hold the item while the owner decides, so overlapping requests lose cleanly
+    const reservation = await reserveRental(rental);
+    if (!reservation.reserved) {
+      return res.status(409).json({
+        message: `${equipment.name} is already reserved for part of these dates`,
+        conflicts: reservation.conflicts
+      });
+    }
+
+    // The hold only makes sense with a rental behind it
+    try {
+      await rental.save();
+    } catch (saveError) {
+      await releaseRental(rental._id);
+      throw saveError;
+    }
+    await sendRentalRequest(rental, equipment);
+
+    res.status(201).json({
+      message: 'Rental requested successfully',
+      rental,
+      holdExpiresAt: reservation.expiresAt
+    });
+  } catch (error) {
+    console.error('Request rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Rentals the user is part of; `as` narrows to items they lend or borrow
+export const getRentals = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, as, status } = req.query;
+
+    const query = {
+      ...(as === 'owner' && { ownerUser: req.user._id }),
+      ...(as === 'renter' && { renterUser: req.user._id }),
+      ...(!['owner', 'renter'].includes(as) && {
+        $or: [{ ownerUser: req.user._id }, { renterUser: req.user._id }]
+      }),
+      ...(status && { status })
+    };
+
+    const rentals = await EquipmentRental.find(query)
+      .populate('equipment', 'name category brand model images')
+      .populate('owner', 'businessName')
+      .populate('renter', 'businessName')
+      .sort({ startDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await EquipmentRental.countDocuments(query);
+
+    res.json({
+      rentals,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalResults: total
+    });
+  } catch (error) {
+    console.error('Get rentals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const getRentalById = async (req, res) => {
+  try {
+    const found = await findRental(req, res);
+    if (!found) return;
+
+    await found.rental.populate([
+      { path: 'owner', select: 'businessName location' },
+      { path: 'renter', select: 'businessName location' }
+    ]);
+
+    res.json({ rental: found.rental, role: found.role });
+  } catch (error) {
+    console.error('Get rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const approveRental = async (req, res) => {
+  try {
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (!checkTransition(res, rental, 'approved', role)) return;
+
+    // The hold may have lapsed; approving makes the reservation firm
+    const reservation = await reserveRental(rental, { hold: false });
+    if (!reservation.reserved) {
+      return res.status(409).json({
+        message: 'Equipment has been reserved by someone else for part of these dates',
+        conflicts: reservation.conflicts
+      });
+    }
+
+    applyRentalTransition(rental, 'approved', { actor: req.user });
+    await rental.save();
+    await sendRentalStatusUpdate(rental, rental.equipment, rental.renterUser);
+
+    res.json({
+      message: 'Rental approved',
+      rental
+    });
+  } catch (error) {
+    console.error('Approve rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const declineRental = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (!checkTransition(res, rental, 'declined', role)) return;
+
+    applyRentalTransition(rental, 'declined', { actor: req.user, reason });
+    rental.declineReason = reason;
+    await cancelRentalIntent(rental);
+    await rental.save();
+    await releaseRental(rental._id);
+    await sendRentalStatusUpdate(rental, rental.equipment, rental.renterUser, reason);
+
+    res.json({
+      message: 'Rental declined',
+      rental
+    });
+  } catch (error) {
+    console.error('Decline rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Either side can cancel before the item is handed over; anything paid is refunded
+export const cancelRental = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (!checkTransition(res, rental, 'cancelled', role)) return;
+
+    applyRentalTransition(rental, 'cancelled', { actor: req.user, reason });
+    rental.cancellationReason = reason;
+    await cancelRentalIntent(rental);
+
+    let refund = null;
+    if (rental.payment.amountPaid > rental.payment.amountRefunded) {
+      refund = await refundRental(rental, rental.payment.amountPaid, 'Rental cancelled');
+    } else {
+      await rental.save();
+    }
+
+    await releaseRental(rental._id);
+    await sendRentalStatusUpdate(rental, rental.equipment, otherParty(rental, role), reason);
+
+    res.json({
+      message: 'Rental cancelled',
+      rental,
+      refund
+    });
+  } catch (error) {
+    console.error('Cancel rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const createRentalPayment = async (req, res) => {
+  try {
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (role !== 'renter') {
+      return res.status(403).json({ message: 'Only the renter can pay for this rental' });
+    }
+
+    if (rental.status !== 'approved') {
+      return res.status(400).json({ message: 'Rental must be approved before payment' });
+    }
+
+    if (rental.payment.status !== 'pending') {
+      return res.status(400).json({ message: 'Rental has already been paid' });
+    }
+
+    const intent = await createRentalIntent(rental);
+
+    res.status(201).json({
+      message: 'Payment intent created',
+      intent
+    });
+  } catch (error) {
+    console.error('Create rental payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const confirmRentalPaymentIntent = async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (role !== 'renter') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!rental.payment.intentId) {
+      return res.status(400).json({ message: 'No payment has been started for this rental' });
+    }
+
+    const result = await confirmRentalPayment(rental, { paymentMethod });
+
+    if (result.status === 'canceled') {
+      return res.status(409).json({
+        message: result.failureReason,
+        intent: result
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(402).json({
+        message: result.failureReason || 'Payment failed',
+        intent: result
+      });
+    }
+
+    res.json({
+      message: 'Payment confirmed',
+      intent: result,
+      payment: rental.payment
+    });
+  } catch (error) {
+    console.error('Confirm rental payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Owner hands the item over, noting its condition
+export const checkOutRental = async (req, res) => {
+  try {
+    const { condition, notes } = req.body;
+
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (!checkTransition(res, rental, 'active', role)) return;
+
+    if (condition && !CONDITIONS.includes(condition)) {
+      return res.status(400).json({ message: `Condition must be one of: ${CONDITIONS.join(', ')}` });
+    }
+
+    if (rental.payment.status !== 'paid') {
+      return res.status(400).json({ message: 'Rental must be paid before check-out' });
+    }
+
+    rental.checkOut = {
+      date: new Date(),
+      condition: condition || rental.equipment.condition,
+      notes
+    };
+    applyRentalTransition(rental, 'active', { actor: req.user });
+    await rental.save();
+    await sendRentalStatusUpdate(rental, rental.equipment, rental.renterUser);
+
+    res.json({
+      message: 'Equipment checked out',
+      rental
+    });
+  } catch (error) {
+    console.error('Check out rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Owner records the condition on return; damage comes out of the deposit
+export const checkInRental = async (req, res) => {
+  try {
+    const { condition, notes, damageCharge = 0 } = req.body;
+
+    const found = await findRental(req, res);
+    if (!found) return;
+    const { rental, role } = found;
+
+    if (!checkTransition(res, rental, 'returned', role)) return;
+
+    if (!CONDITIONS.includes(condition)) {
+      return res.status(400).json({ message: `Return condition must be one of: ${CONDITIONS.join(', ')}` });
+    }
+
+    const charge = parseFloat(damageCharge);
+    if (!(charge >= 0) || charge > rental.pricing.deposit) {
+      return res.status(400).json({
+        message: 'Damage charge must be between 0 and the deposit',
+        deposit: rental.pricing.deposit
+      });
+    }
+
+    rental.checkIn = {
+      date: new Date(),
+      condition,
+      notes,
+      recordedBy: req.user._id
+    };
+
+    const equipment = rental.equipment;
+    equipment.condition = condition;
+    await equipment.save();
+
+    const refund = await settleDeposit(rental, charge);
+    applyRentalTransition(rental, 'returned', { actor: req.user });
+    await rental.save();
+    await releaseRental(rental._id);
+    await sendRentalStatusUpdate(rental, equipment, rental.renterUser);
+
+    res.json({
+      message: 'Equipment checked in',
+      rental,
+      refund
+    });
+  } catch (error) {
+    console.error('Check in rental error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,9 +1,8 @@
 // controllers/reviewController.js
 import Review from '../models/Review.js';
 import Booking from '../models/Booking.js';
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
 import { updateProviderStats } from '../services/analyticsService.js';
+import { findProviderProfile } from '../services/providerService.js';
 import { uploadImage } from '../config/cloudinary.js';
 
 export const createReview = async (req, res) => {
@@ -23,6 +22,13 @@ export const createReview = async (req, res) => {
       });
     }
 
+    // Reviews are only accepted while the review window is open
+    if (booking.reviewEligibleUntil && booking.reviewEligibleUntil < new Date()) {
+      return res.status(400).json({ 
+        message: 'The review window for this booking has closed' 
+      });
+    }
+
     // Check if review already exists
     const existingReview = await Review.findOne({ booking: bookingId });
     if (existingReview) {
@@ -197,11 +203,9 @@ export const respondToReview = async (req, res) => {
     const { response } = req.body;
 
     // Find the provider's profile
-    let providerProfile;
-    if (req.user.role === 'photographer') {
-      providerProfile = await Photographer.findOne({ user: req.user._id });
-    } else if (req.user.role === 'videographer') {
-      providerProfile = await Videographer.findOne({ user: req.user._id });
+    const providerProfile = (await findProviderProfile(req.user))?.profile;
+    if (!providerProfile) {
+      return res.status(404).json({ message: 'Provider profile not found' });
     }
 
     const review = await Review.findOne({
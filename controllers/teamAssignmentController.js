@@ -0,0 +1,315 @@
+// controllers/teamAssignmentController.js
+import TeamMember from '../models/TeamMember.js';
+import { reserveBooking, releaseResource } from '../services/reservationService.js';
+import {
+  checkMemberSchedule,
+  issueInvitation,
+  findInvitation
+} from '../services/teamAssignmentService.js';
+import { sendTeamInvitation, sendTeamResponseNotification } from '../services/notificationService.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const OPEN_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const requireProvider = (req, res) => {
+  if (req.bookingRole !== 'provider') {
+    res.status(403).json({ message: 'Only the provider can manage the crew' });
+    return false;
+  }
+  return true;
+};
+
+const findAssignment = (req, res) => {
+  const assignment = req.booking.teamAssignment.teamMembers.id(req.params.assignmentId);
+  if (!assignment) {
+    res.status(404).json({ message: 'Team assignment not found' });
+  }
+  return assignment;
+};
+
+// Roster entry as shown to clients and crew; never includes the response token
+const toRosterEntry = (assignment) => ({
+  _id: assignment._id,
+  member: assignment.member,
+  role: assignment.role,
+  startTime: assignment.startTime,
+  endTime: assignment.endTime,
+  status: assignment.status,
+  confirmed: assignment.confirmed,
+  invitedAt: assignment.invitedAt,
+  respondedAt: assignment.respondedAt,
+  declineReason: assignment.declineReason
+});
+
+// Claim the crew's time; refusals come back as a 409 with the clashing windows
+const reserveCrew = async (booking, res) => {
+  const reservation = await reserveBooking(booking);
+  if (!reservation.reserved) {
+    res.status(409).json({
+      message: 'Team member is already booked for part of this time',
+      conflicts: reservation.conflicts
+    });
+    return false;
+  }
+  return true;
+};
+
+export const getTeamRoster = async (req, res) => {
+  try {
+    const { booking, bookingRole } = req;
+
+    // Contact details are for the provider's crew management only
+    await booking.populate(
+      'teamAssignment.teamMembers.member',
+      bookingRole === 'client' ? 'name role specializations' : 'name role specializations email phone'
+    );
+
+    res.json({
+      roster: booking.teamAssignment.teamMembers.map(toRosterEntry)
+    });
+  } catch (error) {
+    console.error('Get team roster error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const assignTeamMember = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { memberId, role, startTime, endTime } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!OPEN_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot assign crew to a ${booking.status} booking` });
+    }
+
+    if ((startTime && !TIME_PATTERN.test(startTime)) || (endTime && !TIME_PATTERN.test(endTime))) {
+      return res.status(400).json({ message: 'Times must be in HH:MM format' });
+    }
+
+    const member = await TeamMember.findOne({ _id: memberId, owner: booking.provider });
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    if (!member.email) {
+      return res.status(400).json({ message: 'Team member needs an email address to be invited' });
+    }
+
+    const alreadyAssigned = booking.teamAssignment.teamMembers.some(
+      assignment => assignment.member?.toString() === member._id.toString()
+    );
+    if (alreadyAssigned) {
+      return res.status(400).json({ message: 'Team member is already assigned to this booking' });
+    }
+
+    const availability = checkMemberSchedule(member, booking, { startTime, endTime });
+    if (!availability.available) {
+      return res.status(409).json({ message: availability.reason });
+    }
+
+    booking.teamAssignment.teamMembers.push({
+      member: member._id,
+      role: role || member.role,
+      startTime,
+      endTime
+    });
+    const assignment = booking.teamAssignment.teamMembers[booking.teamAssignment.teamMembers.length - 1];
+
+    if (!await reserveCrew(booking, res)) return;
+
+    const token = issueInvitation(booking, assignment);
+    await booking.save();
+    await sendTeamInvitation(booking, assignment, member, token);
+
+    res.status(201).json({
+      message: 'Team member assigned and invited',
+      assignment: toRosterEntry(assignment)
+    });
+  } catch (error) {
+    console.error('Assign team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Changing the role or hours needs the member to confirm again
+export const updateTeamAssignment = async (req, res) => {
+  try {
+    const { booking } = req;
+    const { role, startTime, endTime } = req.body;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!OPEN_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot change crew on a ${booking.status} booking` });
+    }
+
+    const assignment = findAssignment(req, res);
+    if (!assignment) return;
+
+    if ((startTime && !TIME_PATTERN.test(startTime)) || (endTime && !TIME_PATTERN.test(endTime))) {
+      return res.status(400).json({ message: 'Times must be in HH:MM format' });
+    }
+
+    const member = await TeamMember.findById(assignment.member);
+    if (!member) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    if (role !== undefined) assignment.role = role;
+    if (startTime !== undefined) assignment.startTime = startTime;
+    if (endTime !== undefined) assignment.endTime = endTime;
+
+    const availability = checkMemberSchedule(member, booking, assignment);
+    if (!availability.available) {
+      return res.status(409).json({ message: availability.reason });
+    }
+
+    const token = issueInvitation(booking, assignment);
+    if (!await reserveCrew(booking, res)) return;
+
+    await booking.save();
+    await sendTeamInvitation(booking, assignment, member, token);
+
+    res.json({
+      message: 'Team assignment updated and member re-invited',
+      assignment: toRosterEntry(assignment)
+    });
+  } catch (error) {
+    console.error('Update team assignment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const resendTeamInvitation = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    if (!OPEN_STATUSES.includes(booking.status)) {
+      return res.status(400).json({ message: `Cannot invite crew to a ${booking.status} booking` });
+    }
+
+    const assignment = findAssignment(req, res);
+    if (!assignment) return;
+
+    if (assignment.status !== 'invited') {
+      return res.status(400).json({ message: `Team member has already ${assignment.status}` });
+    }
+
+    const member = await TeamMember.findById(assignment.member);
+    if (!member?.email) {
+      return res.status(400).json({ message: 'Team member needs an email address to be invited' });
+    }
+
+    const token = issueInvitation(booking, assignment);
+    await booking.save();
+    await sendTeamInvitation(booking, assignment, member, token);
+
+    res.json({ message: 'Invitation resent' });
+  } catch (error) {
+    console.error('Resend team invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const removeTeamMember = async (req, res) => {
+  try {
+    const { booking } = req;
+
+    if (!requireProvider(req, res)) return;
+
+    const assignment = findAssignment(req, res);
+    if (!assignment) return;
+
+    booking.teamAssignment.teamMembers.pull(assignment._id);
+
+    // Re-claiming the rest of the booking fails if a lapsed hold was taken in
+    // the meantime; the removed member's time is freed either way
+    let reservation = { reserved: true };
+    if (OPEN_STATUSES.includes(booking.status)) {
+      reservation = await reserveBooking(booking);
+      if (!reservation.reserved) {
+        await releaseResource(booking._id, assignment.member._id || assignment.member);
+      }
+    }
+    await booking.save();
+
+    res.json({
+      message: 'Team member removed from booking',
+      ...(!reservation.reserved && { conflicts: reservation.conflicts })
+    });
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Public: what a crew member sees when they open their invitation link
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+    if (!invitation.valid) {
+      return res.status(404).json({ message: invitation.reason });
+    }
+
+    const { booking, assignment } = invitation;
+
+    res.json({
+      invitation: {
+        event: {
+          title: booking.eventDetails.title,
+          type: booking.eventDetails.type,
+          date: booking.eventDetails.date,
+          startTime: booking.eventDetails.startTime,
+          endTime: booking.eventDetails.endTime,
+          location: booking.eventDetails.location
+        },
+        ...toRosterEntry(assignment),
+        expiresAt: assignment.responseTokenExpires
+      }
+    });
+  } catch (error) {
+    console.error('Get team invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Public: accept or decline. Members may change their answer until the link expires.
+const respondToInvitation = (accepted) => async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const invitation = await findInvitation(req.params.token);
+    if (!invitation.valid) {
+      return res.status(404).json({ message: invitation.reason });
+    }
+
+    const { booking, assignment } = invitation;
+
+    assignment.status = accepted ? 'accepted' : 'declined';
+    assignment.confirmed = accepted;
+    assignment.respondedAt = new Date();
+    assignment.declineReason = accepted ? undefined : reason;
+
+    // Accepting re-claims the time (it may have been released by an earlier decline);
+    // declining frees it
+    if (!await reserveCrew(booking, res)) return;
+
+    await booking.save();
+    await sendTeamResponseNotification(booking, assignment, assignment.member);
+
+    res.json({
+      message: accepted ? 'Booking accepted' : 'Booking declined',
+      assignment: toRosterEntry(assignment)
+    });
+  } catch (error) {
+    console.error('Respond to team invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const acceptInvitation = respondToInvitation(true);
+export const declineInvitation = respondToInvitation(false);
@@ -0,0 +1,156 @@
+// controllers/twoFactorController.js
+import { validationResult } from 'express-validator';
+import {
+  findUserWithTwoFactor,
+  isTwoFactorRequired,
+  beginEnrolment,
+  completeEnrolment,
+  disableTwoFactor,
+  generateBackupCodes,
+  verifySecondFactor
+} from '../services/twoFactorService.js';
+
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      required: await isTwoFactorRequired(user),
+      backupCodesRemaining: user.twoFactor?.enabled
+        ? user.twoFactor.backupCodes.filter(item => !item.usedAt).length
+        : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Step one of enrolment: a new secret for the authenticator app. Nothing changes
+// for the account until the first code is confirmed.
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = beginEnrolment(user);
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const result = completeEnrolment(user, req.body.code);
+    if (!result.enabled) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes: result.backupCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Needs the password and a current code, so a stolen session alone can't turn it off
+export const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, backupCode } = req.body;
+    const user = await findUserWithTwoFactor(req.user._id, '+password');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!verifySecondFactor(user, { code, backupCode }).valid) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    disableTwoFactor(user);
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replaces every existing backup code
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code }).valid) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const backupCodes = generateBackupCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
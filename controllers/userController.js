@@ -1,9 +1,15 @@
 // controllers/userController.js
 import User from '../models/User.js';
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
+import { validationResult } from 'express-validator';
 import Booking from '../models/Booking.js';
 import { uploadImage, deleteFile } from '../config/cloudinary.js';
+import { getProviderModel, getProviderTypeForRole } from '../services/providerService.js';
+import { normalizePhone } from '../services/smsService.js';
+import {
+  findUserWithPhoneVerification,
+  startPhoneVerification,
+  confirmPhoneVerification
+} from '../services/phoneVerificationService.js';
 
 export const getUserProfile = async (req, res) => {
   try {
@@ -20,6 +26,11 @@ export const updateUserProfile = async (req, res) => {
     const { name, phone, address } = req.body;
     const updateData = { name, phone, address };
 
+    // A new number has to be verified again
+    if (phone !== undefined && normalizePhone(phone) !== normalizePhone(req.user.phone)) {
+      updateData['verified.phone'] = false;
+    }
+
     // Handle avatar upload
     if (req.file) {
       const uploadResult = await uploadImage(req.file, 'avatars');
@@ -49,6 +60,67 @@ export const updateUserProfile = async (req, res) => {
   }
 };
 
+// Text a verification code to the profile number, or to `phone` if given; the
+// number is saved to the profile once the code is confirmed
+export const sendPhoneVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithPhoneVerification(req.user._id);
+
+    const result = await startPhoneVerification(user, req.body.phone || user.phone);
+    if (!result.sent) {
+      return res.status(result.retryAfter ? 429 : 400).json({
+        message: result.reason,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Verification code sent',
+      phone: result.phone,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error('Send phone verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const verifyPhone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findUserWithPhoneVerification(req.user._id);
+
+    const result = confirmPhoneVerification(user, req.body.code);
+    await user.save();
+
+    if (!result.verified) {
+      return res.status(400).json({
+        message: result.reason,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    res.json({
+      message: 'Phone number verified successfully',
+      phone: result.phone
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 export const deleteUserAccount = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -69,10 +141,9 @@ export const deleteUserAccount = async (req, res) => {
     }
 
     // Delete associated provider profile
-    if (req.user.role === 'photographer') {
-      await Photographer.findOneAndDelete({ user: userId });
-    } else if (req.user.role === 'videographer') {
-      await Videographer.findOneAndDelete({ user: userId });
+    const providerType = getProviderTypeForRole(req.user.role);
+    if (providerType) {
+      await providerType.Model.findOneAndDelete({ user: userId });
     }
 
     // Mark user as inactive instead of deleting
@@ -131,7 +202,11 @@ export const addToFavorites = async (req, res) => {
     const { providerId, providerType } = req.params;
     
     // Validate provider exists
-    const Model = providerType === 'Photographer' ? Photographer : Videographer;
+    const Model = getProviderModel(providerType);
+    if (!Model) {
+      return res.status(400).json({ message: 'Invalid provider type' });
+    }
+
     const provider = await Model.findById(providerId);
     
     if (!provider) {
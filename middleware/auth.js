@@ -1,8 +1,39 @@
 // middleware/auth.js
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { isTwoFactorRequired } from '../services/twoFactorService.js';
 
-export const authenticate = async (req, res, next) => {
+// Resolve the user and session behind an access token. Throws if the token itself
+// is invalid; user is null once the session has been revoked or has expired, or
+// the password has changed since the token was issued.
+// Shared by the HTTP middleware and the Socket.IO handshake.
+export const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId.toString()) {
+    return { user: null, session: null };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || user.changedPasswordAfter(decoded.iat)) {
+    return { user: null, session: null };
+  }
+
+  return { user, session };
+};
+
+// Why a signed-in user may not use the API, or null if they may
+export const getAccessDenial = (user) => {
+  if (user.isBlocked) return 'Account has been blocked';
+  if (!user.isActive) return 'Account has been deactivated';
+  return null;
+};
+
+// Accounts whose role must use two-factor can only reach the enrolment routes
+// (which pass allowTwoFactorSetup) until they have turned it on
+const authenticateUser = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -10,22 +41,39 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, session } = await verifyToken(token);
     
     if (!user) {
       return res.status(401).json({ message: 'Invalid token.' });
     }
 
+    const denial = getAccessDenial(user);
+    if (denial) {
+      return res.status(403).json({ message: denial });
+    }
+
+    if (!allowTwoFactorSetup && !user.twoFactor?.enabled && await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your account',
+        code: 'two_factor_setup_required'
+      });
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid token.' });
   }
 };
 
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+export const authenticate = authenticateUser();
+
+export const authenticateForTwoFactorSetup = authenticateUser({ allowTwoFactorSetup: true });
+
+// Short-lived access token tied to a session; clients renew it with their refresh token
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
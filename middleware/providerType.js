@@ -0,0 +1,26 @@
+// middleware/providerType.js
+import { getProviderType } from '../services/providerService.js';
+
+// Fix the provider type for a router mounted at a type-specific path
+export const useProviderType = (key) => {
+  const type = getProviderType(key);
+  if (!type) {
+    throw new Error(`Provider type "${key}" is not registered`);
+  }
+
+  return (req, res, next) => {
+    req.providerType = type;
+    next();
+  };
+};
+
+// Resolve the provider type from the :type route parameter
+export const resolveProviderType = (req, res, next) => {
+  const type = getProviderType(req.params.type);
+  if (!type) {
+    return res.status(404).json({ message: 'Unknown provider type' });
+  }
+
+  req.providerType = type;
+  next();
+};
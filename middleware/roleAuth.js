@@ -15,23 +15,53 @@ export const authorize = (...roles) => {
   };
 };
 
+// Bookings and reviews are held back until the account's email is confirmed
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Access denied. Please authenticate.' });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first',
+      code: 'email_not_verified'
+    });
+  }
+
+  next();
+};
+
+// Only accounts of the route's provider type (see middleware/providerType.js) or admins
+export const authorizeProviderRole = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Access denied. Please authenticate.' });
+  }
+
+  if (req.user.role !== 'admin' && req.user.role !== req.providerType?.role) {
+    return res.status(403).json({
+      message: 'Access denied. Insufficient permissions.'
+    });
+  }
+
+  next();
+};
+
+// Load the provider profile in :id (profile or user id) into req.profile,
+// provided it belongs to the user; admins can reach any profile
 export const authorizeProviderAccess = async (req, res, next) => {
   try {
     const { user } = req;
     const { id } = req.params;
 
-    if (user.role === 'admin') {
-      return next();
-    }
-
-    // Check if user owns the photographer/videographer profile
-    const Model = user.role === 'photographer' ? 
-      (await import('../models/Photographer.js')).default : 
-      (await import('../models/Videographer.js')).default;
+    const { getProviderTypeForRole, findOwnedProfile } = await import('../services/providerService.js');
 
-    const profile = await Model.findOne({ user: id });
+    const type = req.providerType || getProviderTypeForRole(user.role);
+    const profile = type ? await findOwnedProfile(type, id, user) : null;
 
     if (!profile) {
+      if (user.role === 'admin') {
+        return res.status(404).json({ message: 'Provider profile not found' });
+      }
       return res.status(403).json({ 
         message: 'Access denied. You can only modify your own profile.' 
       });
@@ -43,3 +73,28 @@ export const authorizeProviderAccess = async (req, res, next) => {
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+export const authorizeBookingAccess = async (req, res, next) => {
+  try {
+    const bookingId = req.params.bookingId || req.params.id;
+
+    const Booking = (await import('../models/Booking.js')).default;
+    const { getBookingRole } = await import('../utils/bookingAccess.js');
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const bookingRole = await getBookingRole(booking, req.user);
+    if (!bookingRole) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.booking = booking;
+    req.bookingRole = bookingRole;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
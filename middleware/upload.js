@@ -23,6 +23,20 @@ const fileFilter = (req, file, cb) => {
     } else {
       cb(new Error('Only image files are allowed'), false);
     }
+  } else if (file.fieldname === 'evidence') {
+    // Dispute evidence: screenshots, photos or documents
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed'), false);
+    }
+  } else if (file.fieldname === 'files') {
+    // Deliverables: finished photos and videos
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or video files are allowed'), false);
+    }
   } else if (file.fieldname === 'video') {
     // Allow videos
     if (file.mimetype.startsWith('video/')) {
@@ -75,6 +89,18 @@ export const handleUploadError = (err, req, res, next) => {
     });
   }
   
+  if (err.message.includes('Only image or PDF files are allowed')) {
+    return res.status(400).json({ 
+      message: 'Only image or PDF files are allowed for this field.' 
+    });
+  }
+  
+  if (err.message.includes('Only image or video files are allowed')) {
+    return res.status(400).json({ 
+      message: 'Only image or video files are allowed for this field.' 
+    });
+  }
+  
   if (err.message.includes('Only video files are allowed')) {
     return res.status(400).json({ 
       message: 'Only video files are allowed for this field.' 
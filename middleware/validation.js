@@ -1,5 +1,6 @@
 // middleware/validation.js
 import { body, param, query, validationResult } from 'express-validator';
+import { PROVIDER_MODEL_NAMES, PROVIDER_ROLES } from '../config/providerTypes.js';
 
 // Common validation rules
 export const validateEmail = body('email')
@@ -26,16 +27,16 @@ export const validateRegistration = [
   validatePassword,
   body('role')
     .optional()
-    .isIn(['user', 'photographer', 'videographer'])
+    .isIn(['user', ...PROVIDER_ROLES])
     .withMessage('Invalid role'),
   body('businessName')
-    .if(body('role').isIn(['photographer', 'videographer']))
+    .if(body('role').isIn(PROVIDER_ROLES))
     .notEmpty()
-    .withMessage('Business name is required for photographers and videographers'),
+    .withMessage('Business name is required for service providers'),
   body('description')
-    .if(body('role').isIn(['photographer', 'videographer']))
+    .if(body('role').isIn(PROVIDER_ROLES))
     .notEmpty()
-    .withMessage('Description is required for photographers and videographers')
+    .withMessage('Description is required for service providers')
 ];
 
 // Login validation
@@ -78,11 +79,43 @@ export const validateProfileUpdate = [
     .withMessage('Full day rate must be a positive number')
 ];
 
+// Optional schedule for multi-day and recurring bookings; utils/recurrence.js
+// checks how the fields combine
+const scheduleRules = [
+  body('eventDetails.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  body('eventDetails.recurrence.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Recurrence frequency must be daily, weekly or monthly'),
+  body('eventDetails.recurrence.interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Recurrence interval must be a positive whole number'),
+  body('eventDetails.recurrence.count')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Recurrence count must be a positive whole number'),
+  body('eventDetails.recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid recurrence end date'),
+  body('eventDetails.recurrence.daysOfWeek')
+    .optional()
+    .isArray()
+    .withMessage('Recurrence days must be an array of weekdays (0-6)'),
+  body('eventDetails.recurrence.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Recurrence days must be weekdays from 0 (Sunday) to 6')
+];
+
 // Booking validation
 export const validateBooking = [
   body('providerId').isMongoId().withMessage('Invalid provider ID'),
   body('providerType')
-    .isIn(['Photographer', 'Videographer'])
+    .isIn(PROVIDER_MODEL_NAMES)
     .withMessage('Invalid provider type'),
   body('eventDetails.type')
     .isIn(['wedding', 'portrait', 'event', 'corporate', 'commercial', 'other'])
@@ -100,6 +133,7 @@ export const validateBooking = [
   body('eventDetails.endTime')
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Invalid end time format (HH:MM)'),
+  ...scheduleRules,
   body('eventDetails.location.venue')
     .trim()
     .notEmpty()
@@ -109,10 +143,227 @@ export const validateBooking = [
     .notEmpty()
     .withMessage('Address is required'),
   body('pricing.totalAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Total amount must be a positive number'),
+  body('promoCode')
+    .optional()
+    .isString()
+    .withMessage('Promo code must be text')
+];
+
+// Quote validation
+export const validateQuote = [
+  body('providerId').isMongoId().withMessage('Invalid provider ID'),
+  body('providerType')
+    .isIn(PROVIDER_MODEL_NAMES)
+    .withMessage('Invalid provider type'),
+  body('eventDetails.date')
+    .isISO8601()
+    .withMessage('Invalid event date'),
+  body('eventDetails.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid start time format (HH:MM)'),
+  body('eventDetails.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid end time format (HH:MM)'),
+  ...scheduleRules,
+  body('services')
+    .optional()
+    .isArray()
+    .withMessage('Services must be an array'),
+  body('promoCode')
+    .optional()
+    .isString()
+    .withMessage('Promo code must be text')
+];
+
+// Checking a promo code against a prospective booking
+export const validatePromoCodeCheck = [
+  ...validateQuote,
+  body('code')
+    .isString()
+    .withMessage('Promo code is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code is required')
+];
+
+// Inquiry validation: the event to be quoted and the providers to ask
+export const validateInquiry = [
+  body('eventDetails.type')
+    .isIn(['wedding', 'portrait', 'event', 'corporate', 'commercial', 'other'])
+    .withMessage('Invalid event type'),
+  body('eventDetails.title')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Event title must be between 5-100 characters'),
+  body('eventDetails.date')
+    .isISO8601()
+    .withMessage('Invalid event date'),
+  body('eventDetails.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid start time format (HH:MM)'),
+  body('eventDetails.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid end time format (HH:MM)'),
+  ...scheduleRules,
+  body('budget.min')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a positive number'),
+  body('budget.max')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a positive number'),
+  body('providers')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one provider'),
+  body('providers.*.providerId')
+    .isMongoId()
+    .withMessage('Invalid provider ID'),
+  body('providers.*.providerType')
+    .isIn(PROVIDER_MODEL_NAMES)
+    .withMessage('Invalid provider type')
+];
+
+// A provider's custom quote on an inquiry
+export const validateInquiryQuote = [
+  body('lineItems')
+    .isArray({ min: 1 })
+    .withMessage('A quote needs at least one line item'),
+  body('lineItems.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Each line item needs a label'),
+  body('lineItems.*.quantity')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than zero'),
+  body('lineItems.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expiry date')
+];
+
+export const validateSecuritySettings = [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*')
+    .isIn(['admin', ...PROVIDER_ROLES])
+    .withMessage(`Roles must be one of: ${['admin', ...PROVIDER_ROLES].join(', ')}`)
+];
+
+// Package validation: shared event details plus two or more providers
+export const validatePackageQuote = [
+  body('eventDetails.date')
+    .isISO8601()
+    .withMessage('Invalid event date'),
+  body('eventDetails.startTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid start time format (HH:MM)'),
+  body('eventDetails.endTime')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid end time format (HH:MM)'),
+  body('providers')
+    .isArray({ min: 2 })
+    .withMessage('A package needs at least two providers'),
+  body('providers.*.providerId').isMongoId().withMessage('Invalid provider ID'),
+  body('providers.*.providerType')
+    .isIn(PROVIDER_MODEL_NAMES)
+    .withMessage('Invalid provider type'),
+  body('providers.*.startTime')
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid start time format (HH:MM)'),
+  body('providers.*.endTime')
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Invalid end time format (HH:MM)')
+];
+
+export const validatePackage = [
+  ...validatePackageQuote,
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Package title must be between 5-100 characters'),
+  body('eventDetails.type')
+    .isIn(['wedding', 'portrait', 'event', 'corporate', 'commercial', 'other'])
+    .withMessage('Invalid event type'),
+  body('eventDetails.location.venue')
+    .trim()
+    .notEmpty()
+    .withMessage('Venue is required'),
+  body('eventDetails.location.address')
+    .trim()
+    .notEmpty()
+    .withMessage('Address is required'),
+  body('timeline')
+    .optional()
+    .isArray()
+    .withMessage('Timeline must be an array'),
+  body('pricing.totalAmount')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Total amount must be a positive number')
 ];
 
+// Promo code validation
+export const validatePromoCode = [
+  body('code')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Code must be between 3-30 characters'),
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be percentage or fixed'),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body('value')
+    .if(body('discountType').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('Percentage discount cannot exceed 100'),
+  body('scope')
+    .optional()
+    .isIn(['platform', 'provider'])
+    .withMessage('Scope must be platform or provider'),
+  body('provider')
+    .if(body('scope').equals('provider'))
+    .isMongoId()
+    .withMessage('Provider is required for provider-scoped codes'),
+  body('providerType')
+    .if(body('scope').equals('provider'))
+    .isIn(PROVIDER_MODEL_NAMES)
+    .withMessage('Invalid provider type'),
+  body('minSpend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum spend must be a positive number'),
+  body('usageLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be a positive integer'),
+  body('perUserLimit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be a positive integer'),
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date')
+];
+
 // Review validation
 export const validateReview = [
   body('bookingId').isMongoId().withMessage('Invalid booking ID'),
@@ -147,6 +398,67 @@ export const validateReview = [
     .withMessage('Recommended must be a boolean value')
 ];
 
+// Dispute validation
+export const validateDispute = [
+  body('category')
+    .optional()
+    .isIn(['no_show', 'quality', 'incomplete_delivery', 'late_delivery', 'payment', 'conduct', 'other'])
+    .withMessage('Invalid dispute category'),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Reason must be between 10-2000 characters')
+];
+
+export const validateDisputeResolution = [
+  body('outcome')
+    .isIn(['full_refund', 'partial_refund', 'release_to_provider'])
+    .withMessage('Outcome must be full_refund, partial_refund or release_to_provider'),
+  body('refundAmount')
+    .if(body('outcome').equals('partial_refund'))
+    .isFloat({ gt: 0 })
+    .withMessage('Partial refunds need a positive refund amount'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+// Cancellation policy validation. Tiers need distinct daysBefore values, and
+// cancelling closer to the event can never refund more than cancelling earlier.
+export const validateCancellationPolicy = [
+  body('tiers')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Tiers must be an array of 1-10 entries'),
+  body('tiers.*.daysBefore')
+    .isInt({ min: 0, max: 365 })
+    .withMessage('daysBefore must be a whole number of days between 0 and 365'),
+  body('tiers.*.refundPercentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('refundPercentage must be between 0 and 100'),
+  body('tiers')
+    .custom(tiers => {
+      const sorted = [...tiers].sort((a, b) => b.daysBefore - a.daysBefore);
+      sorted.forEach((tier, index) => {
+        const earlier = sorted[index - 1];
+        if (!earlier) return;
+
+        if (Number(earlier.daysBefore) === Number(tier.daysBefore)) {
+          throw new Error('Each tier needs a different daysBefore');
+        }
+        if (Number(tier.refundPercentage) > Number(earlier.refundPercentage)) {
+          throw new Error('Refunds cannot increase closer to the event');
+        }
+      });
+      return true;
+    }),
+  body('depositNonRefundable')
+    .optional()
+    .isBoolean()
+    .withMessage('depositNonRefundable must be true or false')
+];
+
 // Team member validation
 export const validateTeamMember = [
   body('name')
@@ -156,6 +468,11 @@ export const validateTeamMember = [
   body('role')
     .isIn(['photographer', 'assistant', 'editor', 'equipment_manager', 'drone_operator', 'lighting_specialist'])
     .withMessage('Invalid role'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
   body('experience')
     .optional()
     .isInt({ min: 0, max: 50 })
@@ -254,7 +571,18 @@ export default {
   validateLogin,
   validateProfileUpdate,
   validateBooking,
+  validateQuote,
+  validatePromoCodeCheck,
+  validatePackageQuote,
+  validatePackage,
+  validateInquiry,
+  validateInquiryQuote,
+  validatePromoCode,
   validateReview,
+  validateDispute,
+  validateDisputeResolution,
+  validateCancellationPolicy,
+  validateSecuritySettings,
   validateTeamMember,
   validateEquipment,
   validatePagination,
@@ -1,5 +1,6 @@
 // models/Booking.js
 import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
 
 const bookingSchema = new mongoose.Schema({
   client: {
@@ -15,7 +16,17 @@ const bookingSchema = new mongoose.Schema({
   providerType: {
     type: String,
     required: true,
-    enum: ['Photographer', 'Videographer']
+    enum: PROVIDER_MODEL_NAMES
+  },
+  // Set when the booking is one provider's part of a multi-provider package
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingPackage'
+  },
+  // Set when the booking came from an accepted inquiry quote
+  inquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inquiry'
   },
   eventDetails: {
     type: {
@@ -31,7 +42,8 @@ const bookingSchema = new mongoose.Schema({
     date: {
       type: Date,
       required: true
-    },
+    }, // first day; see occurrences for multi-day and recurring bookings
+    endDate: Date, // last day the booking runs, when it runs on more than one
     startTime: {
       type: String,
       required: true
@@ -40,7 +52,18 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    duration: Number, // in hours
+    // Repeat rule, expanded into occurrences by utils/recurrence.js
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly']
+      },
+      interval: Number,
+      daysOfWeek: [Number], // 0 = Sunday
+      count: Number,
+      until: Date
+    },
+    duration: Number, // in hours, per occurrence
     location: {
       venue: String,
       address: String,
@@ -63,6 +86,28 @@ const bookingSchema = new mongoose.Schema({
       price: Number
     }]
   }],
+  // One entry per day of a multi-day or recurring booking; empty for single-day bookings
+  occurrences: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    startTime: String,
+    endTime: String,
+    status: {
+      type: String,
+      enum: ['scheduled', 'completed', 'cancelled'],
+      default: 'scheduled'
+    },
+    completedAt: Date,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancellationReason: String,
+    notes: String
+  }],
   teamAssignment: {
     mainProvider: {
       type: mongoose.Schema.Types.ObjectId,
@@ -74,10 +119,23 @@ const bookingSchema = new mongoose.Schema({
         ref: 'TeamMember'
       },
       role: String,
+      startTime: String, // call time; defaults to the event times
+      endTime: String,
       confirmed: {
         type: Boolean,
         default: false
-      }
+      },
+      status: {
+        type: String,
+        enum: ['invited', 'accepted', 'declined'],
+        default: 'invited'
+      },
+      // Members answer through an emailed link; only the token's hash is stored
+      responseTokenHash: String,
+      responseTokenExpires: Date,
+      invitedAt: Date,
+      respondedAt: Date,
+      declineReason: String
     }],
     equipment: [{
       item: {
@@ -100,6 +158,11 @@ const bookingSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    travelFee: {
+      type: Number,
+      default: 0
+    },
+    subtotal: Number,
     taxes: {
       type: Number,
       default: 0
@@ -112,7 +175,18 @@ const bookingSchema = new mongoose.Schema({
     totalAmount: {
       type: Number,
       required: true
-    }
+    },
+    lineItems: [{
+      type: {
+        type: String,
+        enum: ['service', 'addon', 'coverage', 'travel', 'tax', 'discount']
+      },
+      label: String,
+      quantity: Number,
+      unitPrice: Number,
+      amount: Number
+    }],
+    quotedAt: Date
   },
   payment: {
     status: {
@@ -121,6 +195,25 @@ const bookingSchema = new mongoose.Schema({
       default: 'pending'
     },
     method: String,
+    gateway: String,
+    intents: [{
+      intentId: String,
+      purpose: {
+        type: String,
+        enum: ['deposit', 'balance', 'instalment']
+      },
+      instalment: mongoose.Schema.Types.ObjectId, // _id within instalments
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['requires_confirmation', 'succeeded', 'failed', 'canceled'],
+        default: 'requires_confirmation'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     transactions: [{
       amount: Number,
       transactionId: String,
@@ -128,22 +221,86 @@ const bookingSchema = new mongoose.Schema({
       type: {
         type: String,
         enum: ['payment', 'refund']
-      }
+      },
+      purpose: {
+        type: String,
+        enum: ['deposit', 'balance', 'instalment', 'refund']
+      },
+      intentId: String,
+      // The gateway charge when one payment covered several bookings (packages);
+      // transactionId is then this booking's share of it
+      gatewayTransactionId: String,
+      refundOf: String, // transactionId of the payment being refunded
+      reason: String
     }],
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
     deposit: {
       amount: Number,
       dueDate: Date,
       paid: {
         type: Boolean,
         default: false
-      }
-    }
+      },
+      paidDate: Date
+    },
+    // Pay-as-you-go schedule for bookings with occurrences, one per occurrence.
+    // Payments settle instalments in due-date order, whatever their purpose.
+    instalments: [{
+      occurrence: mongoose.Schema.Types.ObjectId, // _id within occurrences
+      amount: Number,
+      subtotal: Number, // pre-tax share, credited back if the occurrence is cancelled
+      dueDate: Date,
+      status: {
+        type: String,
+        enum: ['pending', 'paid', 'waived'],
+        default: 'pending'
+      },
+      paidAt: Date
+    }]
   },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'disputed'],
     default: 'pending'
   },
+  // Append-only audit trail written by services/bookingStateMachine.js
+  statusHistory: [{
+    from: {
+      type: String,
+      immutable: true
+    },
+    to: {
+      type: String,
+      immutable: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    role: {
+      type: String,
+      enum: ['client', 'provider', 'admin', 'system'],
+      immutable: true
+    },
+    reason: {
+      type: String,
+      immutable: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    }
+  }],
+  reviewEligibleUntil: Date,
   communication: [{
     from: {
       type: mongoose.Schema.Types.ObjectId,
@@ -158,7 +315,17 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['message', 'status_update', 'payment_reminder'],
       default: 'message'
-    }
+    },
+    readBy: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      readAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   milestones: [{
     name: String,
@@ -168,9 +335,18 @@ const bookingSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    completedDate: Date
+    completedDate: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    template: String, // template key the milestone was created from
+    // Alerts already sent, so the daily job doesn't repeat them
+    upcomingAlertSentAt: Date,
+    overdueAlertSentAt: Date
   }],
   deliverables: [{
+    occurrence: mongoose.Schema.Types.ObjectId, // _id within occurrences, for one day's coverage
     name: String,
     description: String,
     type: {
@@ -178,7 +354,71 @@ const bookingSchema = new mongoose.Schema({
       enum: ['photos', 'videos', 'edited_content', 'raw_files']
     },
     urls: [String],
+    files: [{
+      url: String,
+      publicId: String,
+      resourceType: {
+        type: String,
+        enum: ['image', 'video', 'raw']
+      },
+      // 'authenticated' files are only reachable through signed download links
+      deliveryType: {
+        type: String,
+        enum: ['upload', 'authenticated'],
+        default: 'upload'
+      },
+      fileName: String,
+      format: String,
+      bytes: Number,
+      thumbnailUrl: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Proof sets: the client picks favourites before final editing
+    proofing: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      status: {
+        type: String,
+        enum: ['open', 'submitted']
+      },
+      selectionQuota: {
+        type: Number,
+        default: 0
+      }, // selections included in the booking price
+      extraSelectionPrice: {
+        type: Number,
+        default: 0
+      },
+      selections: [{
+        file: mongoose.Schema.Types.ObjectId, // _id within files
+        selected: {
+          type: Boolean,
+          default: false
+        },
+        comment: String,
+        updatedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      publishedAt: Date,
+      submittedAt: Date,
+      overageCharged: {
+        type: Number,
+        default: 0
+      } // extra selections already added to the booking price
+    },
     deliveredDate: Date,
+    accessExpiresAt: Date, // client download access ends here
+    downloadCount: {
+      type: Number,
+      default: 0
+    },
     status: {
       type: String,
       enum: ['pending', 'in_progress', 'delivered'],
@@ -192,7 +432,9 @@ const bookingSchema = new mongoose.Schema({
     },
     reason: String,
     cancellationDate: Date,
-    refundAmount: Number
+    refundPercentage: Number,
+    refundAmount: Number,
+    cancellationFee: Number
   },
   review: {
     type: mongoose.Schema.Types.ObjectId,
@@ -202,9 +444,26 @@ const bookingSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Status history is append-only: entries can be added but never removed
+bookingSchema.post('init', function() {
+  this.$locals.statusHistoryLength = this.statusHistory.length;
+});
+
+bookingSchema.pre('save', function(next) {
+  if (this.statusHistory.length < (this.$locals.statusHistoryLength || 0)) {
+    return next(new Error('Booking status history is append-only'));
+  }
+  next();
+});
+
 // Indexes for efficient queries
 bookingSchema.index({ client: 1, 'eventDetails.date': -1 });
 bookingSchema.index({ provider: 1, providerType: 1, 'eventDetails.date': -1 });
 bookingSchema.index({ status: 1, 'eventDetails.date': 1 });
+bookingSchema.index({ package: 1 });
+bookingSchema.index({ inquiry: 1 });
+bookingSchema.index({ provider: 1, 'occurrences.date': 1 });
+bookingSchema.index({ 'payment.intents.intentId': 1 });
+bookingSchema.index({ 'teamAssignment.teamMembers.responseTokenHash': 1 });
 
 export default mongoose.model('Booking', bookingSchema);
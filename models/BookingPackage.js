@@ -0,0 +1,132 @@
+// models/BookingPackage.js
+import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
+
+// One event booked with several providers. Each provider gets an ordinary child
+// Booking with its own status; the package holds what they share.
+const bookingPackageSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  eventDetails: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['wedding', 'portrait', 'event', 'corporate', 'commercial', 'other']
+    },
+    description: String,
+    date: {
+      type: Date,
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    location: {
+      venue: String,
+      address: String,
+      city: String,
+      state: String,
+      coordinates: {
+        latitude: Number,
+        longitude: Number
+      }
+    },
+    guestCount: Number,
+    specialRequirements: String
+  },
+  // Running order of the day, shared by every provider on the package
+  timeline: [{
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: String,
+    title: {
+      type: String,
+      required: true
+    },
+    description: String,
+    place: String, // where at the venue, e.g. 'Chapel'
+    bookings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    }] // providers needed for this item; empty means everyone
+  }],
+  bookings: [{
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'bookings.providerType',
+      required: true
+    },
+    providerType: {
+      type: String,
+      required: true,
+      enum: PROVIDER_MODEL_NAMES
+    },
+    providerUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  }],
+  // Combined quote at booking time; each provider's share is its child booking's total
+  pricing: {
+    subtotal: Number,
+    taxes: Number,
+    totalAmount: Number,
+    quotedAt: Date
+  },
+  // One client payment, split across the child bookings
+  payment: {
+    gateway: String,
+    intents: [{
+      intentId: String,
+      purpose: {
+        type: String,
+        enum: ['deposit', 'balance']
+      },
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['requires_confirmation', 'succeeded', 'failed'],
+        default: 'requires_confirmation'
+      },
+      split: [{
+        booking: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Booking'
+        },
+        amount: Number
+      }],
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+bookingPackageSchema.index({ client: 1, 'eventDetails.date': -1 });
+bookingPackageSchema.index({ 'bookings.providerUser': 1 });
+bookingPackageSchema.index({ 'payment.intents.intentId': 1 });
+
+export default mongoose.model('BookingPackage', bookingPackageSchema);
@@ -0,0 +1,103 @@
+// models/Dispute.js
+import mongoose from 'mongoose';
+
+const evidenceSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  fileName: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: ['client', 'provider'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['no_show', 'quality', 'incomplete_delivery', 'late_delivery', 'payment', 'conduct', 'other'],
+    default: 'other'
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  // Booking status before the dispute, restored when the provider is upheld
+  previousStatus: {
+    type: String,
+    enum: ['confirmed', 'in_progress', 'completed'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolved'],
+    default: 'open'
+  },
+  evidence: [evidenceSchema],
+  statements: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['client', 'provider', 'admin']
+    },
+    message: {
+      type: String,
+      maxlength: 2000
+    },
+    evidence: [evidenceSchema],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'release_to_provider']
+    },
+    refundAmount: Number,
+    bookingStatus: String,
+    notes: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ booking: 1, status: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('Dispute', disputeSchema);
@@ -1,5 +1,37 @@
 // models/Equipment.js
 import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
+
+const CONDITIONS = ['excellent', 'good', 'fair', 'needs_repair'];
+
+const maintenanceRecordSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['service', 'repair', 'inspection', 'cleaning', 'calibration', 'other'],
+    default: 'service'
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: String,
+  performedBy: String,
+  conditionAfter: {
+    type: String,
+    enum: CONDITIONS
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
 
 const equipmentSchema = new mongoose.Schema({
   name: {
@@ -16,11 +48,39 @@ const equipmentSchema = new mongoose.Schema({
   description: String,
   condition: {
     type: String,
-    enum: ['excellent', 'good', 'fair', 'needs_repair'],
+    enum: CONDITIONS,
     default: 'excellent'
   },
   purchaseDate: Date,
+  // Straight-line depreciation inputs for the asset-value report
+  purchasePrice: {
+    type: Number,
+    min: 0
+  },
+  usefulLifeYears: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  salvageValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   lastMaintenance: Date,
+  maintenanceLog: [maintenanceRecordSchema],
+  // Service is due after intervalDays or after usageInterval bookings, whichever comes first
+  maintenanceSchedule: {
+    intervalDays: {
+      type: Number,
+      min: 1
+    },
+    usageInterval: {
+      type: Number,
+      min: 1
+    },
+    reminderSentAt: Date
+  },
   isAvailable: {
     type: Boolean,
     default: true
@@ -29,6 +89,16 @@ const equipmentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Listed on the rental marketplace for other providers; rentalPrice is per day
+  rentable: {
+    type: Boolean,
+    default: false
+  },
+  rentalDeposit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   images: [String],
   owner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,7 +108,7 @@ const equipmentSchema = new mongoose.Schema({
   ownerType: {
     type: String,
     required: true,
-    enum: ['Photographer', 'Videographer']
+    enum: PROVIDER_MODEL_NAMES
   }
 }, {
   timestamps: true
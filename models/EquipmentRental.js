@@ -0,0 +1,157 @@
+// models/EquipmentRental.js
+import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
+
+const CONDITIONS = ['excellent', 'good', 'fair', 'needs_repair'];
+
+const rentalSchema = new mongoose.Schema({
+  equipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: true
+  },
+  // Provider profiles on each side, plus their users for access checks
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerType',
+    required: true
+  },
+  ownerType: {
+    type: String,
+    required: true,
+    enum: PROVIDER_MODEL_NAMES
+  },
+  ownerUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  renter: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'renterType',
+    required: true
+  },
+  renterType: {
+    type: String,
+    required: true,
+    enum: PROVIDER_MODEL_NAMES
+  },
+  renterUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  message: String,
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'declined', 'cancelled', 'active', 'returned'],
+    default: 'requested'
+  },
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  pricing: {
+    dailyRate: Number,
+    days: Number,
+    rentalFee: Number,
+    deposit: Number,
+    totalAmount: Number,
+    currency: String
+  },
+  payment: {
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'partially_refunded', 'refunded'],
+      default: 'pending'
+    },
+    gateway: String,
+    intentId: String,
+    intentStatus: {
+      type: String,
+      enum: ['requires_confirmation', 'succeeded', 'failed', 'canceled']
+    },
+    transactions: [{
+      amount: Number,
+      transactionId: String,
+      date: Date,
+      type: {
+        type: String,
+        enum: ['payment', 'refund']
+      },
+      refundOf: String,
+      reason: String
+    }],
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Deposit is settled at check-in: returned in full, or less any damage charge
+  deposit: {
+    status: {
+      type: String,
+      enum: ['pending', 'held', 'returned', 'partially_returned', 'forfeited'],
+      default: 'pending'
+    },
+    damageCharge: {
+      type: Number,
+      default: 0
+    },
+    returnedAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+  checkOut: {
+    date: Date,
+    condition: {
+      type: String,
+      enum: CONDITIONS
+    },
+    notes: String
+  },
+  checkIn: {
+    date: Date,
+    condition: {
+      type: String,
+      enum: CONDITIONS
+    },
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  declineReason: String,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+rentalSchema.index({ ownerUser: 1, status: 1 });
+rentalSchema.index({ renterUser: 1, status: 1 });
+rentalSchema.index({ equipment: 1, startDate: 1 });
+
+export default mongoose.model('EquipmentRental', rentalSchema);
@@ -0,0 +1,158 @@
+// models/Inquiry.js
+import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
+
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['service', 'addon', 'coverage', 'travel', 'tax', 'discount']
+  },
+  label: String,
+  quantity: Number,
+  unitPrice: Number,
+  amount: Number
+}, { _id: false });
+
+// A client's request for custom quotes. Each invited provider gets a response
+// thread with its own messages and quotes; accepting one quote turns the
+// inquiry into a pending Booking with that provider.
+const inquirySchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventDetails: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['wedding', 'portrait', 'event', 'corporate', 'commercial', 'other']
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    description: String,
+    date: {
+      type: Date,
+      required: true
+    },
+    endDate: Date,
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly']
+      },
+      interval: Number,
+      daysOfWeek: [Number],
+      count: Number,
+      until: Date
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    location: {
+      venue: String,
+      address: String,
+      city: String,
+      state: String,
+      coordinates: {
+        latitude: Number,
+        longitude: Number
+      }
+    },
+    guestCount: Number,
+    specialRequirements: String
+  },
+  budget: {
+    min: Number,
+    max: Number
+  },
+  responses: [{
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'responses.providerType',
+      required: true
+    },
+    providerType: {
+      type: String,
+      required: true,
+      enum: PROVIDER_MODEL_NAMES
+    },
+    providerUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // closed: the client booked someone else or withdrew the inquiry
+    status: {
+      type: String,
+      enum: ['pending', 'quoted', 'declined', 'accepted', 'closed'],
+      default: 'pending'
+    },
+    // Every quote the provider has sent; the last one is current
+    quotes: [{
+      lineItems: [lineItemSchema],
+      basePrice: Number,
+      addOnsTotal: Number,
+      travelFee: Number,
+      subtotal: Number,
+      discount: {
+        amount: Number,
+        reason: String
+      },
+      taxes: Number,
+      totalAmount: Number,
+      message: String,
+      validUntil: Date,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    messages: [{
+      from: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      message: {
+        type: String,
+        required: true
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    declineReason: String,
+    respondedAt: Date,
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'booked', 'closed'],
+    default: 'open'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+inquirySchema.index({ client: 1, createdAt: -1 });
+inquirySchema.index({ 'responses.providerUser': 1, createdAt: -1 });
+inquirySchema.index({ 'responses.provider': 1, 'responses.providerType': 1 });
+
+export default mongoose.model('Inquiry', inquirySchema);
@@ -0,0 +1,82 @@
+// models/PromoCode.js
+import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed']
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: Number, // caps percentage discounts
+  scope: {
+    type: String,
+    enum: ['platform', 'provider'],
+    default: 'platform'
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'providerType'
+  },
+  providerType: {
+    type: String,
+    enum: PROVIDER_MODEL_NAMES
+  },
+  minSpend: {
+    type: Number,
+    default: 0
+  },
+  usageLimit: Number, // total redemptions allowed, unlimited when empty
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1
+  },
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    amount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ scope: 1, provider: 1, isActive: 1 });
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,59 @@
+// models/Reservation.js
+import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
+
+// One document per resource per time slot. The unique index on
+// (resourceType, resource, slot) is what makes claiming a time range atomic:
+// two bookings can never both insert the same slot.
+const reservationSchema = new mongoose.Schema({
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceType',
+    required: true
+  },
+  resourceType: {
+    type: String,
+    required: true,
+    enum: [...PROVIDER_MODEL_NAMES, 'TeamMember', 'Equipment']
+  },
+  slot: {
+    type: Date,
+    required: true
+  },
+  // The full window this slot belongs to, so conflicts can be reported as ranges
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  // Each reservation belongs to either a booking or an equipment rental
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: function() { return !this.rental; }
+  },
+  rental: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EquipmentRental'
+  },
+  status: {
+    type: String,
+    enum: ['hold', 'confirmed'],
+    default: 'hold'
+  },
+  expiresAt: Date, // only set on holds
+  claimId: String
+}, {
+  timestamps: true
+});
+
+reservationSchema.index({ resourceType: 1, resource: 1, slot: 1 }, { unique: true });
+reservationSchema.index({ booking: 1 });
+reservationSchema.index({ rental: 1 });
+// Expired holds are swept by MongoDB; confirmed slots have no expiresAt
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Reservation', reservationSchema);
@@ -1,5 +1,6 @@
 // models/Review.js
 import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
 
 const reviewSchema = new mongoose.Schema({
   booking: {
@@ -20,7 +21,7 @@ const reviewSchema = new mongoose.Schema({
   providerType: {
     type: String,
     required: true,
-    enum: ['Photographer', 'Videographer']
+    enum: PROVIDER_MODEL_NAMES
   },
   ratings: {
     overall: {
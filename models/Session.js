@@ -0,0 +1,49 @@
+// models/Session.js
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session id (`sid`) and die with
+// it; the refresh token rotates on every use and only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already rotated out. Seeing one again means the
+  // token was copied, so the whole session is revoked.
+  rotatedTokenHashes: [String],
+  device: String, // e.g. 'Chrome on macOS'
+  ipAddress: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'logout_all', 'reuse_detected', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are swept by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 // models/TeamMember.js
 import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES } from '../config/providerTypes.js';
 
 const teamMemberSchema = new mongoose.Schema({
   name: {
@@ -11,6 +12,12 @@ const teamMemberSchema = new mongoose.Schema({
     required: true,
     enum: ['photographer', 'assistant', 'editor', 'equipment_manager', 'drone_operator', 'lighting_specialist']
   },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  }, // where booking invitations are sent
+  phone: String,
   specializations: [String],
   experience: {
     type: Number, // years
@@ -43,7 +50,7 @@ const teamMemberSchema = new mongoose.Schema({
   ownerType: {
     type: String,
     required: true,
-    enum: ['Photographer', 'Videographer']
+    enum: PROVIDER_MODEL_NAMES
   }
 }, {
   timestamps: true
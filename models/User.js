@@ -1,6 +1,11 @@
 // models/User.js
 import mongoose from 'mongoose';
+import { PROVIDER_MODEL_NAMES, PROVIDER_ROLES } from '../config/providerTypes.js';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+
+// Lockout length in minutes for the first, second and any later lockout
+const DEFAULT_LOCKOUT_MINUTES = [15, 60, 1440];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -30,7 +35,7 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['user', 'photographer', 'videographer', 'admin'],
+      values: ['user', ...PROVIDER_ROLES, 'admin'],
       message: '{VALUE} is not a valid role'
     },
     default: 'user',
@@ -117,7 +122,7 @@ const userSchema = new mongoose.Schema({
     },
     providerType: {
       type: String,
-      enum: ['Photographer', 'Videographer']
+      enum: PROVIDER_MODEL_NAMES
     },
     addedAt: {
       type: Date,
@@ -133,7 +138,7 @@ const userSchema = new mongoose.Schema({
     },
     providerType: {
       type: String,
-      enum: ['Photographer', 'Videographer']
+      enum: PROVIDER_MODEL_NAMES
     },
     viewedAt: {
       type: Date,
@@ -151,8 +156,9 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  emailVerificationToken: String,
+  emailVerificationToken: String, // sha256 of the token in the emailed link
   emailVerificationExpires: Date,
+  emailVerificationSentAt: Date, // last send, for the resend cooldown
   emailVerifiedAt: Date,
   
   // Account status and security
@@ -183,6 +189,38 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   lockUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  }, // lockouts since the last successful login; each one lasts longer
+  
+  // Two-factor authentication (TOTP). Secrets and backup codes are never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    }, // issued at setup, promoted to secret once a code from it is verified
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }, // TOTP time step of the last accepted code, so a code can't be replayed
+    enabledAt: Date
+  },
   ipAddress: String,
   userAgent: String,
   
@@ -320,6 +358,30 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
+  phoneVerifiedAt: Date,
+  // Pending SMS code for phone verification. Never selected by default.
+  phoneVerification: {
+    phone: {
+      type: String,
+      select: false
+    }, // the number the code was sent to
+    codeHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      select: false
+    },
+    attempts: {
+      type: Number,
+      select: false
+    },
+    sentAt: {
+      type: Date,
+      select: false
+    }
+  },
   trustScore: {
     type: Number,
     default: 50,
@@ -463,30 +525,81 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
-// Increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+const hashEmailVerificationToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new verification token, replacing any earlier one. Returns the plain
+// token for the email; only its hash is stored. Callers save the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  // Read here rather than at import so values from .env apply
+  const validHours = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24;
+
+  this.emailVerificationToken = hashEmailVerificationToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + validHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.verified.email = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Increment login attempts. Returns the new lockUntil when this attempt locks the account.
+// Counts come from the database, not this document, so parallel guesses can't
+// each read a stale count and slip past the limit.
+userSchema.methods.incLoginAttempts = async function() {
+  const User = this.constructor;
+  const now = new Date();
+
+  // Read here rather than at import so values from .env apply
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const configuredMinutes = (process.env.LOGIN_LOCKOUT_MINUTES || '')
+    .split(',')
+    .map(Number)
+    .filter(minutes => minutes > 0);
+  const lockoutMinutes = configuredMinutes.length > 0 ? configuredMinutes : DEFAULT_LOCKOUT_MINUTES;
+
   // If we have a previous lock that has expired, restart at 1
-  if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
-      $set: { loginAttempts: 1 },
-      $unset: { lockUntil: 1 }
-    });
+  const restarted = await User.findOneAndUpdate(
+    { _id: this._id, lockUntil: { $lte: now } },
+    { $set: { loginAttempts: 1 }, $unset: { lockUntil: 1 } }
+  );
+  if (restarted) {
+    return null;
   }
   
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  // Lock account after 5 attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+  const counted = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { loginAttempts: 1 } },
+    { new: true, projection: { loginAttempts: 1, lockCount: 1 } }
+  );
+  if (!counted || counted.loginAttempts < maxAttempts) {
+    return null;
   }
   
-  return this.updateOne(updates);
+  // Lock after LOGIN_MAX_ATTEMPTS; repeat lockouts step through LOGIN_LOCKOUT_MINUTES.
+  // Only the request that sets the lock gets it back, so one lock email goes out.
+  const minutes = lockoutMinutes[Math.min(counted.lockCount || 0, lockoutMinutes.length - 1)];
+  const lockUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  
+  const locked = await User.findOneAndUpdate(
+    { _id: this._id, $or: [{ lockUntil: { $exists: false } }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil }, $inc: { lockCount: 1 } }
+  );
+  
+  return locked ? lockUntil : null;
 };
 
 // Reset login attempts
 userSchema.methods.resetLoginAttempts = function() {
   return this.updateOne({
-    $unset: { loginAttempts: 1, lockUntil: 1 }
+    $unset: { loginAttempts: 1, lockUntil: 1, lockCount: 1 }
   });
 };
 
@@ -597,6 +710,14 @@ userSchema.statics.findRecentlyActive = function(days = 30) {
   });
 };
 
+// The unverified user behind an emailed verification token, if it hasn't expired
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashEmailVerificationToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
 // Find users by referral code
 userSchema.statics.findByReferralCode = function(code) {
   return this.findOne({ referralCode: code.toUpperCase() });
@@ -61,12 +61,36 @@ const videographerSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    travelFee: {
+      type: Number,
+      default: 0
+    }, // charged when the event is outside the provider's city and service areas
     custom: [{
       name: String,
       price: Number,
       description: String
     }]
   },
+  // Applied when a client cancels; empty tiers fall back to the platform default
+  cancellationPolicy: {
+    tiers: [{
+      daysBefore: {
+        type: Number,
+        required: true,
+        min: 0
+      }, // cancelling at least this many days before the event...
+      refundPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      } // ...refunds this share of what was paid
+    }],
+    depositNonRefundable: {
+      type: Boolean,
+      default: false
+    }
+  },
   equipment: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Equipment'
@@ -5,9 +5,9 @@ import {
   getAllUsers,
   getUserById,
   updateUserStatus,
+  unlockUser,
   deleteUser,
-  getAllPhotographers,
-  getAllVideographers,
+  getAllProviders,
   approveProvider,
   rejectProvider,
   getAllBookings,
@@ -20,10 +20,27 @@ import {
   getRevenueStats,
   exportData,
   sendBulkNotification,
-  manageSubscriptions
+  manageSubscriptions,
+  getSecuritySettings,
+  updateSecuritySettings
 } from '../controllers/adminController.js';
+import {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} from '../controllers/promoCodeController.js';
+import {
+  getAllDisputes,
+  getDisputeById,
+  reviewDispute,
+  resolveDispute
+} from '../controllers/disputeController.js';
 import { authenticate } from '../middleware/auth.js';
 import { authorize } from '../middleware/roleAuth.js';
+import { useProviderType, resolveProviderType } from '../middleware/providerType.js';
+import { validate, validatePromoCode, validateDisputeResolution, validateSecuritySettings } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -40,11 +57,13 @@ router.get('/revenue', getRevenueStats);
 router.get('/users', getAllUsers);
 router.get('/users/:id', getUserById);
 router.put('/users/:id/status', updateUserStatus);
+router.put('/users/:id/unlock', unlockUser);
 router.delete('/users/:id', deleteUser);
 
 // Provider management
-router.get('/photographers', getAllPhotographers);
-router.get('/videographers', getAllVideographers);
+router.get('/photographers', useProviderType('photographer'), getAllProviders);
+router.get('/videographers', useProviderType('videographer'), getAllProviders);
+router.get('/providers/:type', resolveProviderType, getAllProviders);
 router.put('/providers/:id/:type/approve', approveProvider);
 router.put('/providers/:id/:type/reject', rejectProvider);
 
@@ -53,14 +72,29 @@ router.get('/bookings', getAllBookings);
 router.get('/bookings/:id', getBookingById);
 router.put('/bookings/:id/status', adminUpdateBookingStatus);
 
+// Dispute management
+router.get('/disputes', getAllDisputes);
+router.get('/disputes/:id', getDisputeById);
+router.put('/disputes/:id/review', reviewDispute);
+router.post('/disputes/:id/resolve', validate(validateDisputeResolution), resolveDispute);
+
 // Review management
 router.get('/reviews', getAllReviews);
 router.put('/reviews/:id/hide', hideReview);
 router.put('/reviews/:id/unhide', unhideReview);
 
+// Promo code management
+router.get('/promo-codes', getPromoCodes);
+router.get('/promo-codes/:id', getPromoCodeById);
+router.post('/promo-codes', validate(validatePromoCode), createPromoCode);
+router.put('/promo-codes/:id', updatePromoCode);
+router.delete('/promo-codes/:id', deletePromoCode);
+
 // System management
 router.post('/export/:type', exportData);
 router.post('/notifications/bulk', sendBulkNotification);
 router.get('/subscriptions', manageSubscriptions);
+router.get('/security', getSecuritySettings);
+router.put('/security', validate(validateSecuritySettings), updateSecuritySettings);
 
 export default router;
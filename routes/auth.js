@@ -1,6 +1,7 @@
 // routes/auth.js
 import express from 'express';
 import { body } from 'express-validator';
+import rateLimit from 'express-rate-limit';
 import { 
   register, 
   login, 
@@ -10,9 +11,22 @@ import {
   resetPassword,
   changePassword,
   logout,
-  verifyEmail
+  logoutAll,
+  getSessions,
+  revokeSessionById,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactorLogin
 } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateBackupCodes
+} from '../controllers/twoFactorController.js';
+import { authenticate, authenticateForTwoFactorSetup } from '../middleware/auth.js';
+import { PROVIDER_ROLES } from '../config/providerTypes.js';
 
 const router = express.Router();
 
@@ -21,15 +35,15 @@ const registerValidation = [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2-50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['user', 'photographer', 'videographer']).withMessage('Invalid role'),
+  body('role').optional().isIn(['user', ...PROVIDER_ROLES]).withMessage('Invalid role'),
   body('businessName')
-    .if(body('role').isIn(['photographer', 'videographer']))
+    .if(body('role').isIn(PROVIDER_ROLES))
     .notEmpty()
-    .withMessage('Business name is required for photographers and videographers'),
+    .withMessage('Business name is required for service providers'),
   body('description')
-    .if(body('role').isIn(['photographer', 'videographer']))
+    .if(body('role').isIn(PROVIDER_ROLES))
     .notEmpty()
-    .withMessage('Description is required for photographers and videographers')
+    .withMessage('Description is required for service providers')
 ];
 
 const loginValidation = [
@@ -46,22 +60,71 @@ const resetPasswordValidation = [
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+];
+
 const changePasswordValidation = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ];
 
+const twoFactorCodeValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('A 6-digit code is required')
+];
+
+// Either an authenticator code or one of the backup codes
+const secondFactorValidation = [
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('backupCode').optional().isString().withMessage('Invalid backup code'),
+  body().custom(value => {
+    if (!value.code && !value.backupCode) {
+      throw new Error('A two-factor code or backup code is required');
+    }
+    return true;
+  })
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().withMessage('Login challenge is required'),
+  ...secondFactorValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...secondFactorValidation
+];
+
+// On top of the per-account cooldown in the controller
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 resends per windowMs
+  message: { message: 'Too many verification emails requested, please try again later.' }
+});
+
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
 router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
 router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/refresh-token', refreshTokenValidation, refreshToken);
 router.get('/verify-email/:token', verifyEmail);
+router.post('/2fa/verify', twoFactorLoginValidation, verifyTwoFactorLogin);
 
 // Protected routes (require authentication)
-router.get('/me', authenticate, getMe);
-router.post('/refresh-token', authenticate, refreshToken);
 router.put('/change-password', authenticate, changePasswordValidation, changePassword);
-router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, revokeSessionById);
+router.post('/resend-verification', authenticate, resendVerificationLimiter, resendVerificationEmail);
+router.post('/2fa/disable', authenticate, disableTwoFactorValidation, disableTwoFactorAuth);
+router.post('/2fa/backup-codes', authenticate, twoFactorCodeValidation, regenerateBackupCodes);
+
+// Still reachable when the role requires two-factor and it isn't set up yet
+router.get('/me', authenticateForTwoFactorSetup, getMe);
+router.post('/logout', authenticateForTwoFactorSetup, logout);
+router.get('/2fa', authenticateForTwoFactorSetup, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateForTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', authenticateForTwoFactorSetup, twoFactorCodeValidation, enableTwoFactor);
 
 export default router;
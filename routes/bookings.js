@@ -1,16 +1,62 @@
 // routes/bookings.js
 import express from 'express';
 import { 
+  getQuote,
   createBooking,
   getBookings,
   getBookingById,
   updateBookingStatus,
   cancelBooking,
+  getCancellationPreview,
+  getMessages,
   addMessage,
+  markMessagesAsRead,
   getAvailableSlots
 } from '../controllers/bookingController.js';
+import { validatePromoCodeForBooking } from '../controllers/promoCodeController.js';
+import {
+  getDeliverables,
+  createDeliverable,
+  uploadDeliverableFiles,
+  deleteDeliverableFile,
+  deliverDeliverable,
+  downloadDeliverable,
+  publishProofs,
+  getProofSelection,
+  updateProofSelection,
+  submitProofSelection,
+  reopenProofSelection,
+  chargeExtraSelections
+} from '../controllers/deliverableController.js';
+import {
+  getMilestoneTemplates,
+  getMilestones,
+  addMilestone,
+  applyMilestoneTemplate,
+  updateMilestone,
+  completeMilestone,
+  reorderMilestones,
+  deleteMilestone
+} from '../controllers/milestoneController.js';
+import { getOccurrences, updateOccurrence } from '../controllers/occurrenceController.js';
+import {
+  getTeamRoster,
+  assignTeamMember,
+  updateTeamAssignment,
+  resendTeamInvitation,
+  removeTeamMember
+} from '../controllers/teamAssignmentController.js';
+import {
+  getBookingEquipment,
+  getAvailableBookingEquipment,
+  assignEquipment,
+  removeEquipment
+} from '../controllers/equipmentAssignmentController.js';
 import { authenticate } from '../middleware/auth.js';
-import { authorize } from '../middleware/roleAuth.js';
+import { authorize, authorizeBookingAccess, requireVerifiedEmail } from '../middleware/roleAuth.js';
+import { PROVIDER_ROLES } from '../config/providerTypes.js';
+import { uploadMultiple } from '../middleware/upload.js';
+import { validate, validateBooking, validateQuote, validatePromoCodeCheck } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -18,17 +64,65 @@ const router = express.Router();
 router.use(authenticate);
 
 // Client routes
-router.post('/', authorize('user'), createBooking);
+router.post('/quote', validate(validateQuote), getQuote);
+router.post('/promo-codes/validate', authorize('user'), validate(validatePromoCodeCheck), validatePromoCodeForBooking);
+router.post('/', authorize('user'), requireVerifiedEmail, validate(validateBooking), createBooking);
+router.get('/milestone-templates', getMilestoneTemplates);
 router.get('/my-bookings', authorize('user'), getBookings);
 
 // Provider routes
-router.get('/my-jobs', authorize('photographer', 'videographer'), getBookings);
-router.put('/:id/status', authorize('photographer', 'videographer'), updateBookingStatus);
+router.get('/my-jobs', authorize(...PROVIDER_ROLES), getBookings);
+router.put('/:id/status', authorize(...PROVIDER_ROLES), updateBookingStatus);
 
 // Shared routes
 router.get('/:id', getBookingById);
 router.delete('/:id', cancelBooking);
+router.get('/:id/cancellation-preview', getCancellationPreview);
+router.get('/:id/messages', getMessages);
 router.post('/:id/messages', addMessage);
+router.put('/:id/messages/read', markMessagesAsRead);
+
+// Occurrences of multi-day and recurring bookings
+router.get('/:id/occurrences', authorizeBookingAccess, getOccurrences);
+router.put('/:id/occurrences/:occurrenceId', authorizeBookingAccess, updateOccurrence);
+
+// Crew
+router.get('/:id/team', authorizeBookingAccess, getTeamRoster);
+router.post('/:id/team', authorizeBookingAccess, assignTeamMember);
+router.put('/:id/team/:assignmentId', authorizeBookingAccess, updateTeamAssignment);
+router.post('/:id/team/:assignmentId/resend', authorizeBookingAccess, resendTeamInvitation);
+router.delete('/:id/team/:assignmentId', authorizeBookingAccess, removeTeamMember);
+
+// Equipment
+router.get('/:id/equipment', authorizeBookingAccess, getBookingEquipment);
+router.get('/:id/equipment/available', authorizeBookingAccess, getAvailableBookingEquipment);
+router.post('/:id/equipment', authorizeBookingAccess, assignEquipment);
+router.delete('/:id/equipment/:assignmentId', authorizeBookingAccess, removeEquipment);
+
+// Milestones
+router.get('/:id/milestones', authorizeBookingAccess, getMilestones);
+router.post('/:id/milestones', authorizeBookingAccess, addMilestone);
+router.post('/:id/milestones/template', authorizeBookingAccess, applyMilestoneTemplate);
+router.put('/:id/milestones/reorder', authorizeBookingAccess, reorderMilestones);
+router.put('/:id/milestones/:milestoneId', authorizeBookingAccess, updateMilestone);
+router.put('/:id/milestones/:milestoneId/complete', authorizeBookingAccess, completeMilestone);
+router.delete('/:id/milestones/:milestoneId', authorizeBookingAccess, deleteMilestone);
+
+// Deliverables
+router.get('/:id/deliverables', authorizeBookingAccess, getDeliverables);
+router.post('/:id/deliverables', authorizeBookingAccess, createDeliverable);
+router.post('/:id/deliverables/:deliverableId/files', authorizeBookingAccess, uploadMultiple('files', 20), uploadDeliverableFiles);
+router.delete('/:id/deliverables/:deliverableId/files/:fileId', authorizeBookingAccess, deleteDeliverableFile);
+router.put('/:id/deliverables/:deliverableId/deliver', authorizeBookingAccess, deliverDeliverable);
+router.get('/:id/deliverables/:deliverableId/download', authorizeBookingAccess, downloadDeliverable);
+
+// Proofing
+router.put('/:id/deliverables/:deliverableId/proofing', authorizeBookingAccess, publishProofs);
+router.get('/:id/deliverables/:deliverableId/proofing', authorizeBookingAccess, getProofSelection);
+router.put('/:id/deliverables/:deliverableId/proofing/selections/:fileId', authorizeBookingAccess, updateProofSelection);
+router.post('/:id/deliverables/:deliverableId/proofing/submit', authorizeBookingAccess, submitProofSelection);
+router.post('/:id/deliverables/:deliverableId/proofing/reopen', authorizeBookingAccess, reopenProofSelection);
+router.post('/:id/deliverables/:deliverableId/proofing/charge', authorizeBookingAccess, chargeExtraSelections);
 
 // Utility routes
 router.get('/availability/:providerId/:providerType', getAvailableSlots);
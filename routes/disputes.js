@@ -0,0 +1,24 @@
+// routes/disputes.js
+import express from 'express';
+import {
+  openDispute,
+  getMyDisputes,
+  getDisputeById,
+  addStatement
+} from '../controllers/disputeController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorizeBookingAccess } from '../middleware/roleAuth.js';
+import { uploadMultiple } from '../middleware/upload.js';
+import { validate, validateDispute } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All dispute routes require authentication
+router.use(authenticate);
+
+router.get('/', getMyDisputes);
+router.post('/bookings/:bookingId', authorizeBookingAccess, uploadMultiple('evidence', 5), validate(validateDispute), openDispute);
+router.get('/:id', getDisputeById);
+router.post('/:id/statements', uploadMultiple('evidence', 5), addStatement);
+
+export default router;
@@ -0,0 +1,37 @@
+// routes/inquiries.js
+import express from 'express';
+import {
+  createInquiry,
+  getInquiries,
+  getInquiryById,
+  addInquiryMessage,
+  submitQuote,
+  declineInquiry,
+  acceptQuote,
+  closeInquiry
+} from '../controllers/inquiryController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize, requireVerifiedEmail } from '../middleware/roleAuth.js';
+import { PROVIDER_ROLES } from '../config/providerTypes.js';
+import { validate, validateInquiry, validateInquiryQuote } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All inquiry routes require authentication
+router.use(authenticate);
+
+// Client routes
+router.post('/', authorize('user'), validate(validateInquiry), createInquiry);
+router.post('/:id/responses/:responseId/accept', authorize('user'), requireVerifiedEmail, acceptQuote);
+router.put('/:id/close', authorize('user', 'admin'), closeInquiry);
+
+// Provider routes
+router.post('/:id/responses/:responseId/quotes', authorize(...PROVIDER_ROLES), validate(validateInquiryQuote), submitQuote);
+router.put('/:id/responses/:responseId/decline', authorize(...PROVIDER_ROLES), declineInquiry);
+
+// Shared routes
+router.get('/', getInquiries);
+router.get('/:id', getInquiryById);
+router.post('/:id/responses/:responseId/messages', addInquiryMessage);
+
+export default router;
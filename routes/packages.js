@@ -0,0 +1,36 @@
+// routes/packages.js
+import express from 'express';
+import {
+  getPackageQuote,
+  createPackage,
+  getPackages,
+  getPackageById,
+  updatePackage,
+  updateTimeline,
+  getPackagePayments,
+  createPackagePaymentIntent,
+  confirmPackagePaymentIntent
+} from '../controllers/packageController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize, requireVerifiedEmail } from '../middleware/roleAuth.js';
+import { validate, validatePackage, validatePackageQuote } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All package routes require authentication
+router.use(authenticate);
+
+// Client routes
+router.post('/quote', validate(validatePackageQuote), getPackageQuote);
+router.post('/', authorize('user'), requireVerifiedEmail, validate(validatePackage), createPackage);
+router.put('/:id', authorize('user'), updatePackage);
+router.post('/:id/payments/intents', authorize('user'), createPackagePaymentIntent);
+router.post('/:id/payments/intents/:intentId/confirm', authorize('user'), confirmPackagePaymentIntent);
+
+// Shared routes
+router.get('/', getPackages);
+router.get('/:id', getPackageById);
+router.put('/:id/timeline', updateTimeline);
+router.get('/:id/payments', getPackagePayments);
+
+export default router;
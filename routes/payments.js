@@ -0,0 +1,27 @@
+// routes/payments.js
+import express from 'express';
+import {
+  getBookingPayments,
+  createIntent,
+  confirmIntent,
+  createRefund,
+  getPaymentHistory
+} from '../controllers/paymentController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize, authorizeBookingAccess } from '../middleware/roleAuth.js';
+
+const router = express.Router();
+
+// All payment routes require authentication
+router.use(authenticate);
+
+// Client routes
+router.get('/history', authorize('user'), getPaymentHistory);
+router.post('/intents/:intentId/confirm', authorize('user'), confirmIntent);
+
+// Booking payment routes
+router.get('/bookings/:bookingId', authorizeBookingAccess, getBookingPayments);
+router.post('/bookings/:bookingId/intents', authorizeBookingAccess, createIntent);
+router.post('/bookings/:bookingId/refunds', authorizeBookingAccess, createRefund);
+
+export default router;
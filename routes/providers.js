@@ -0,0 +1,99 @@
+// routes/providers.js
+import express from 'express';
+import {
+  getProviderTypes,
+  getProviders,
+  getProviderById,
+  getProviderByUserId,
+  updateProvider,
+  updateExtension,
+  getDashboardStats,
+  getBookingHistory,
+  getTeamAvailability,
+  updateAvailability,
+  updateCancellationPolicy,
+  addTeamMember,
+  updateTeamMember,
+  deleteTeamMember,
+  uploadPortfolio,
+  addPortfolioImages,
+  deletePortfolioImage,
+  deletePortfolioItem,
+  addEquipment,
+  updateEquipment,
+  deleteEquipment,
+  getEquipmentCalendar,
+  getMaintenanceLog,
+  addMaintenanceRecord,
+  updateMaintenanceSchedule,
+  getEquipmentReport
+} from '../controllers/providerController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorizeProviderRole, authorizeProviderAccess } from '../middleware/roleAuth.js';
+import { resolveProviderType } from '../middleware/providerType.js';
+import { uploadSingle, uploadMultiple } from '../middleware/upload.js';
+import { validate, validateCancellationPolicy } from '../middleware/validation.js';
+
+// Albums take up to 20 images, video items a single file
+const uploadPortfolioMedia = (req, res, next) => {
+  const upload = req.providerType.portfolioMedia === 'video'
+    ? uploadSingle('video')
+    : uploadMultiple('images', 20);
+  upload(req, res, next);
+};
+
+// Routes shared by every provider type; expects req.providerType to be set
+export const createProviderRouter = () => {
+  const router = express.Router({ mergeParams: true });
+  const owner = [authenticate, authorizeProviderRole, authorizeProviderAccess];
+
+  // Public routes
+  router.get('/', getProviders);
+  router.get('/user/:userId', getProviderByUserId);
+  router.get('/:id/availability', getTeamAvailability);
+
+  // Protected routes
+  router.put('/:id', ...owner, updateProvider);
+  router.put('/:id/extensions/:extension', ...owner, updateExtension);
+  router.get('/:id/dashboard', ...owner, getDashboardStats);
+  router.get('/:id/bookings', ...owner, getBookingHistory);
+
+  // Portfolio management
+  router.post('/:id/portfolio', ...owner, uploadPortfolioMedia, uploadPortfolio);
+  router.post('/:id/portfolio/:portfolioId/images', ...owner, uploadMultiple('images', 20), addPortfolioImages);
+  router.delete('/:id/portfolio/:portfolioId/images/:imageIndex', ...owner, deletePortfolioImage);
+  router.delete('/:id/portfolio/:portfolioId', ...owner, deletePortfolioItem);
+
+  // Team management routes
+  router.post('/:id/team', ...owner, addTeamMember);
+  router.put('/:id/team/:memberId', ...owner, updateTeamMember);
+  router.delete('/:id/team/:memberId', ...owner, deleteTeamMember);
+
+  // Equipment management
+  router.get('/:id/equipment/report', ...owner, getEquipmentReport);
+  router.post('/:id/equipment', ...owner, uploadMultiple('images'), addEquipment);
+  router.put('/:id/equipment/:equipmentId', ...owner, updateEquipment);
+  router.delete('/:id/equipment/:equipmentId', ...owner, deleteEquipment);
+  router.get('/:id/equipment/:equipmentId/calendar', ...owner, getEquipmentCalendar);
+  router.get('/:id/equipment/:equipmentId/maintenance', ...owner, getMaintenanceLog);
+  router.post('/:id/equipment/:equipmentId/maintenance', ...owner, addMaintenanceRecord);
+  router.put('/:id/equipment/:equipmentId/maintenance/schedule', ...owner, updateMaintenanceSchedule);
+
+  // Availability management
+  router.put('/:id/availability', ...owner, updateAvailability);
+
+  // Cancellation policy
+  router.put('/:id/cancellation-policy', ...owner, validate(validateCancellationPolicy), updateCancellationPolicy);
+
+  // This should be last among /:id routes
+  router.get('/:id', getProviderById);
+
+  return router;
+};
+
+const router = express.Router();
+
+router.get('/', getProviderTypes);
+router.use('/:type', resolveProviderType, createProviderRouter());
+
+export default router;
@@ -0,0 +1,42 @@
+// routes/rentals.js
+import express from 'express';
+import {
+  getRentalMarketplace,
+  requestRental,
+  getRentals,
+  getRentalById,
+  approveRental,
+  declineRental,
+  cancelRental,
+  createRentalPayment,
+  confirmRentalPaymentIntent,
+  checkOutRental,
+  checkInRental
+} from '../controllers/rentalController.js';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/roleAuth.js';
+import { PROVIDER_ROLES } from '../config/providerTypes.js';
+
+const router = express.Router();
+
+// All rental routes require authentication
+router.use(authenticate);
+
+// Renter routes
+router.get('/marketplace', authorize(...PROVIDER_ROLES), getRentalMarketplace);
+router.post('/', authorize(...PROVIDER_ROLES), requestRental);
+router.post('/:id/payment', authorize(...PROVIDER_ROLES), createRentalPayment);
+router.post('/:id/payment/confirm', authorize(...PROVIDER_ROLES), confirmRentalPaymentIntent);
+
+// Owner routes
+router.put('/:id/approve', authorize(...PROVIDER_ROLES), approveRental);
+router.put('/:id/decline', authorize(...PROVIDER_ROLES), declineRental);
+router.put('/:id/check-out', authorize(...PROVIDER_ROLES), checkOutRental);
+router.put('/:id/check-in', authorize(...PROVIDER_ROLES), checkInRental);
+
+// Shared routes
+router.get('/', getRentals);
+router.get('/:id', getRentalById);
+router.put('/:id/cancel', cancelRental);
+
+export default router;
@@ -13,7 +13,8 @@ import {
   getReviewStats
 } from '../controllers/reviewController.js';
 import { authenticate } from '../middleware/auth.js';
-import { authorize } from '../middleware/roleAuth.js';
+import { authorize, requireVerifiedEmail } from '../middleware/roleAuth.js';
+import { PROVIDER_ROLES } from '../config/providerTypes.js';
 import { uploadMultiple } from '../middleware/upload.js';
 
 const router = express.Router();
@@ -40,13 +41,13 @@ router.get('/:id', getReviewById);
 router.use(authenticate);
 
 // User routes
-router.post('/', authorize('user'), uploadMultiple('photos'), reviewValidation, createReview);
+router.post('/', authorize('user'), requireVerifiedEmail, uploadMultiple('photos'), reviewValidation, createReview);
 router.get('/my-reviews', authorize('user'), getReviews);
 router.put('/:id', authorize('user'), updateReview);
 router.delete('/:id', authorize('user'), deleteReview);
 router.post('/:id/helpful', markHelpful);
 
 // Provider routes
-router.post('/:id/respond', authorize('photographer', 'videographer'), respondToReview);
+router.post('/:id/respond', authorize(...PROVIDER_ROLES), respondToReview);
 
 export default router;
@@ -0,0 +1,16 @@
+// routes/team.js
+import express from 'express';
+import {
+  getInvitation,
+  acceptInvitation,
+  declineInvitation
+} from '../controllers/teamAssignmentController.js';
+
+const router = express.Router();
+
+// Public routes - crew members respond through the emailed link, no account needed
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', acceptInvitation);
+router.post('/invitations/:token/decline', declineInvitation);
+
+export default router;
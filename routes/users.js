@@ -1,5 +1,7 @@
 // routes/users.js
 import express from 'express';
+import { body } from 'express-validator';
+import rateLimit from 'express-rate-limit';
 import { 
   getUserProfile,
   updateUserProfile,
@@ -8,7 +10,9 @@ import {
   addToFavorites,
   removeFromFavorites,
   getFavorites,
-  updatePreferences
+  updatePreferences,
+  sendPhoneVerification,
+  verifyPhone
 } from '../controllers/userController.js';
 import { authenticate } from '../middleware/auth.js';
 import { authorize } from '../middleware/roleAuth.js';
@@ -16,6 +20,24 @@ import { uploadSingle } from '../middleware/upload.js';
 
 const router = express.Router();
 
+// SMS costs money, so on top of the per-account cooldown each IP is capped
+const phoneVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 codes per windowMs
+  message: { message: 'Too many verification codes requested, please try again later.' }
+});
+
+const sendPhoneVerificationValidation = [
+  body('phone')
+    .optional()
+    .matches(/^\+?[\d\s\-\(\)]{7,20}$/)
+    .withMessage('Please provide a valid phone number')
+];
+
+const verifyPhoneValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('A 6-digit code is required')
+];
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -24,6 +46,10 @@ router.get('/profile', getUserProfile);
 router.put('/profile', uploadSingle('avatar'), updateUserProfile);
 router.delete('/account', deleteUserAccount);
 
+// Phone verification
+router.post('/phone/verification', phoneVerificationLimiter, sendPhoneVerificationValidation, sendPhoneVerification);
+router.post('/phone/verify', verifyPhoneValidation, verifyPhone);
+
 // Booking routes for users
 router.get('/bookings', authorize('user'), getUserBookings);
 
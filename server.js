@@ -1,4 +1,5 @@
 import express from 'express';
+import { createServer } from 'http';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
@@ -10,16 +11,33 @@ import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import photographerRoutes from './routes/photographers.js';
 import videographerRoutes from './routes/videographers.js';
+import providerRoutes from './routes/providers.js';
 import bookingRoutes from './routes/bookings.js';
 import reviewRoutes from './routes/reviews.js';
 import adminRoutes from './routes/admin.js';
+import paymentRoutes from './routes/payments.js';
+import disputeRoutes from './routes/disputes.js';
+import teamRoutes from './routes/team.js';
+import rentalRoutes from './routes/rentals.js';
+import packageRoutes from './routes/packages.js';
+import inquiryRoutes from './routes/inquiries.js';
 
 // Service imports
 import { initializeScheduledTasks } from './services/notificationService.js';
+import { initializeChat } from './services/chatService.js';
+import { assertGatewayConfigured } from './services/paymentGateway.js';
 
 dotenv.config();
 
+try {
+  assertGatewayConfigured();
+} catch (error) {
+  console.error('Payment gateway error:', error.message);
+  process.exit(1);
+}
+
 const app = express();
+const server = createServer(app);
 const PORT = process.env.PORT || 5000;
 
 // Connect to MongoDB
@@ -29,12 +47,13 @@ connectDB();
 app.use(helmet());
 
 // Enable CORS
-app.use(cors({
+const corsOptions = {
   origin: ['https://lensora-dashboard.onrender.com'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
-}));
+};
+app.use(cors(corsOptions));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -53,9 +72,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/photographers', photographerRoutes);
 app.use('/api/videographers', videographerRoutes);
+app.use('/api/providers', providerRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/team', teamRoutes);
+app.use('/api/rentals', rentalRoutes);
+app.use('/api/packages', packageRoutes);
+app.use('/api/inquiries', inquiryRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -83,7 +109,10 @@ app.use('/*path', (req, res) => {
 // Initialize scheduled tasks
 initializeScheduledTasks();
 
-app.listen(PORT, () => {
+// Real-time booking chat shares the HTTP server
+initializeChat(server, corsOptions);
+
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
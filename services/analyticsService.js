@@ -1,12 +1,12 @@
 // services/analyticsService.js
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
-import Booking from '../models/Booking.js';
 import Review from '../models/Review.js';
+import Inquiry from '../models/Inquiry.js';
+import { getProviderModel } from './providerService.js';
 
 export const updateProviderStats = async (providerId, providerType) => {
   try {
-    const Model = providerType === 'Photographer' ? Photographer : Videographer;
+    const Model = getProviderModel(providerType);
+    if (!Model) return;
     
     // Calculate average rating
     const reviews = await Review.find({ 
@@ -33,43 +33,16 @@ export const updateProviderStats = async (providerId, providerType) => {
       });
     }
 
-    // Update booking statistics
-    const bookingStats = await Booking.aggregate([
-      {
-        $match: {
-          provider: providerId,
-          providerType
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalBookings: { $sum: 1 },
-          totalRevenue: {
-            $sum: {
-              $cond: [
-                { $in: ['$payment.status', ['paid', 'partial']] },
-                '$pricing.totalAmount',
-                0
-              ]
-            }
-          },
-          completedBookings: {
-            $sum: {
-              $cond: [{ $eq: ['$status', 'completed'] }, 1, 0]
-            }
-          }
-        }
-      }
+    // Inquiries the provider was asked to quote on, and how many they won
+    const [inquiries, conversions] = await Promise.all([
+      Inquiry.countDocuments({ responses: { $elemMatch: { provider: providerId, providerType } } }),
+      Inquiry.countDocuments({ responses: { $elemMatch: { provider: providerId, providerType, status: 'accepted' } } })
     ]);
 
-    if (bookingStats.length > 0) {
-      const stats = bookingStats[0];
-      await Model.findByIdAndUpdate(providerId, {
-        'analytics.bookingInquiries': stats.totalBookings,
-        'analytics.bookingConversions': stats.completedBookings
-      });
-    }
+    await Model.findByIdAndUpdate(providerId, {
+      'analytics.bookingInquiries': inquiries,
+      'analytics.bookingConversions': conversions
+    });
 
     console.log(`Updated stats for ${providerType} ${providerId}`);
   } catch (error) {
@@ -79,7 +52,8 @@ export const updateProviderStats = async (providerId, providerType) => {
 
 export const getPopularProviders = async (providerType, limit = 10) => {
   try {
-    const Model = providerType === 'Photographer' ? Photographer : Videographer;
+    const Model = getProviderModel(providerType);
+    if (!Model) return [];
     
     const popularProviders = await Model.find({
       isActive: true,
@@ -0,0 +1,214 @@
+// services/bookingStateMachine.js
+import {
+  sendBookingConfirmation,
+  sendBookingStatusUpdate,
+  sendReviewInvitation
+} from './notificationService.js';
+import { emitToBooking } from './chatService.js';
+import { reserveBooking, releaseBooking } from './reservationService.js';
+import { checkBookingEquipment } from './equipmentService.js';
+import { cancelOpenIntents } from './paymentService.js';
+
+// Allowed transitions and who may perform them. Roles are relative to the
+// booking (see utils/bookingAccess.js): 'client', 'provider' or 'admin'.
+export const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ['provider', 'admin'],
+    cancelled: ['client', 'provider', 'admin']
+  },
+  confirmed: {
+    in_progress: ['provider', 'admin'],
+    cancelled: ['client', 'provider', 'admin'],
+    disputed: ['client', 'provider', 'admin']
+  },
+  in_progress: {
+    completed: ['provider', 'admin'],
+    cancelled: ['admin'],
+    disputed: ['client', 'provider', 'admin']
+  },
+  completed: {
+    disputed: ['client', 'provider', 'admin']
+  },
+  disputed: {
+    confirmed: ['admin'],
+    in_progress: ['admin'],
+    completed: ['admin'],
+    cancelled: ['admin']
+  },
+  cancelled: {}
+};
+
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS) || 90;
+
+// Unassign crew and equipment and free their time slots so they can be booked elsewhere
+const releaseTeam = async (booking) => {
+  booking.teamAssignment.teamMembers.forEach(assignment => {
+    assignment.confirmed = false;
+  });
+  booking.teamAssignment.equipment.forEach(assignment => {
+    assignment.reserved = false;
+  });
+  await booking.save();
+  await releaseBooking(booking._id);
+};
+
+// Turn the booking's holds into firm reservations, re-claiming any that lapsed
+const claimReservations = async (booking) => {
+  const result = await reserveBooking(booking, { hold: false });
+  if (!result.reserved) {
+    return {
+      allowed: false,
+      type: 'conflict',
+      reason: result.reason,
+      conflicts: result.conflicts
+    };
+  }
+  return { allowed: true };
+};
+
+// Equipment may have been flagged for repair since it was assigned
+const requireServiceableEquipment = async (booking) => {
+  const result = await checkBookingEquipment(booking);
+  if (!result.valid) {
+    return { allowed: false, type: 'conflict', reason: result.reason };
+  }
+  return { allowed: true };
+};
+
+// Checks that need the database run just before the transition is applied
+const GUARDS = {
+  confirmed: [requireServiceableEquipment, claimReservations],
+  in_progress: [claimReservations]
+};
+
+const openReviewWindow = async (booking) => {
+  const eligibleUntil = new Date();
+  eligibleUntil.setDate(eligibleUntil.getDate() + REVIEW_WINDOW_DAYS);
+
+  booking.reviewEligibleUntil = eligibleUntil;
+  await booking.save();
+
+  await sendReviewInvitation(booking);
+};
+
+// Open payment intents can't be confirmed once the booking is cancelled
+const cancelPendingPayments = async (booking) => {
+  await cancelOpenIntents(booking);
+  await booking.save();
+};
+
+const closeReviewWindow = async (booking) => {
+  booking.reviewEligibleUntil = undefined;
+  await booking.save();
+};
+
+// Side effects run after the new status is saved, keyed by target status
+const SIDE_EFFECTS = {
+  confirmed: [
+    (booking) => sendBookingConfirmation(booking)
+  ],
+  in_progress: [
+    (booking, from, reason) => sendBookingStatusUpdate(booking, from, 'in_progress', reason)
+  ],
+  completed: [
+    releaseTeam,
+    openReviewWindow
+  ],
+  cancelled: [
+    cancelPendingPayments,
+    releaseTeam,
+    closeReviewWindow,
+    (booking, from, reason) => sendBookingStatusUpdate(booking, from, 'cancelled', reason)
+  ],
+  disputed: [
+    (booking, from, reason) => sendBookingStatusUpdate(booking, from, 'disputed', reason)
+  ]
+};
+
+export const getAvailableTransitions = (booking, role) => {
+  const transitions = BOOKING_TRANSITIONS[booking.status] || {};
+  return Object.keys(transitions).filter(status => transitions[status].includes(role));
+};
+
+// Check a transition without applying it. Returns { allowed, reason, type } where
+// type is 'invalid_transition' or 'not_permitted' when the move is refused.
+export const canTransition = (booking, toStatus, role) => {
+  const transitions = BOOKING_TRANSITIONS[booking.status] || {};
+
+  if (!transitions[toStatus]) {
+    return {
+      allowed: false,
+      type: 'invalid_transition',
+      reason: `Booking cannot move from ${booking.status} to ${toStatus}`,
+      allowedTransitions: getAvailableTransitions(booking, role)
+    };
+  }
+
+  if (!transitions[toStatus].includes(role)) {
+    return {
+      allowed: false,
+      type: 'not_permitted',
+      reason: `Only ${transitions[toStatus].join(' or ')} can move a booking to ${toStatus}`
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Apply a transition, record it in the audit trail and run its side effects.
+// Callers are expected to have checked canTransition first. Returns the same
+// shape as canTransition, with type 'conflict' when a guard refuses the move.
+export const transitionBooking = async (booking, toStatus, { actor, role, reason } = {}) => {
+  const fromStatus = booking.status;
+
+  for (const guard of GUARDS[toStatus] || []) {
+    const check = await guard(booking);
+    if (!check.allowed) {
+      return check;
+    }
+  }
+
+  booking.status = toStatus;
+  booking.statusHistory.push({
+    from: fromStatus,
+    to: toStatus,
+    changedBy: actor?._id,
+    role: role || 'system',
+    reason,
+    changedAt: new Date()
+  });
+
+  if (reason && actor) {
+    booking.communication.push({
+      from: actor._id,
+      message: reason,
+      type: 'status_update'
+    });
+  }
+
+  await booking.save();
+
+  for (const effect of SIDE_EFFECTS[toStatus] || []) {
+    try {
+      await effect(booking, fromStatus, reason);
+    } catch (error) {
+      console.error(`Booking ${toStatus} side effect error:`, error);
+    }
+  }
+
+  emitToBooking(booking._id, 'booking:status', {
+    bookingId: booking._id,
+    from: fromStatus,
+    to: toStatus,
+    reason
+  });
+
+  return { allowed: true, booking };
+};
+
+export default {
+  BOOKING_TRANSITIONS,
+  getAvailableTransitions,
+  canTransition,
+  transitionBooking
+};
@@ -0,0 +1,96 @@
+// services/cancellationService.js
+import { getProviderModel } from './providerService.js';
+import { getPaymentSummary } from './paymentService.js';
+import { getBookingWindow } from './reservationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Used when the provider hasn't set up tiers of their own
+export const DEFAULT_CANCELLATION_POLICY = {
+  tiers: [
+    { daysBefore: 30, refundPercentage: 100 },
+    { daysBefore: 7, refundPercentage: 50 },
+    { daysBefore: 0, refundPercentage: 0 }
+  ],
+  depositNonRefundable: false
+};
+
+export const getCancellationPolicy = (provider) => {
+  const policy = provider?.cancellationPolicy;
+
+  if (!policy?.tiers?.length) {
+    return DEFAULT_CANCELLATION_POLICY;
+  }
+
+  return {
+    tiers: policy.tiers
+      .map(tier => ({ daysBefore: tier.daysBefore, refundPercentage: tier.refundPercentage }))
+      .sort((a, b) => b.daysBefore - a.daysBefore),
+    depositNonRefundable: !!policy.depositNonRefundable
+  };
+};
+
+// Work out what cancelling now would refund. Providers and admins cancelling,
+// or a client withdrawing a request that was never confirmed, refund everything
+// paid; otherwise the provider's tiers decide, after any non-refundable deposit.
+export const calculateCancellationRefund = (booking, provider, role, cancelledAt = new Date()) => {
+  const policy = getCancellationPolicy(provider);
+  const { netPaid, deposit } = getPaymentSummary(booking);
+  const { start } = getBookingWindow(booking.eventDetails);
+  const daysBeforeEvent = Math.max(0, Math.floor((start.getTime() - cancelledAt.getTime()) / DAY_MS));
+
+  const fullRefund = (rule) => ({
+    rule,
+    policy,
+    daysBeforeEvent,
+    amountPaid: netPaid,
+    refundPercentage: 100,
+    nonRefundableAmount: 0,
+    refundAmount: netPaid,
+    cancellationFee: 0
+  });
+
+  if (role === 'provider' || role === 'admin') {
+    return fullRefund('cancelled_by_provider');
+  }
+
+  if (booking.status === 'pending') {
+    return fullRefund('not_confirmed');
+  }
+
+  const nonRefundableAmount = policy.depositNonRefundable && deposit.paid
+    ? Math.min(deposit.amount, netPaid)
+    : 0;
+
+  const tier = policy.tiers.find(t => daysBeforeEvent >= t.daysBefore);
+  const refundPercentage = tier ? tier.refundPercentage : 0;
+  const refundAmount = roundCurrency((netPaid - nonRefundableAmount) * refundPercentage / 100);
+
+  return {
+    rule: 'policy',
+    policy,
+    tier: tier || null,
+    daysBeforeEvent,
+    amountPaid: netPaid,
+    refundPercentage,
+    nonRefundableAmount,
+    refundAmount,
+    cancellationFee: roundCurrency(netPaid - refundAmount)
+  };
+};
+
+export const previewCancellation = async (booking, role) => {
+  const ProviderModel = getProviderModel(booking.providerType);
+  const provider = await ProviderModel.findById(booking.provider).select('cancellationPolicy');
+
+  return calculateCancellationRefund(booking, provider, role);
+};
+
+export default {
+  DEFAULT_CANCELLATION_POLICY,
+  getCancellationPolicy,
+  calculateCancellationRefund,
+  previewCancellation
+};
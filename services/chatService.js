@@ -0,0 +1,275 @@
+// services/chatService.js
+import { Server } from 'socket.io';
+import Booking from '../models/Booking.js';
+import { verifyToken, getAccessDenial } from '../middleware/auth.js';
+import { isTwoFactorRequired } from './twoFactorService.js';
+import { getBookingRole, getProviderUserId } from '../utils/bookingAccess.js';
+
+let chatNamespace = null;
+
+const bookingRoom = (bookingId) => `booking:${bookingId}`;
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Same rule as the REST endpoint: admins can follow a conversation but only the
+// client and provider take part in it
+const SENDER_ROLES = ['client', 'provider'];
+
+const isUnreadFor = (entry, userId) =>
+  entry.type === 'message' &&
+  entry.from?.toString() !== userId.toString() &&
+  !entry.readBy.some(receipt => receipt.user.toString() === userId.toString());
+
+export const getUnreadCount = (booking, userId) =>
+  booking.communication.filter(entry => isUnreadFor(entry, userId)).length;
+
+// Push an event to everyone currently viewing the booking
+export const emitToBooking = (bookingId, event, payload) => {
+  if (chatNamespace) {
+    chatNamespace.to(bookingRoom(bookingId)).emit(event, payload);
+  }
+};
+
+// Let the other participants know their unread count changed
+const notifyUnreadCounts = async (booking, senderId) => {
+  if (!chatNamespace) return;
+
+  const participants = [booking.client, await getProviderUserId(booking)]
+    .filter(Boolean)
+    .map(id => id.toString())
+    .filter(id => id !== senderId.toString());
+
+  for (const participantId of participants) {
+    chatNamespace.to(userRoom(participantId)).emit('unread:count', {
+      bookingId: booking._id,
+      count: getUnreadCount(booking, participantId)
+    });
+  }
+};
+
+// Persist a message to Booking.communication and broadcast it live.
+// Used by both the socket handler and the REST endpoint so history stays in sync.
+export const postMessage = async (booking, user, message) => {
+  booking.communication.push({
+    from: user._id,
+    message,
+    type: 'message',
+    readBy: [{ user: user._id }]
+  });
+
+  await booking.save();
+
+  const saved = booking.communication[booking.communication.length - 1];
+  const payload = {
+    bookingId: booking._id,
+    message: {
+      _id: saved._id,
+      from: { _id: user._id, name: user.name, avatar: user.avatar },
+      message: saved.message,
+      timestamp: saved.timestamp,
+      type: saved.type
+    }
+  };
+
+  emitToBooking(booking._id, 'message:new', payload);
+  await notifyUnreadCounts(booking, user._id);
+
+  return payload.message;
+};
+
+export const markMessagesRead = async (booking, user) => {
+  const readAt = new Date();
+  const messageIds = [];
+
+  for (const entry of booking.communication) {
+    if (isUnreadFor(entry, user._id)) {
+      entry.readBy.push({ user: user._id, readAt });
+      messageIds.push(entry._id);
+    }
+  }
+
+  if (messageIds.length > 0) {
+    await booking.save();
+
+    emitToBooking(booking._id, 'messages:read', {
+      bookingId: booking._id,
+      userId: user._id,
+      messageIds,
+      readAt
+    });
+  }
+
+  if (chatNamespace) {
+    chatNamespace.to(userRoom(user._id)).emit('unread:count', {
+      bookingId: booking._id,
+      count: 0
+    });
+  }
+
+  return messageIds;
+};
+
+// Drop live sockets whose session has been revoked: one session, or every
+// session of a user apart from `exceptSessionId`
+export const disconnectSessions = async ({ sessionId, userId, exceptSessionId }) => {
+  if (!chatNamespace) return;
+
+  const sockets = await chatNamespace.in(sessionId ? sessionRoom(sessionId) : userRoom(userId)).fetchSockets();
+  for (const socket of sockets) {
+    if (!exceptSessionId || socket.data.sessionId !== exceptSessionId.toString()) {
+      socket.disconnect(true);
+    }
+  }
+};
+
+// Sockets may only act on bookings they have joined (and were authorised for)
+const getJoinedBooking = async (socket, bookingId) => {
+  if (!socket.data.bookings.has(String(bookingId))) {
+    return null;
+  }
+  return await Booking.findById(bookingId);
+};
+
+const registerChatHandlers = (socket) => {
+  const { user } = socket.data;
+
+  socket.on('booking:join', async ({ bookingId } = {}, ack = () => {}) => {
+    try {
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return ack({ error: 'Booking not found' });
+      }
+
+      const role = await getBookingRole(booking, user);
+      if (!role) {
+        return ack({ error: 'Access denied' });
+      }
+
+      socket.data.bookings.set(String(booking._id), role);
+      socket.join(bookingRoom(booking._id));
+
+      ack({
+        bookingId: booking._id,
+        role,
+        unreadCount: getUnreadCount(booking, user._id)
+      });
+    } catch (error) {
+      console.error('Chat join error:', error);
+      ack({ error: 'Server error' });
+    }
+  });
+
+  socket.on('booking:leave', ({ bookingId } = {}) => {
+    socket.data.bookings.delete(String(bookingId));
+    socket.leave(bookingRoom(bookingId));
+  });
+
+  socket.on('message:send', async ({ bookingId, message } = {}, ack = () => {}) => {
+    try {
+      if (!message || !message.trim()) {
+        return ack({ error: 'Message cannot be empty' });
+      }
+
+      const booking = await getJoinedBooking(socket, bookingId);
+      if (!booking) {
+        return ack({ error: 'Join the booking before sending messages' });
+      }
+
+      if (!SENDER_ROLES.includes(socket.data.bookings.get(String(bookingId)))) {
+        return ack({ error: 'Only the client and provider can send messages' });
+      }
+
+      const saved = await postMessage(booking, user, message.trim());
+      ack({ message: saved });
+    } catch (error) {
+      console.error('Chat send error:', error);
+      ack({ error: 'Server error' });
+    }
+  });
+
+  socket.on('message:read', async ({ bookingId } = {}, ack = () => {}) => {
+    try {
+      const booking = await getJoinedBooking(socket, bookingId);
+      if (!booking) {
+        return ack({ error: 'Join the booking first' });
+      }
+
+      const messageIds = await markMessagesRead(booking, user);
+      ack({ messageIds });
+    } catch (error) {
+      console.error('Chat read error:', error);
+      ack({ error: 'Server error' });
+    }
+  });
+
+  const relayTyping = (isTyping) => ({ bookingId } = {}) => {
+    if (!socket.data.bookings.has(String(bookingId))) return;
+
+    socket.to(bookingRoom(bookingId)).emit('typing', {
+      bookingId,
+      userId: user._id,
+      name: user.name,
+      isTyping
+    });
+  };
+
+  socket.on('typing:start', relayTyping(true));
+  socket.on('typing:stop', relayTyping(false));
+};
+
+// Attach the authenticated /chat namespace to the HTTP server
+export const initializeChat = (server, corsOptions) => {
+  const io = new Server(server, { cors: corsOptions });
+  chatNamespace = io.of('/chat');
+
+  // Clients authenticate with the same JWT used for the REST API
+  chatNamespace.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token ||
+        socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const { user, session } = await verifyToken(token);
+      if (!user) {
+        return next(new Error('Invalid token.'));
+      }
+
+      const denial = getAccessDenial(user);
+      if (denial) {
+        return next(new Error(denial));
+      }
+
+      if (!user.twoFactor?.enabled && await isTwoFactorRequired(user)) {
+        return next(new Error('Two-factor authentication is required for your account'));
+      }
+
+      socket.data.user = user;
+      socket.data.sessionId = session._id.toString();
+      socket.data.bookings = new Map(); // bookingId -> role
+      next();
+    } catch (error) {
+      next(new Error('Invalid token.'));
+    }
+  });
+
+  chatNamespace.on('connection', (socket) => {
+    socket.join(userRoom(socket.data.user._id));
+    socket.join(sessionRoom(socket.data.sessionId));
+    registerChatHandlers(socket);
+  });
+
+  console.log('Chat namespace initialized');
+  return io;
+};
+
+export default {
+  initializeChat,
+  emitToBooking,
+  disconnectSessions,
+  postMessage,
+  markMessagesRead,
+  getUnreadCount
+};
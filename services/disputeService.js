@@ -0,0 +1,106 @@
+// services/disputeService.js
+import { uploadFile } from '../config/cloudinary.js';
+import { getPaymentSummary, refundPayment } from './paymentService.js';
+import { transitionBooking } from './bookingStateMachine.js';
+import { sendDisputeResolution } from './notificationService.js';
+
+export const uploadEvidence = async (files = [], user) => {
+  const evidence = [];
+
+  for (const file of files) {
+    const result = await uploadFile(file, 'disputes');
+    evidence.push({
+      url: result.url,
+      publicId: result.publicId,
+      fileName: file.originalname,
+      uploadedBy: user._id
+    });
+  }
+
+  return evidence;
+};
+
+// Refund amount and resulting booking status for each outcome. A full refund
+// ends the booking; otherwise it goes back to where it was before the dispute.
+const planResolution = (dispute, booking, { outcome, refundAmount }) => {
+  const { netPaid } = getPaymentSummary(booking);
+
+  if (outcome === 'full_refund') {
+    return { valid: true, refundAmount: netPaid, bookingStatus: 'cancelled' };
+  }
+
+  if (outcome === 'partial_refund') {
+    const amount = parseFloat(refundAmount);
+    if (!(amount > 0) || amount >= netPaid) {
+      return {
+        valid: false,
+        reason: `Partial refund must be more than 0 and less than the $${netPaid} paid`
+      };
+    }
+    return { valid: true, refundAmount: amount, bookingStatus: dispute.previousStatus };
+  }
+
+  return { valid: true, refundAmount: 0, bookingStatus: dispute.previousStatus };
+};
+
+// Apply an admin decision: move the booking out of 'disputed', refund the
+// client where the outcome calls for it and record the resolution.
+// Returns { resolved, reason } in the same style as the other services.
+export const resolveDispute = async (dispute, booking, { outcome, refundAmount, notes, admin }) => {
+  const plan = planResolution(dispute, booking, { outcome, refundAmount });
+  if (!plan.valid) {
+    return { resolved: false, reason: plan.reason };
+  }
+
+  const reason = `Dispute resolved: ${outcome.replace(/_/g, ' ')}`;
+
+  if (plan.bookingStatus === 'cancelled') {
+    booking.cancellation = {
+      cancelledBy: admin._id,
+      reason,
+      cancellationDate: new Date(),
+      refundPercentage: 100,
+      refundAmount: plan.refundAmount,
+      cancellationFee: 0
+    };
+  }
+
+  const transition = await transitionBooking(booking, plan.bookingStatus, {
+    actor: admin,
+    role: 'admin',
+    reason
+  });
+
+  if (!transition.allowed) {
+    return {
+      resolved: false,
+      reason: transition.reason,
+      conflicts: transition.conflicts
+    };
+  }
+
+  let refund = null;
+  if (plan.refundAmount > 0) {
+    refund = await refundPayment(booking, plan.refundAmount, reason);
+  }
+
+  dispute.status = 'resolved';
+  dispute.resolution = {
+    outcome,
+    refundAmount: refund ? refund.refundedAmount : 0,
+    bookingStatus: plan.bookingStatus,
+    notes,
+    resolvedBy: admin._id,
+    resolvedAt: new Date()
+  };
+  await dispute.save();
+
+  await sendDisputeResolution(dispute, booking);
+
+  return { resolved: true, dispute, refund };
+};
+
+export default {
+  uploadEvidence,
+  resolveDispute
+};
@@ -0,0 +1,210 @@
+// services/equipmentService.js
+import Equipment from '../models/Equipment.js';
+import Reservation from '../models/Reservation.js';
+import Booking from '../models/Booking.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Bookings that count as wear on an item
+const USAGE_STATUSES = ['in_progress', 'completed'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Conditions that take an item out of circulation until it is repaired
+export const UNBOOKABLE_CONDITIONS = ['needs_repair'];
+
+export const checkEquipmentBookable = (item) => {
+  if (UNBOOKABLE_CONDITIONS.includes(item.condition)) {
+    return { bookable: false, reason: `${item.name} needs repair and cannot be reserved` };
+  }
+
+  if (!item.isAvailable) {
+    return { bookable: false, reason: `${item.name} is not available for bookings` };
+  }
+
+  return { bookable: true };
+};
+
+// Every item assigned to a booking must belong to its provider and be in service
+export const checkBookingEquipment = async (booking) => {
+  const assignments = booking.teamAssignment?.equipment || [];
+  const itemIds = assignments.map(assignment => assignment.item?._id || assignment.item).filter(Boolean);
+  if (itemIds.length === 0) {
+    return { valid: true };
+  }
+
+  const items = await Equipment.find({ _id: { $in: itemIds }, owner: booking.provider });
+  if (items.length !== new Set(itemIds.map(id => id.toString())).size) {
+    return { valid: false, reason: 'Equipment not found' };
+  }
+
+  for (const item of items) {
+    const check = checkEquipmentBookable(item);
+    if (!check.bookable) {
+      return { valid: false, reason: check.reason, equipment: item._id };
+    }
+  }
+
+  return { valid: true };
+};
+
+// Live (confirmed or unexpired hold) reservations overlapping a window
+const liveReservationFilter = ({ start, end }) => ({
+  resourceType: 'Equipment',
+  start: { $lt: end },
+  end: { $gt: start },
+  $or: [{ status: 'confirmed' }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Reserved windows for one item, one entry per booking or rental
+export const getEquipmentReservations = async (itemId, { from, to }) => {
+  const reservations = await Reservation.find({
+    ...liveReservationFilter({ start: from, end: to }),
+    resource: itemId
+  })
+    .populate('booking', 'eventDetails.title eventDetails.type status')
+    .populate('rental', 'status startDate endDate renter renterType')
+    .sort({ start: 1 });
+
+  const entries = new Map();
+  for (const reservation of reservations) {
+    const holder = reservation.booking || reservation.rental;
+    const key = holder?._id?.toString() || reservation._id.toString();
+    if (!entries.has(key)) {
+      entries.set(key, {
+        ...(reservation.booking ? { booking: reservation.booking } : { rental: reservation.rental }),
+        status: reservation.status,
+        start: reservation.start,
+        end: reservation.end,
+        expiresAt: reservation.expiresAt
+      });
+    }
+  }
+
+  return [...entries.values()];
+};
+
+// Drop items with a live reservation overlapping the window, or any of several windows
+export const filterUnreserved = async (items, window, { excludeBookingId } = {}) => {
+  const reservedIds = await Reservation.distinct('resource', {
+    $or: [].concat(window).map(liveReservationFilter),
+    resource: { $in: items.map(item => item._id) },
+    ...(excludeBookingId && { booking: { $ne: excludeBookingId } })
+  });
+
+  const reserved = new Set(reservedIds.map(id => id.toString()));
+  return items.filter(item => !reserved.has(item._id.toString()));
+};
+
+// A provider's items that can be reserved for the window. Items needing repair,
+// switched off, or already reserved for an overlapping booking are left out.
+export const findAvailableEquipment = async (ownerId, window, options) => {
+  const items = await Equipment.find({
+    owner: ownerId,
+    isAvailable: true,
+    condition: { $nin: UNBOOKABLE_CONDITIONS }
+  });
+
+  return filterUnreserved(items, window, options);
+};
+
+// Bookings the item was used on since a date
+export const countUsageSince = (itemId, since, at = new Date()) => Booking.countDocuments({
+  'teamAssignment.equipment.item': itemId,
+  status: { $in: USAGE_STATUSES },
+  'eventDetails.date': { ...(since && { $gte: since }), $lte: at }
+});
+
+// Where an item stands against its maintenance schedule. Usage and the interval
+// both count from the last service, or from purchase if it has never been serviced.
+export const getMaintenanceStatus = async (item, at = new Date()) => {
+  const { intervalDays, usageInterval } = item.maintenanceSchedule || {};
+  const since = item.lastMaintenance || item.purchaseDate || item.createdAt;
+
+  const usesSinceService = await countUsageSince(item._id, since, at);
+  const nextDueDate = intervalDays && since ? new Date(since.getTime() + intervalDays * DAY_MS) : null;
+  const usesRemaining = usageInterval ? Math.max(usageInterval - usesSinceService, 0) : null;
+
+  const reasons = [];
+  if (nextDueDate && nextDueDate <= at) reasons.push('interval');
+  if (usesRemaining === 0) reasons.push('usage');
+
+  return {
+    scheduled: !!(intervalDays || usageInterval),
+    due: reasons.length > 0,
+    reasons,
+    lastMaintenance: item.lastMaintenance || null,
+    nextDueDate,
+    usesSinceService,
+    usesRemaining
+  };
+};
+
+// Straight-line depreciation from purchase price down to salvage value
+export const calculateDepreciation = (item, at = new Date()) => {
+  const purchasePrice = item.purchasePrice || 0;
+  const salvageValue = Math.min(item.salvageValue || 0, purchasePrice);
+  const usefulLifeYears = item.usefulLifeYears || 5;
+
+  const ageYears = item.purchaseDate ? Math.max((at - item.purchaseDate) / YEAR_MS, 0) : 0;
+  const annualDepreciation = (purchasePrice - salvageValue) / usefulLifeYears;
+  const accumulatedDepreciation = Math.min(annualDepreciation * ageYears, purchasePrice - salvageValue);
+
+  return {
+    purchasePrice,
+    salvageValue,
+    usefulLifeYears,
+    ageYears: Math.round(ageYears * 10) / 10,
+    annualDepreciation: roundCurrency(annualDepreciation),
+    accumulatedDepreciation: roundCurrency(accumulatedDepreciation),
+    currentValue: roundCurrency(purchasePrice - accumulatedDepreciation),
+    fullyDepreciated: purchasePrice > 0 && ageYears >= usefulLifeYears
+  };
+};
+
+// Asset value, maintenance spend and service status for all of a provider's kit
+export const buildEquipmentReport = async (ownerId, at = new Date()) => {
+  const items = await Equipment.find({ owner: ownerId }).sort({ category: 1, name: 1 });
+
+  const report = await Promise.all(items.map(async item => ({
+    _id: item._id,
+    name: item.name,
+    category: item.category,
+    condition: item.condition,
+    purchaseDate: item.purchaseDate,
+    ...calculateDepreciation(item, at),
+    maintenanceCost: roundCurrency(
+      item.maintenanceLog.reduce((total, record) => total + (record.cost || 0), 0)
+    ),
+    maintenance: await getMaintenanceStatus(item, at)
+  })));
+
+  const sum = (field) => roundCurrency(report.reduce((total, item) => total + item[field], 0));
+
+  return {
+    items: report,
+    totals: {
+      items: report.length,
+      purchasePrice: sum('purchasePrice'),
+      accumulatedDepreciation: sum('accumulatedDepreciation'),
+      currentValue: sum('currentValue'),
+      maintenanceCost: sum('maintenanceCost'),
+      dueForMaintenance: report.filter(item => item.maintenance.due).length,
+      needsRepair: report.filter(item => UNBOOKABLE_CONDITIONS.includes(item.condition)).length
+    }
+  };
+};
+
+export default {
+  UNBOOKABLE_CONDITIONS,
+  checkEquipmentBookable,
+  checkBookingEquipment,
+  getEquipmentReservations,
+  filterUnreserved,
+  findAvailableEquipment,
+  countUsageSince,
+  getMaintenanceStatus,
+  calculateDepreciation,
+  buildEquipmentReport
+};
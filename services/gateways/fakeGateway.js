@@ -0,0 +1,73 @@
+// services/gateways/fakeGateway.js
+import crypto from 'crypto';
+
+// In-memory gateway for local development and tests. Nothing leaves the process.
+// Confirming with paymentMethod 'pm_card_declined' simulates a declined card.
+const intents = new Map();
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const createIntent = async ({ amount, currency, metadata = {} }) => {
+  const intent = {
+    id: generateId('pi_fake'),
+    clientSecret: generateId('secret_fake'),
+    amount,
+    currency,
+    metadata,
+    status: 'requires_confirmation'
+  };
+
+  intents.set(intent.id, intent);
+  return { ...intent };
+};
+
+const retrieveIntent = async (intentId) => {
+  const intent = intents.get(intentId);
+  return intent ? { ...intent } : null;
+};
+
+const confirmIntent = async (intentId, { paymentMethod } = {}) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(`Unknown payment intent ${intentId}`);
+  }
+
+  if (intent.status === 'requires_confirmation') {
+    if (paymentMethod === 'pm_card_declined') {
+      intent.status = 'failed';
+      intent.failureReason = 'Card declined';
+    } else {
+      intent.status = 'succeeded';
+      intent.transactionId = generateId('ch_fake');
+    }
+  }
+
+  return { ...intent };
+};
+
+const cancelIntent = async (intentId) => {
+  const intent = intents.get(intentId);
+  if (intent && intent.status === 'requires_confirmation') {
+    intent.status = 'canceled';
+  }
+
+  return intent ? { ...intent } : null;
+};
+
+const refund = async ({ transactionId, amount }) => {
+  return {
+    id: generateId('re_fake'),
+    transactionId,
+    amount,
+    status: 'succeeded'
+  };
+};
+
+export default {
+  name: 'fake',
+  createIntent,
+  retrieveIntent,
+  confirmIntent,
+  cancelIntent,
+  refund
+};
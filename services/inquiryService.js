@@ -0,0 +1,91 @@
+// services/inquiryService.js
+import moment from 'moment';
+
+export const MAX_INQUIRY_PROVIDERS = parseInt(process.env.INQUIRY_MAX_PROVIDERS) || 5;
+const QUOTE_VALID_DAYS = parseInt(process.env.INQUIRY_QUOTE_VALID_DAYS) || 14;
+
+// Responses a provider can still act on
+const OPEN_RESPONSE_STATUSES = ['pending', 'quoted'];
+
+// How a user relates to an inquiry: 'client', 'provider' (with their response),
+// 'admin' or null
+export const getInquiryRole = (inquiry, user) => {
+  if (!inquiry || !user) return { role: null };
+
+  const clientId = inquiry.client._id || inquiry.client;
+  if (clientId.toString() === user._id.toString()) {
+    return { role: 'client' };
+  }
+
+  const response = inquiry.responses.find(
+    entry => entry.providerUser.toString() === user._id.toString()
+  );
+  if (response) {
+    return { role: 'provider', response };
+  }
+
+  if (user.role === 'admin') {
+    return { role: 'admin' };
+  }
+
+  return { role: null };
+};
+
+export const getCurrentQuote = (response) =>
+  response.quotes.length > 0 ? response.quotes[response.quotes.length - 1] : null;
+
+export const isQuoteExpired = (quote) => !!quote.validUntil && quote.validUntil < new Date();
+
+export const isResponseOpen = (response) => OPEN_RESPONSE_STATUSES.includes(response.status);
+
+// Quotes are valid for INQUIRY_QUOTE_VALID_DAYS unless the provider sets a date,
+// and never past the event itself
+export const getQuoteExpiry = (inquiry, validUntil) => {
+  const eventStart = moment(inquiry.eventDetails.date).startOf('day');
+  const expiry = validUntil
+    ? moment(validUntil).endOf('day')
+    : moment().add(QUOTE_VALID_DAYS, 'days');
+
+  return (expiry.isAfter(eventStart) ? eventStart : expiry).toDate();
+};
+
+// Providers only ever see their own thread
+export const toInquiryView = (inquiry, { role, response }) => {
+  const view = inquiry.toObject();
+
+  if (role === 'provider') {
+    view.responses = view.responses.filter(entry => entry._id.toString() === response._id.toString());
+  }
+
+  view.responses = view.responses.map(entry => ({
+    ...entry,
+    currentQuote: entry.quotes.length > 0 ? entry.quotes[entry.quotes.length - 1] : null
+  }));
+
+  return view;
+};
+
+// Once the client books one provider (or withdraws), every other open thread is closed
+export const closeOpenResponses = (inquiry, except) => {
+  const closed = [];
+
+  for (const response of inquiry.responses) {
+    if (response !== except && isResponseOpen(response)) {
+      response.status = 'closed';
+      closed.push(response);
+    }
+  }
+
+  return closed;
+};
+
+export default {
+  MAX_INQUIRY_PROVIDERS,
+  getInquiryRole,
+  getCurrentQuote,
+  isQuoteExpired,
+  isResponseOpen,
+  getQuoteExpiry,
+  toInquiryView,
+  closeOpenResponses
+};
@@ -3,6 +3,9 @@ import nodemailer from 'nodemailer';
 import cron from 'cron';
 import Booking from '../models/Booking.js';
 import User from '../models/User.js';
+import Equipment from '../models/Equipment.js';
+import { getMaintenanceStatus } from './equipmentService.js';
+import { getProviderUserId } from '../utils/bookingAccess.js';
 
 // Email configuration
 const transporter = nodemailer.createTransport({
@@ -16,7 +19,7 @@ const transporter = nodemailer.createTransport({
 export const sendBookingConfirmation = async (booking) => {
   try {
     const client = await User.findById(booking.client);
-    const provider = await User.findById(booking.provider);
+    const provider = await User.findById(await getProviderUserId(booking));
 
     const clientMailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
@@ -86,6 +89,456 @@ export const sendBookingReminder = async (booking) => {
   }
 };
 
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  disputed: 'Disputed'
+};
+
+export const sendBookingStatusUpdate = async (booking, fromStatus, toStatus, reason) => {
+  try {
+    const client = await User.findById(booking.client);
+    const provider = await User.findById(await getProviderUserId(booking));
+
+    const recipients = [client, provider].filter(Boolean);
+
+    await Promise.all(recipients.map(recipient => transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: recipient.email,
+      subject: `Booking ${STATUS_LABELS[toStatus]}: ${booking.eventDetails.title}`,
+      html: `
+        <h2>Booking Status Update</h2>
+        <p>Hello ${recipient.name},</p>
+        <p>The booking for <strong>${booking.eventDetails.title}</strong> on ${booking.eventDetails.date}
+        moved from ${STATUS_LABELS[fromStatus]} to <strong>${STATUS_LABELS[toStatus]}</strong>.</p>
+        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+        <p>Please log in to your dashboard to view details.</p>
+      `
+    })));
+
+    console.log(`Booking status update emails sent (${toStatus})`);
+  } catch (error) {
+    console.error('Status update email error:', error);
+  }
+};
+
+export const sendReviewInvitation = async (booking) => {
+  try {
+    const client = await User.findById(booking.client);
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: client.email,
+      subject: 'How did your event go?',
+      html: `
+        <h2>Share Your Experience</h2>
+        <p>Hello ${client.name},</p>
+        <p>Your booking for <strong>${booking.eventDetails.title}</strong> is complete.</p>
+        <p>You can leave a review until ${booking.reviewEligibleUntil.toDateString()}.</p>
+        <p>Your feedback helps other clients find the right provider!</p>
+      `
+    });
+
+    console.log('Review invitation sent');
+  } catch (error) {
+    console.error('Review invitation email error:', error);
+  }
+};
+
+const DISPUTE_OUTCOME_LABELS = {
+  full_refund: 'Full refund to the client',
+  partial_refund: 'Partial refund to the client',
+  release_to_provider: 'Payment released to the provider'
+};
+
+export const sendDisputeResolution = async (dispute, booking) => {
+  try {
+    const client = await User.findById(booking.client);
+    const provider = await User.findById(await getProviderUserId(booking));
+
+    const { outcome, refundAmount, notes } = dispute.resolution;
+    const recipients = [client, provider].filter(Boolean);
+
+    await Promise.all(recipients.map(recipient => transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: recipient.email,
+      subject: `Dispute Resolved: ${booking.eventDetails.title}`,
+      html: `
+        <h2>Dispute Resolved</h2>
+        <p>Hello ${recipient.name},</p>
+        <p>The dispute on <strong>${booking.eventDetails.title}</strong> has been resolved.</p>
+        <p><strong>Outcome:</strong> ${DISPUTE_OUTCOME_LABELS[outcome]}</p>
+        ${refundAmount > 0 ? `<p><strong>Refund:</strong> $${refundAmount}</p>` : ''}
+        ${notes ? `<p><strong>Notes:</strong> ${notes}</p>` : ''}
+      `
+    })));
+
+    console.log('Dispute resolution emails sent');
+  } catch (error) {
+    console.error('Dispute resolution email error:', error);
+  }
+};
+
+export const sendDeliveryNotification = async (booking, deliverable) => {
+  try {
+    const client = await User.findById(booking.client);
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: client.email,
+      subject: `Content Delivered: ${booking.eventDetails.title}`,
+      html: `
+        <h2>Your Content Has Been Delivered</h2>
+        <p>Hello ${client.name},</p>
+        <p><strong>${deliverable.name}</strong> (${deliverable.files.length} files) for
+        <strong>${booking.eventDetails.title}</strong> is ready to view and download.</p>
+        <p>Download access is available until ${deliverable.accessExpiresAt.toDateString()}.</p>
+        <p>Please log in to your dashboard to open the gallery.</p>
+      `
+    });
+
+    console.log('Delivery notification sent');
+  } catch (error) {
+    console.error('Delivery notification email error:', error);
+  }
+};
+
+export const sendProofsReady = async (booking, deliverable) => {
+  try {
+    const client = await User.findById(booking.client);
+    const { selectionQuota, extraSelectionPrice } = deliverable.proofing;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: client.email,
+      subject: `Proofs Ready for Selection: ${booking.eventDetails.title}`,
+      html: `
+        <h2>Your Proofs Are Ready</h2>
+        <p>Hello ${client.name},</p>
+        <p>${deliverable.files.length} proofs from <strong>${booking.eventDetails.title}</strong> are ready for you to review.</p>
+        <p>Your package includes <strong>${selectionQuota}</strong> selections${extraSelectionPrice > 0 ? `; additional selections are $${extraSelectionPrice} each` : ''}.</p>
+        <p>Please log in to your dashboard to pick your favourites and submit your selection.</p>
+      `
+    });
+
+    console.log('Proofs ready notification sent');
+  } catch (error) {
+    console.error('Proofs ready email error:', error);
+  }
+};
+
+export const sendProofSelectionSubmitted = async (booking, deliverable, selectedCount) => {
+  try {
+    const provider = await User.findById(await getProviderUserId(booking));
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: provider.email,
+      subject: `Proof Selection Submitted: ${booking.eventDetails.title}`,
+      html: `
+        <h2>Proof Selection Submitted</h2>
+        <p>Hello ${provider.name},</p>
+        <p>The client selected <strong>${selectedCount}</strong> images from <strong>${deliverable.name}</strong>
+        (quota: ${deliverable.proofing.selectionQuota}).</p>
+        <p>Please log in to your dashboard to view the pick list.</p>
+      `
+    });
+
+    console.log('Proof selection notification sent');
+  } catch (error) {
+    console.error('Proof selection email error:', error);
+  }
+};
+
+const MILESTONE_ALERT_DAYS = parseInt(process.env.MILESTONE_ALERT_DAYS) || 3;
+
+export const sendMilestoneAlert = async (booking, { upcoming, overdue }) => {
+  try {
+    const client = await User.findById(booking.client);
+    const provider = await User.findById(await getProviderUserId(booking));
+
+    const listItems = (milestones) => milestones
+      .map(milestone => `<li>${milestone.name} (due ${milestone.dueDate.toDateString()})</li>`)
+      .join('');
+
+    const recipients = [client, provider].filter(Boolean);
+
+    await Promise.all(recipients.map(recipient => transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: recipient.email,
+      subject: `${overdue.length > 0 ? 'Overdue' : 'Upcoming'} Milestones: ${booking.eventDetails.title}`,
+      html: `
+        <h2>Milestone Update</h2>
+        <p>Hello ${recipient.name},</p>
+        ${overdue.length > 0 ? `<p><strong>Overdue:</strong></p><ul>${listItems(overdue)}</ul>` : ''}
+        ${upcoming.length > 0 ? `<p><strong>Coming up:</strong></p><ul>${listItems(upcoming)}</ul>` : ''}
+        <p>Please log in to your dashboard to view the project timeline.</p>
+      `
+    })));
+
+    console.log('Milestone alert sent');
+  } catch (error) {
+    console.error('Milestone alert email error:', error);
+  }
+};
+
+// Alert each booking's parties once per milestone as it comes due and again if it goes overdue
+export const sendMilestoneAlerts = async () => {
+  const now = new Date();
+  const horizon = new Date(now);
+  horizon.setDate(horizon.getDate() + MILESTONE_ALERT_DAYS);
+
+  const bookings = await Booking.find({
+    status: { $in: ['confirmed', 'in_progress', 'completed'] },
+    milestones: {
+      $elemMatch: {
+        completed: false,
+        dueDate: { $lte: horizon }
+      }
+    }
+  });
+
+  let alerted = 0;
+
+  for (const booking of bookings) {
+    const upcoming = [];
+    const overdue = [];
+
+    for (const milestone of booking.milestones) {
+      if (milestone.completed || !milestone.dueDate || milestone.dueDate > horizon) continue;
+
+      if (milestone.dueDate < now && !milestone.overdueAlertSentAt) {
+        overdue.push(milestone);
+        milestone.overdueAlertSentAt = now;
+      } else if (milestone.dueDate >= now && !milestone.upcomingAlertSentAt) {
+        upcoming.push(milestone);
+        milestone.upcomingAlertSentAt = now;
+      }
+    }
+
+    if (upcoming.length === 0 && overdue.length === 0) continue;
+
+    await sendMilestoneAlert(booking, { upcoming, overdue });
+    await booking.save();
+    alerted += 1;
+  }
+
+  return alerted;
+};
+
+const MAINTENANCE_REASON_LABELS = {
+  interval: 'service interval reached',
+  usage: 'usage limit reached'
+};
+
+export const sendMaintenanceReminder = async (user, items) => {
+  try {
+    const listItems = items
+      .map(({ item, status }) => `<li>${item.name} (${status.reasons.map(reason => MAINTENANCE_REASON_LABELS[reason]).join(', ')})</li>`)
+      .join('');
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: user.email,
+      subject: `Equipment Due for Maintenance (${items.length})`,
+      html: `
+        <h2>Maintenance Reminder</h2>
+        <p>Hello ${user.name},</p>
+        <p>The following equipment is due for maintenance:</p>
+        <ul>${listItems}</ul>
+        <p>Log the service in your dashboard once it has been done.</p>
+      `
+    });
+
+    console.log('Maintenance reminder sent');
+  } catch (error) {
+    console.error('Maintenance reminder email error:', error);
+  }
+};
+
+// Remind each owner once per due item; logging a service clears the reminder
+export const sendMaintenanceReminders = async () => {
+  const items = await Equipment.find({
+    'maintenanceSchedule.reminderSentAt': null,
+    $or: [
+      { 'maintenanceSchedule.intervalDays': { $gt: 0 } },
+      { 'maintenanceSchedule.usageInterval': { $gt: 0 } }
+    ]
+  }).populate('owner', 'user');
+
+  const dueByOwner = new Map();
+
+  for (const item of items) {
+    if (!item.owner?.user) continue;
+
+    const status = await getMaintenanceStatus(item);
+    if (!status.due) continue;
+
+    const key = item.owner.user.toString();
+    if (!dueByOwner.has(key)) {
+      dueByOwner.set(key, []);
+    }
+    dueByOwner.get(key).push({ item, status });
+  }
+
+  for (const [userId, due] of dueByOwner) {
+    const user = await User.findById(userId);
+    if (!user) continue;
+
+    await sendMaintenanceReminder(user, due);
+    await Promise.all(due.map(({ item }) => {
+      item.maintenanceSchedule.reminderSentAt = new Date();
+      return item.save();
+    }));
+  }
+
+  return dueByOwner.size;
+};
+
+const formatRentalDates = (rental) =>
+  `${rental.startDate.toDateString()} - ${rental.endDate.toDateString()}`;
+
+export const sendRentalRequest = async (rental, equipment) => {
+  try {
+    const owner = await User.findById(rental.ownerUser);
+    if (!owner) return;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: owner.email,
+      subject: `Rental Request: ${equipment.name}`,
+      html: `
+        <h2>New Rental Request</h2>
+        <p>Hello ${owner.name},</p>
+        <p>Another provider would like to rent your <strong>${equipment.name}</strong>.</p>
+        <p><strong>Dates:</strong> ${formatRentalDates(rental)}</p>
+        <p><strong>Rental fee:</strong> ${rental.pricing.rentalFee} (deposit ${rental.pricing.deposit})</p>
+        ${rental.message ? `<p><strong>Message:</strong> ${rental.message}</p>` : ''}
+        <p>Please log in to your dashboard to approve or decline the request.</p>
+      `
+    });
+
+    console.log('Rental request email sent');
+  } catch (error) {
+    console.error('Rental request email error:', error);
+  }
+};
+
+const RENTAL_STATUS_LABELS = {
+  approved: 'Approved',
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+  active: 'Checked Out',
+  returned: 'Returned'
+};
+
+export const sendRentalStatusUpdate = async (rental, equipment, recipientId, reason) => {
+  try {
+    const recipient = await User.findById(recipientId);
+    if (!recipient) return;
+
+    const label = RENTAL_STATUS_LABELS[rental.status] || rental.status;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: recipient.email,
+      subject: `Rental ${label}: ${equipment.name}`,
+      html: `
+        <h2>Rental Update</h2>
+        <p>Hello ${recipient.name},</p>
+        <p>The rental of <strong>${equipment.name}</strong> for ${formatRentalDates(rental)} is now <strong>${label.toLowerCase()}</strong>.</p>
+        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+        ${rental.status === 'approved' ? '<p>Please complete payment before collecting the equipment.</p>' : ''}
+        ${rental.status === 'returned' ? `<p><strong>Deposit returned:</strong> ${rental.deposit.returnedAmount}</p>` : ''}
+        <p>Please log in to your dashboard for details.</p>
+      `
+    });
+
+    console.log('Rental status email sent');
+  } catch (error) {
+    console.error('Rental status email error:', error);
+  }
+};
+
+export const sendTeamInvitation = async (booking, assignment, member, token) => {
+  try {
+    const respondUrl = `${process.env.FRONTEND_URL}/team/invitations/${token}`;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: member.email,
+      subject: `Crew Request: ${booking.eventDetails.title}`,
+      html: `
+        <h2>You've Been Asked to Join a Booking</h2>
+        <p>Hello ${member.name},</p>
+        <p>You have been assigned as <strong>${assignment.role || member.role}</strong> for:</p>
+        <p><strong>Event:</strong> ${booking.eventDetails.title}</p>
+        <p><strong>Date:</strong> ${booking.eventDetails.date}</p>
+        <p><strong>Hours:</strong> ${assignment.startTime || booking.eventDetails.startTime} - ${assignment.endTime || booking.eventDetails.endTime}</p>
+        <p><strong>Location:</strong> ${booking.eventDetails.location?.address || 'TBC'}</p>
+        <p><a href="${respondUrl}">Accept or decline this booking</a></p>
+        <p>This link expires on ${assignment.responseTokenExpires.toDateString()}.</p>
+      `
+    });
+
+    console.log('Team invitation sent');
+  } catch (error) {
+    console.error('Team invitation email error:', error);
+  }
+};
+
+export const sendTeamResponseNotification = async (booking, assignment, member) => {
+  try {
+    const provider = await User.findById(await getProviderUserId(booking));
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: provider.email,
+      subject: `${member.name} ${assignment.status} ${booking.eventDetails.title}`,
+      html: `
+        <h2>Crew Response</h2>
+        <p>Hello ${provider.name},</p>
+        <p><strong>${member.name}</strong> has <strong>${assignment.status}</strong> the
+        ${assignment.role || member.role} assignment for ${booking.eventDetails.title}.</p>
+        ${assignment.declineReason ? `<p><strong>Reason:</strong> ${assignment.declineReason}</p>` : ''}
+      `
+    });
+
+    console.log('Team response notification sent');
+  } catch (error) {
+    console.error('Team response email error:', error);
+  }
+};
+
+// One email for every step of an inquiry: new request, quote, message, decline, booked
+export const sendInquiryUpdate = async (inquiry, recipientId, { subject, message }) => {
+  try {
+    const recipient = await User.findById(recipientId);
+    if (!recipient) return;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: recipient.email,
+      subject: `${subject}: ${inquiry.eventDetails.title}`,
+      html: `
+        <h2>${subject}</h2>
+        <p>Hello ${recipient.name},</p>
+        <p>${message}</p>
+        <p><strong>Event:</strong> ${inquiry.eventDetails.title}</p>
+        <p><strong>Date:</strong> ${inquiry.eventDetails.date}</p>
+        <p><a href="${process.env.FRONTEND_URL}/inquiries/${inquiry._id}">View the inquiry</a></p>
+      `
+    });
+
+    console.log('Inquiry update email sent');
+  } catch (error) {
+    console.error('Inquiry update email error:', error);
+  }
+};
+
 // Initialize scheduled tasks
 export const initializeScheduledTasks = () => {
   // Daily reminder job - runs at 9 AM every day
@@ -116,6 +569,28 @@ export const initializeScheduledTasks = () => {
     }
   });
 
+  // Daily milestone job - runs at 8 AM every day
+  const milestoneJob = new cron.CronJob('0 8 * * *', async () => {
+    try {
+      const alerted = await sendMilestoneAlerts();
+      console.log(`Sent milestone alerts for ${alerted} bookings`);
+    } catch (error) {
+      console.error('Milestone job error:', error);
+    }
+  });
+
+  // Daily maintenance job - runs at 7 AM every day
+  const maintenanceJob = new cron.CronJob('0 7 * * *', async () => {
+    try {
+      const reminded = await sendMaintenanceReminders();
+      console.log(`Sent maintenance reminders to ${reminded} providers`);
+    } catch (error) {
+      console.error('Maintenance job error:', error);
+    }
+  });
+
   reminderJob.start();
+  milestoneJob.start();
+  maintenanceJob.start();
   console.log('Scheduled tasks initialized');
 };
@@ -0,0 +1,262 @@
+// services/packageService.js
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import { buildQuote } from './quoteService.js';
+import { getGateway } from './paymentGateway.js';
+import {
+  getDepositAmount,
+  getPaymentSummary,
+  getIntentAmount,
+  recordPayment
+} from './paymentService.js';
+import { getProviderModel } from './providerService.js';
+
+const MAX_PACKAGE_PROVIDERS = 10;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const sum = (values) => roundCurrency(values.reduce((total, value) => total + (value || 0), 0));
+
+// A provider's part of the event: the shared details, under the package title,
+// with their own coverage times when they don't cover the whole event
+export const getChildEventDetails = ({ title, eventDetails }, item = {}) => ({
+  ...eventDetails,
+  title,
+  startTime: item.startTime || eventDetails.startTime,
+  endTime: item.endTime || eventDetails.endTime
+});
+
+// Quote every provider on the package and combine the totals. Each item is
+// { providerId, providerType, services, startTime?, endTime? }.
+export const quotePackage = async ({ title, eventDetails, items = [] }) => {
+  const errors = [];
+  const parts = [];
+  const seen = new Set();
+
+  if (items.length < 2) {
+    errors.push('A package needs at least two providers');
+  }
+
+  // The shared timeline is one day's running order
+  if (eventDetails.endDate || eventDetails.recurrence?.frequency) {
+    errors.push('A package covers a single day; book multi-day coverage with each provider');
+  }
+
+  if (items.length > MAX_PACKAGE_PROVIDERS) {
+    errors.push(`A package can have at most ${MAX_PACKAGE_PROVIDERS} providers`);
+    return { errors, parts, pricing: null };
+  }
+
+  for (const [index, item] of items.entries()) {
+    const ProviderModel = getProviderModel(item.providerType);
+    const provider = ProviderModel && mongoose.isValidObjectId(item.providerId)
+      ? await ProviderModel.findById(item.providerId)
+      : null;
+
+    if (!provider || !provider.isActive) {
+      errors.push(`Provider ${index + 1} was not found`);
+      continue;
+    }
+
+    const key = provider._id.toString();
+    if (seen.has(key)) {
+      errors.push(`${provider.businessName} is on the package more than once`);
+      continue;
+    }
+    seen.add(key);
+
+    const childDetails = getChildEventDetails({ title, eventDetails }, item);
+    const quote = buildQuote(provider, { eventDetails: childDetails, services: item.services });
+    errors.push(...quote.errors.map(error => `${provider.businessName}: ${error}`));
+
+    parts.push({
+      provider,
+      providerType: provider.constructor.modelName,
+      eventDetails: childDetails,
+      quote
+    });
+  }
+
+  return {
+    errors,
+    parts,
+    pricing: {
+      subtotal: sum(parts.map(part => part.quote.pricing.subtotal)),
+      taxes: sum(parts.map(part => part.quote.pricing.taxes)),
+      totalAmount: sum(parts.map(part => part.quote.pricing.totalAmount))
+    }
+  };
+};
+
+// Overall progress, derived from the child bookings' own statuses
+export const getPackageStatus = (bookings) => {
+  const statuses = bookings.map(booking => booking.status);
+  const live = statuses.filter(status => status !== 'cancelled');
+
+  if (live.length === 0) return 'cancelled';
+  if (live.includes('disputed')) return 'disputed';
+  if (live.every(status => status === 'completed')) return 'completed';
+  if (live.some(status => ['in_progress', 'completed'].includes(status))) return 'in_progress';
+  if (live.every(status => status === 'confirmed')) return 'confirmed';
+  if (live.some(status => status === 'confirmed')) return 'partially_confirmed';
+  return 'pending';
+};
+
+// How a user relates to a package: 'client', 'provider', 'admin' or null
+export const getPackageRole = (bookingPackage, user) => {
+  if (!bookingPackage || !user) return null;
+
+  const clientId = bookingPackage.client._id || bookingPackage.client;
+  if (clientId.toString() === user._id.toString()) return 'client';
+
+  const isProvider = bookingPackage.bookings.some(
+    part => part.providerUser.toString() === user._id.toString()
+  );
+  if (isProvider) return 'provider';
+
+  if (user.role === 'admin') return 'admin';
+
+  return null;
+};
+
+// Child bookings that can still take money
+const isPayable = (booking) => !['cancelled', 'disputed'].includes(booking.status);
+
+// What each child booking is owed for a deposit or balance payment
+export const getPackagePaymentSplit = (bookings, purpose) => bookings
+  .filter(booking => isPayable(booking))
+  .filter(booking => purpose !== 'deposit' || !booking.payment.deposit?.paid)
+  .map(booking => ({
+    booking: booking._id,
+    provider: booking.provider._id || booking.provider,
+    providerType: booking.providerType,
+    amount: getIntentAmount(booking, purpose)
+  }))
+  .filter(share => share.amount > 0);
+
+export const summarizePackagePayments = (bookings) => {
+  const providers = bookings.map(booking => ({
+    booking: booking._id,
+    provider: booking.provider,
+    providerType: booking.providerType,
+    status: booking.status,
+    ...getPaymentSummary(booking)
+  }));
+
+  return {
+    totalAmount: sum(providers.map(share => share.totalAmount)),
+    amountPaid: sum(providers.map(share => share.amountPaid)),
+    amountRefunded: sum(providers.map(share => share.amountRefunded)),
+    netPaid: sum(providers.map(share => share.netPaid)),
+    balanceDue: sum(providers.filter(share => share.status !== 'cancelled').map(share => share.balanceDue)),
+    providers
+  };
+};
+
+// One intent for the client covering every provider's share
+export const createPackageIntent = async (bookingPackage, bookings, purpose) => {
+  const gateway = getGateway();
+  const split = getPackagePaymentSplit(bookings, purpose);
+  const amount = sum(split.map(share => share.amount));
+
+  const intent = await gateway.createIntent({
+    amount,
+    currency: process.env.PAYMENT_CURRENCY || 'usd',
+    metadata: {
+      packageId: bookingPackage._id.toString(),
+      purpose
+    }
+  });
+
+  // Fix each deposit now, as createPaymentIntent does for single bookings
+  if (purpose === 'deposit') {
+    for (const booking of bookings) {
+      if (split.some(share => share.booking.equals(booking._id)) && !booking.payment.deposit?.amount) {
+        booking.payment.deposit = {
+          ...booking.payment.deposit,
+          amount: getDepositAmount(booking)
+        };
+        await booking.save();
+      }
+    }
+  }
+
+  bookingPackage.payment.gateway = gateway.name;
+  bookingPackage.payment.intents.push({
+    intentId: intent.id,
+    purpose,
+    amount,
+    status: intent.status,
+    split: split.map(({ booking, amount: shareAmount }) => ({ booking, amount: shareAmount }))
+  });
+
+  await bookingPackage.save();
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount,
+    purpose,
+    status: intent.status,
+    split
+  };
+};
+
+// Confirm the package intent and record each share against its child booking
+export const confirmPackageIntent = async (bookingPackage, intentId, { paymentMethod } = {}) => {
+  const intentRecord = bookingPackage.payment.intents.find(intent => intent.intentId === intentId);
+  const gateway = getGateway(bookingPackage.payment.gateway);
+  const alreadyRecorded = intentRecord.status === 'succeeded';
+
+  if (!alreadyRecorded && !(await gateway.retrieveIntent(intentId))) {
+    intentRecord.status = 'failed';
+    await bookingPackage.save();
+    return {
+      intentId,
+      status: 'failed',
+      failureReason: 'Payment intent is no longer available. Please start a new payment.'
+    };
+  }
+
+  const intent = await gateway.confirmIntent(intentId, { paymentMethod });
+
+  intentRecord.status = intent.status;
+
+  if (intent.status === 'succeeded' && !alreadyRecorded) {
+    for (const share of intentRecord.split) {
+      const booking = await Booking.findById(share.booking);
+      if (!booking) continue;
+
+      // Refunds go back through the gateway that took the package payment, against
+      // the shared charge but capped at this booking's own share
+      booking.payment.gateway = bookingPackage.payment.gateway;
+      await recordPayment(booking, {
+        amount: share.amount,
+        transactionId: `${intent.transactionId}_${booking._id}`,
+        gatewayTransactionId: intent.transactionId,
+        purpose: intentRecord.purpose,
+        intentId,
+        method: paymentMethod
+      });
+    }
+  }
+
+  await bookingPackage.save();
+
+  return {
+    intentId: intent.id,
+    status: intent.status,
+    failureReason: intent.failureReason
+  };
+};
+
+export default {
+  getChildEventDetails,
+  quotePackage,
+  getPackageStatus,
+  getPackageRole,
+  getPackagePaymentSplit,
+  summarizePackagePayments,
+  createPackageIntent,
+  confirmPackageIntent
+};
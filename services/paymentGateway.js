@@ -0,0 +1,49 @@
+// services/paymentGateway.js
+import fakeGateway from './gateways/fakeGateway.js';
+
+// Every gateway adapter must implement these methods
+const REQUIRED_METHODS = ['createIntent', 'retrieveIntent', 'confirmIntent', 'cancelIntent', 'refund'];
+
+// The fake gateway approves any payment method, so it must never take real bookings
+const FAKE_GATEWAY_ENVIRONMENTS = ['development', 'test'];
+
+const gateways = new Map();
+
+export const registerGateway = (name, adapter) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment gateway "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  gateways.set(name, adapter);
+};
+
+export const getGateway = (name = process.env.PAYMENT_GATEWAY) => {
+  if (!name) {
+    throw new Error('No payment gateway configured. Set PAYMENT_GATEWAY.');
+  }
+
+  if (name === 'fake' && !FAKE_GATEWAY_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+    throw new Error('The fake payment gateway is only available when NODE_ENV is development or test');
+  }
+
+  const gateway = gateways.get(name);
+  if (!gateway) {
+    throw new Error(`Payment gateway "${name}" is not registered`);
+  }
+  return gateway;
+};
+
+// Run at startup so a missing or unusable gateway stops the server instead of
+// failing the first checkout
+export const assertGatewayConfigured = () => {
+  getGateway();
+};
+
+registerGateway('fake', fakeGateway);
+
+export default {
+  registerGateway,
+  getGateway,
+  assertGatewayConfigured
+};
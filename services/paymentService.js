@@ -0,0 +1,377 @@
+// services/paymentService.js
+import Booking from '../models/Booking.js';
+import { getGateway } from './paymentGateway.js';
+import { updateProviderStats } from './analyticsService.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Deposit defaults to a percentage of the total when the booking doesn't set one
+export const getDepositAmount = (booking) => {
+  if (booking.payment?.deposit?.amount) {
+    return booking.payment.deposit.amount;
+  }
+
+  const percentage = parseFloat(process.env.DEPOSIT_PERCENTAGE) || 30;
+  return roundCurrency(booking.pricing.totalAmount * percentage / 100);
+};
+
+// Split a total evenly into one instalment per occurrence, due on its day.
+// The last instalment takes the rounding difference.
+export const buildInstalments = (pricing, occurrences) => {
+  const count = occurrences.length;
+  const taxable = roundCurrency(Math.max(0, pricing.subtotal - (pricing.discount?.amount || 0)));
+  const share = (total) => Math.floor(total * 100 / count) / 100;
+  const amount = share(pricing.totalAmount);
+  const subtotal = share(taxable);
+
+  return occurrences.map((occurrence, index) => {
+    const isLast = index === count - 1;
+    return {
+      occurrence: occurrence._id,
+      amount: isLast ? roundCurrency(pricing.totalAmount - amount * (count - 1)) : amount,
+      subtotal: isLast ? roundCurrency(taxable - subtotal * (count - 1)) : subtotal,
+      dueDate: occurrence.date,
+      status: 'pending'
+    };
+  });
+};
+
+const getOpenInstalments = (booking) => (booking.payment?.instalments || [])
+  .filter(instalment => instalment.status !== 'waived')
+  .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+export const getNextInstalment = (booking) =>
+  getOpenInstalments(booking).find(instalment => instalment.status === 'pending') || null;
+
+// Keep instalments in step with the booking. The last unpaid instalment absorbs
+// any change to the total (extra charges, credits), then whatever has been paid
+// settles instalments in due-date order.
+export const syncInstalments = (booking) => {
+  const instalments = getOpenInstalments(booking);
+  if (instalments.length === 0) return;
+
+  const scheduled = instalments.reduce((sum, instalment) => sum + instalment.amount, 0);
+  const difference = roundCurrency(booking.pricing.totalAmount - scheduled);
+  const lastPending = [...instalments].reverse().find(instalment => instalment.status === 'pending');
+  if (difference !== 0 && lastPending) {
+    lastPending.amount = Math.max(0, roundCurrency(lastPending.amount + difference));
+  }
+
+  let remaining = getPaymentSummary(booking).netPaid;
+  for (const instalment of instalments) {
+    if (remaining >= instalment.amount) {
+      instalment.status = 'paid';
+      instalment.paidAt = instalment.paidAt || new Date();
+      remaining = roundCurrency(remaining - instalment.amount);
+    } else {
+      instalment.status = 'pending';
+      instalment.paidAt = undefined;
+      remaining = 0;
+    }
+  }
+};
+
+export const getPaymentSummary = (booking) => {
+  const totalAmount = booking.pricing.totalAmount;
+  const amountPaid = booking.payment?.amountPaid || 0;
+  const amountRefunded = booking.payment?.amountRefunded || 0;
+  const netPaid = roundCurrency(amountPaid - amountRefunded);
+  const nextInstalment = getNextInstalment(booking);
+
+  return {
+    status: booking.payment?.status || 'pending',
+    totalAmount,
+    amountPaid,
+    amountRefunded,
+    netPaid,
+    balanceDue: Math.max(0, roundCurrency(totalAmount - netPaid)),
+    deposit: {
+      amount: getDepositAmount(booking),
+      paid: !!booking.payment?.deposit?.paid,
+      dueDate: booking.payment?.deposit?.dueDate
+    },
+    ...(booking.payment?.instalments?.length > 0 && {
+      nextInstalment: nextInstalment && {
+        _id: nextInstalment._id,
+        occurrence: nextInstalment.occurrence,
+        amount: nextInstalment.amount,
+        dueDate: nextInstalment.dueDate
+      }
+    })
+  };
+};
+
+// pending -> partial -> paid, and refunded once everything paid has gone back
+export const calculatePaymentStatus = (booking) => {
+  const { amountPaid, amountRefunded, netPaid, totalAmount } = getPaymentSummary(booking);
+
+  if (amountPaid > 0 && amountRefunded >= amountPaid) return 'refunded';
+  if (netPaid >= totalAmount) return 'paid';
+  if (netPaid > 0) return 'partial';
+  return 'pending';
+};
+
+export const getIntentAmount = (booking, purpose) => {
+  const summary = getPaymentSummary(booking);
+
+  if (purpose === 'deposit') {
+    return Math.min(summary.deposit.amount, summary.balanceDue);
+  }
+
+  // Enough to settle every instalment up to and including the next one due
+  if (purpose === 'instalment') {
+    const next = getNextInstalment(booking);
+    if (!next) return 0;
+
+    const instalments = getOpenInstalments(booking);
+    const owed = instalments
+      .slice(0, instalments.indexOf(next) + 1)
+      .reduce((sum, instalment) => sum + instalment.amount, 0);
+
+    return Math.min(Math.max(0, roundCurrency(owed - summary.netPaid)), summary.balanceDue);
+  }
+
+  return summary.balanceDue;
+};
+
+// Cancelled and disputed bookings can't take money
+const isPayable = (booking) => !['cancelled', 'disputed'].includes(booking.status);
+
+// Only one intent is open at a time: each was sized to what was owed when it was
+// created, so confirming an older one as well could overpay the booking.
+// Cancelling a booking closes its open intents too; callers save the booking.
+export const cancelOpenIntents = async (booking) => {
+  const open = booking.payment.intents.filter(intent => intent.status === 'requires_confirmation');
+
+  for (const intentRecord of open) {
+    await getGateway(booking.payment.gateway).cancelIntent(intentRecord.intentId);
+    intentRecord.status = 'canceled';
+  }
+};
+
+export const createPaymentIntent = async (booking, purpose) => {
+  await cancelOpenIntents(booking);
+
+  const gateway = getGateway();
+  const amount = getIntentAmount(booking, purpose);
+
+  const intent = await gateway.createIntent({
+    amount,
+    currency: process.env.PAYMENT_CURRENCY || 'usd',
+    metadata: {
+      bookingId: booking._id.toString(),
+      purpose
+    }
+  });
+
+  if (purpose === 'deposit' && !booking.payment.deposit?.amount) {
+    booking.payment.deposit = {
+      ...booking.payment.deposit,
+      amount: getDepositAmount(booking)
+    };
+  }
+
+  booking.payment.gateway = gateway.name;
+  booking.payment.intents.push({
+    intentId: intent.id,
+    purpose,
+    instalment: purpose === 'instalment' ? getNextInstalment(booking)?._id : undefined,
+    amount,
+    status: intent.status
+  });
+
+  await booking.save();
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount,
+    purpose,
+    status: intent.status
+  };
+};
+
+// Record a settled payment against the booking and move payment.status forward
+export const recordPayment = async (booking, { amount, transactionId, gatewayTransactionId, purpose, intentId, method }) => {
+  booking.payment.transactions.push({
+    amount,
+    transactionId,
+    gatewayTransactionId,
+    date: new Date(),
+    type: 'payment',
+    purpose,
+    intentId
+  });
+
+  booking.payment.amountPaid = roundCurrency((booking.payment.amountPaid || 0) + amount);
+  if (method) {
+    booking.payment.method = method;
+  }
+
+  const { netPaid, deposit } = getPaymentSummary(booking);
+  if (!booking.payment.deposit?.paid && netPaid >= deposit.amount) {
+    booking.payment.deposit = {
+      ...booking.payment.deposit,
+      amount: deposit.amount,
+      paid: true,
+      paidDate: new Date()
+    };
+  }
+
+  syncInstalments(booking);
+  booking.payment.status = calculatePaymentStatus(booking);
+  await booking.save();
+
+  await updateProviderStats(booking.provider, booking.providerType);
+
+  return booking;
+};
+
+export const confirmPaymentIntent = async (booking, intentId, { paymentMethod } = {}) => {
+  const intentRecord = booking.payment.intents.find(intent => intent.intentId === intentId);
+  const gateway = getGateway(booking.payment.gateway);
+  const alreadyRecorded = intentRecord.status === 'succeeded';
+
+  if (intentRecord.status === 'canceled') {
+    return {
+      intentId,
+      status: 'canceled',
+      failureReason: 'This payment intent was replaced by a newer one'
+    };
+  }
+
+  if (!alreadyRecorded && !isPayable(booking)) {
+    await gateway.cancelIntent(intentId);
+    intentRecord.status = 'canceled';
+    await booking.save();
+    return {
+      intentId,
+      status: 'canceled',
+      failureReason: `A ${booking.status} booking can't take payments`
+    };
+  }
+
+  // Payments or credits since the intent was created may have covered it
+  if (!alreadyRecorded && intentRecord.amount > getPaymentSummary(booking).balanceDue) {
+    await gateway.cancelIntent(intentId);
+    intentRecord.status = 'canceled';
+    await booking.save();
+    return {
+      intentId,
+      status: 'canceled',
+      failureReason: 'The amount owed has changed. Please start a new payment.'
+    };
+  }
+
+  // The gateway no longer knows the intent (the fake gateway forgets them on
+  // restart); the client has to start a new payment
+  if (!alreadyRecorded && !(await gateway.retrieveIntent(intentId))) {
+    intentRecord.status = 'failed';
+    await booking.save();
+    return {
+      intentId,
+      status: 'failed',
+      failureReason: 'Payment intent is no longer available. Please start a new payment.'
+    };
+  }
+
+  const intent = await gateway.confirmIntent(intentId, { paymentMethod });
+
+  if (intent.status === 'succeeded' && !alreadyRecorded) {
+    // Only the request that moves the intent to succeeded records the payment,
+    // so concurrent confirms of the same intent can't record it twice
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.intents': { $elemMatch: { intentId, status: 'requires_confirmation' } } },
+      { $set: { 'payment.intents.$.status': 'succeeded' } }
+    );
+    intentRecord.status = intent.status;
+
+    if (claimed) {
+      await recordPayment(booking, {
+        amount: intentRecord.amount,
+        transactionId: intent.transactionId,
+        purpose: intentRecord.purpose,
+        intentId,
+        method: paymentMethod
+      });
+    }
+  } else {
+    intentRecord.status = intent.status;
+    await booking.save();
+  }
+
+  return {
+    intentId,
+    status: intent.status,
+    failureReason: intent.failureReason
+  };
+};
+
+// Refund up to `amount`, working back from the most recent payment
+export const refundPayment = async (booking, amount, reason) => {
+  const gateway = getGateway(booking.payment.gateway);
+  const transactions = booking.payment.transactions;
+  let remaining = roundCurrency(amount);
+  const refunds = [];
+
+  const payments = transactions.filter(t => t.type === 'payment').reverse();
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+
+    const alreadyRefunded = transactions
+      .filter(t => t.type === 'refund' && t.refundOf === payment.transactionId)
+      .reduce((sum, t) => sum + t.amount, 0);
+    const refundable = roundCurrency(payment.amount - alreadyRefunded);
+    if (refundable <= 0) continue;
+
+    const refundAmount = Math.min(refundable, remaining);
+    const result = await gateway.refund({
+      transactionId: payment.gatewayTransactionId || payment.transactionId,
+      amount: refundAmount,
+      reason
+    });
+
+    const refund = {
+      amount: refundAmount,
+      transactionId: result.id,
+      date: new Date(),
+      type: 'refund',
+      purpose: 'refund',
+      refundOf: payment.transactionId,
+      reason
+    };
+
+    transactions.push(refund);
+    refunds.push(refund);
+    remaining = roundCurrency(remaining - refundAmount);
+  }
+
+  const refundedTotal = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  booking.payment.amountRefunded = roundCurrency((booking.payment.amountRefunded || 0) + refundedTotal);
+  syncInstalments(booking);
+  booking.payment.status = calculatePaymentStatus(booking);
+
+  await booking.save();
+  await updateProviderStats(booking.provider, booking.providerType);
+
+  return {
+    refundedAmount: roundCurrency(refundedTotal),
+    refunds
+  };
+};
+
+export default {
+  getDepositAmount,
+  buildInstalments,
+  getNextInstalment,
+  syncInstalments,
+  getPaymentSummary,
+  calculatePaymentStatus,
+  getIntentAmount,
+  cancelOpenIntents,
+  createPaymentIntent,
+  recordPayment,
+  confirmPaymentIntent,
+  refundPayment
+};
@@ -0,0 +1,106 @@
+// services/phoneVerificationService.js
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { sendSms, normalizePhone } from './smsService.js';
+
+const CODE_LENGTH = 6;
+const CODE_MINUTES = parseInt(process.env.PHONE_OTP_MINUTES) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5;
+// Minimum gap between codes sent to one account
+const RESEND_SECONDS = parseInt(process.env.PHONE_OTP_RESEND_SECONDS) || 60;
+
+const PHONE_VERIFICATION_FIELDS = [
+  'phone', 'codeHash', 'expiresAt', 'attempts', 'sentAt'
+].map(field => `+phoneVerification.${field}`).join(' ');
+
+export const findUserWithPhoneVerification = (userId) =>
+  User.findById(userId).select(PHONE_VERIFICATION_FIELDS);
+
+// The code is tied to the number it was sent to
+const hashCode = (phone, code) =>
+  crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+// Text a new code to `phone` (or the profile number). Any earlier code stops working.
+// Returns { sent: false, reason, retryAfter? } or { sent: true, phone, expiresAt }.
+export const startPhoneVerification = async (user, phone = user.phone) => {
+  const target = normalizePhone(phone);
+  if (!target) {
+    return { sent: false, reason: 'Add a phone number to your profile first' };
+  }
+
+  if (user.verified.phone && normalizePhone(user.phone) === target) {
+    return { sent: false, reason: 'Phone number already verified' };
+  }
+
+  const { sentAt } = user.phoneVerification || {};
+  const nextSendAt = sentAt && new Date(sentAt.getTime() + RESEND_SECONDS * 1000);
+  if (nextSendAt && nextSendAt > new Date()) {
+    return {
+      sent: false,
+      reason: 'A code was sent recently. Please wait before requesting another.',
+      retryAfter: Math.ceil((nextSendAt - Date.now()) / 1000)
+    };
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + CODE_MINUTES * 60 * 1000);
+
+  await sendSms({
+    to: target,
+    body: `Your Lensora verification code is ${code}. It expires in ${CODE_MINUTES} minutes.`
+  });
+
+  user.phoneVerification = {
+    phone: target,
+    codeHash: hashCode(target, code),
+    expiresAt,
+    attempts: 0,
+    sentAt: new Date()
+  };
+
+  return { sent: true, phone: target, expiresAt };
+};
+
+// Check a code. Each wrong guess uses up an attempt; once they run out, or the
+// code expires, a new one has to be requested. Callers save the user.
+// Returns { verified: false, reason, attemptsRemaining? } or { verified: true, phone }.
+export const confirmPhoneVerification = (user, code) => {
+  const pending = user.phoneVerification;
+  if (!pending?.codeHash) {
+    return { verified: false, reason: 'No verification code has been requested' };
+  }
+
+  if (pending.expiresAt < new Date()) {
+    return { verified: false, reason: 'Verification code has expired. Please request a new one.' };
+  }
+
+  if ((pending.attempts || 0) >= MAX_ATTEMPTS) {
+    return { verified: false, reason: 'Too many incorrect attempts. Please request a new code.' };
+  }
+
+  const expected = Buffer.from(pending.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(pending.phone, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    pending.attempts = (pending.attempts || 0) + 1;
+    return {
+      verified: false,
+      reason: 'Invalid verification code',
+      attemptsRemaining: MAX_ATTEMPTS - pending.attempts
+    };
+  }
+
+  user.phone = pending.phone;
+  user.verified.phone = true;
+  user.phoneVerifiedAt = new Date();
+  user.phoneVerification = undefined;
+
+  return { verified: true, phone: user.phone };
+};
+
+export default {
+  findUserWithPhoneVerification,
+  startPhoneVerification,
+  confirmPhoneVerification
+};
@@ -0,0 +1,126 @@
+// services/promoService.js
+import PromoCode from '../models/PromoCode.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+export const calculateDiscount = (promo, subtotal) => {
+  let discount = promo.discountType === 'percentage'
+    ? subtotal * promo.value / 100
+    : promo.value;
+
+  if (promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return roundCurrency(Math.min(discount, subtotal));
+};
+
+// Check a code against a prospective booking. Returns { valid, reason } in the
+// same shape as calculateAvailability so callers can surface the reason directly.
+export const checkPromoCode = async ({ code, userId, providerId, providerType, subtotal }) => {
+  const promo = await PromoCode.findOne({ code: code.trim().toUpperCase() });
+
+  if (!promo || !promo.isActive) {
+    return { valid: false, reason: 'Invalid promo code' };
+  }
+
+  const now = new Date();
+  if (promo.validFrom && promo.validFrom > now) {
+    return { valid: false, reason: 'Promo code is not active yet' };
+  }
+  if (promo.validUntil && promo.validUntil < now) {
+    return { valid: false, reason: 'Promo code has expired' };
+  }
+
+  if (promo.scope === 'provider' &&
+      (promo.provider?.toString() !== providerId?.toString() || promo.providerType !== providerType)) {
+    return { valid: false, reason: 'Promo code is not valid for this provider' };
+  }
+
+  if (subtotal < promo.minSpend) {
+    return { valid: false, reason: `Minimum spend of $${promo.minSpend} required` };
+  }
+
+  if (promo.usageLimit && promo.usageCount >= promo.usageLimit) {
+    return { valid: false, reason: 'Promo code has reached its usage limit' };
+  }
+
+  const userRedemptions = promo.redemptions.filter(
+    redemption => redemption.user.toString() === userId.toString()
+  ).length;
+  if (promo.perUserLimit && userRedemptions >= promo.perUserLimit) {
+    return { valid: false, reason: 'You have already used this promo code' };
+  }
+
+  return {
+    valid: true,
+    promo,
+    discount: calculateDiscount(promo, subtotal)
+  };
+};
+
+// Claim a redemption atomically so concurrent bookings can't exceed the caps
+export const redeemPromoCode = async (promo, { userId, bookingId, amount }) => {
+  const userRedemptions = {
+    $size: {
+      $filter: {
+        input: '$redemptions',
+        cond: { $eq: ['$$this.user', userId] }
+      }
+    }
+  };
+
+  return await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $expr: {
+        $and: [
+          {
+            $or: [
+              { $not: [{ $gt: ['$usageLimit', 0] }] },
+              { $lt: ['$usageCount', '$usageLimit'] }
+            ]
+          },
+          {
+            $or: [
+              { $not: [{ $gt: ['$perUserLimit', 0] }] },
+              { $lt: [userRedemptions, '$perUserLimit'] }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: {
+        redemptions: {
+          user: userId,
+          booking: bookingId,
+          amount,
+          redeemedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Undo a redemption whose booking was never created
+export const releasePromoRedemption = async (promoId, bookingId) => {
+  return await PromoCode.findOneAndUpdate(
+    { _id: promoId, 'redemptions.booking': bookingId },
+    {
+      $inc: { usageCount: -1 },
+      $pull: { redemptions: { booking: bookingId } }
+    },
+    { new: true }
+  );
+};
+
+export default {
+  calculateDiscount,
+  checkPromoCode,
+  redeemPromoCode,
+  releasePromoRedemption
+};
@@ -0,0 +1,380 @@
+// services/providerService.js
+import mongoose from 'mongoose';
+import Photographer from '../models/Photographer.js';
+import Videographer from '../models/Videographer.js';
+import Booking from '../models/Booking.js';
+import TeamMember from '../models/TeamMember.js';
+import Equipment from '../models/Equipment.js';
+import { PROVIDER_TYPES } from '../config/providerTypes.js';
+import {
+  uploadImage,
+  uploadVideo,
+  deleteFile,
+  generateVideoThumbnail,
+  getPublicIdFromUrl
+} from '../config/cloudinary.js';
+import { calculateAvailability } from '../utils/availabilityChecker.js';
+
+const providerTypes = new Map();
+
+// Attach the profile model to a type configured in config/providerTypes.js
+export const registerProviderType = (key, Model) => {
+  const config = PROVIDER_TYPES[key];
+  if (!config) {
+    throw new Error(`Provider type "${key}" is not configured`);
+  }
+
+  if (Model.modelName !== config.modelName) {
+    throw new Error(`Provider type "${key}" expects the ${config.modelName} model`);
+  }
+
+  providerTypes.set(key, { ...config, Model });
+};
+
+export const getProviderType = (key) => providerTypes.get(String(key).toLowerCase()) || null;
+
+export const getProviderTypeByModel = (modelName) =>
+  [...providerTypes.values()].find(type => type.modelName === modelName) || null;
+
+export const getProviderTypeForRole = (role) =>
+  [...providerTypes.values()].find(type => type.role === role) || null;
+
+export const listProviderTypes = () => [...providerTypes.values()];
+
+// Profile model for a stored providerType ('Photographer'); type keys work too
+export const getProviderModel = (providerType) =>
+  (getProviderTypeByModel(providerType) || getProviderType(providerType))?.Model || null;
+
+// The provider profile behind a user account, with its type
+export const findProviderProfile = async (user) => {
+  const type = getProviderTypeForRole(user.role);
+  if (!type) return null;
+
+  const profile = await type.Model.findOne({ user: user._id });
+  return profile ? { profile, type } : null;
+};
+
+// A profile addressed by its own id or its user's id. Only its owner or an admin gets it back.
+export const findOwnedProfile = async (type, id, user) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  return type.Model.findOne({
+    $or: [{ _id: id }, { user: id }],
+    ...(user.role !== 'admin' && { user: user._id })
+  });
+};
+
+const SORT_OPTIONS = {
+  rating: { 'ratings.average': -1 },
+  price: { 'pricing.hourly': 1 },
+  experience: { experience: -1 },
+  popular: { 'analytics.profileViews': -1 }
+};
+
+export const searchProviders = async (type, filters = {}) => {
+  const {
+    page = 1,
+    limit = 10,
+    search,
+    city,
+    specialization,
+    minRating,
+    maxPrice,
+    sortBy = 'rating',
+    availability
+  } = filters;
+
+  const query = { isActive: true, isApproved: true };
+
+  if (search) {
+    query.$or = [
+      { businessName: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (city) {
+    query['location.city'] = { $regex: city, $options: 'i' };
+  }
+
+  if (specialization) {
+    query.specializations = specialization;
+  }
+
+  if (minRating) {
+    query['ratings.average'] = { $gte: parseFloat(minRating) };
+  }
+
+  if (maxPrice) {
+    query['pricing.hourly'] = { $lte: parseFloat(maxPrice) };
+  }
+
+  let providers = await type.Model.find(query)
+    .populate('user', 'name email avatar')
+    .populate('teamMembers')
+    .populate('equipment')
+    .sort(SORT_OPTIONS[sortBy] || { createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  // Availability is checked per provider, so it only narrows the current page
+  if (availability) {
+    const checks = await Promise.all(
+      providers.map(provider => calculateAvailability(provider, new Date(availability)))
+    );
+    providers = providers.filter((provider, index) => checks[index].available);
+  }
+
+  const total = await type.Model.countDocuments(query);
+
+  return {
+    providers,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalResults: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1
+    }
+  };
+};
+
+// Type-specific profile sections and what they add to the dashboard
+export const PROVIDER_EXTENSIONS = {
+  postProduction: {
+    dashboard: (profile) => ({
+      postProductionStats: {
+        editingServices: profile.postProduction.editingServices,
+        averageDeliveryTime: profile.postProduction.deliveryTime,
+        editingStyles: profile.postProduction.editingStyles
+      }
+    })
+  }
+};
+
+export const getDashboardStats = async (type, profile) => {
+  const currentDate = new Date();
+  const currentMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+  const match = { provider: profile._id, providerType: type.modelName };
+
+  const [totalBookings, monthlyBookings, completedBookings, pendingBookings] = await Promise.all([
+    Booking.countDocuments(match),
+    Booking.countDocuments({ ...match, createdAt: { $gte: currentMonth } }),
+    Booking.countDocuments({ ...match, status: 'completed' }),
+    Booking.countDocuments({ ...match, status: 'pending' })
+  ]);
+
+  const revenueData = await Booking.aggregate([
+    {
+      $match: {
+        ...match,
+        'payment.status': { $in: ['paid', 'partial'] }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalRevenue: { $sum: '$pricing.totalAmount' },
+        monthlyRevenue: {
+          $sum: {
+            $cond: [
+              { $gte: ['$createdAt', currentMonth] },
+              '$pricing.totalAmount',
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const revenue = revenueData[0] || { totalRevenue: 0, monthlyRevenue: 0 };
+
+  const upcomingBookings = await Booking.find({
+    ...match,
+    'eventDetails.date': { $gte: new Date() },
+    status: { $in: ['confirmed', 'pending'] }
+  }).sort({ 'eventDetails.date': 1 }).limit(5).populate('client', 'name email');
+
+  return {
+    stats: {
+      totalBookings,
+      monthlyBookings,
+      completedBookings,
+      pendingBookings,
+      totalRevenue: revenue.totalRevenue,
+      monthlyRevenue: revenue.monthlyRevenue,
+      profileViews: profile.analytics.profileViews,
+      averageRating: profile.ratings.average,
+      totalReviews: profile.ratings.totalReviews
+    },
+    upcomingBookings,
+    [`${type.teamLabel}Stats`]: {
+      totalMembers: profile.teamMembers.length,
+      activeMembers: await TeamMember.countDocuments({
+        owner: profile._id,
+        isActive: true
+      })
+    },
+    equipmentStats: {
+      totalEquipment: profile.equipment.length,
+      availableEquipment: await Equipment.countDocuments({
+        owner: profile._id,
+        isAvailable: true
+      })
+    },
+    ...Object.assign({}, ...type.extensions.map(name => PROVIDER_EXTENSIONS[name]?.dashboard?.(profile)))
+  };
+};
+
+export const getBookingHistory = async (type, profile, { page = 1, limit = 10, status } = {}) => {
+  const query = {
+    provider: profile._id,
+    providerType: type.modelName,
+    ...(status && { status })
+  };
+
+  const bookings = await Booking.find(query)
+    .populate('client', 'name email avatar')
+    .sort({ 'eventDetails.date': -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Booking.countDocuments(query);
+
+  return {
+    bookings,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalResults: total
+    }
+  };
+};
+
+// Team members not already on a confirmed or in-progress booking that day
+export const getTeamAvailability = async (type, profile, date) => {
+  await profile.populate('teamMembers');
+
+  const requestedDate = new Date(date);
+  const existingBookings = await Booking.find({
+    provider: profile._id,
+    'eventDetails.date': {
+      $gte: new Date(requestedDate.toDateString()),
+      $lt: new Date(requestedDate.getTime() + 24 * 60 * 60 * 1000)
+    },
+    status: { $in: ['confirmed', 'in_progress'] }
+  });
+
+  const bookedIds = new Set(existingBookings.flatMap(booking =>
+    booking.teamAssignment.teamMembers
+      .filter(assigned => assigned.member && assigned.status !== 'declined')
+      .map(assigned => assigned.member.toString())
+  ));
+
+  const availableMembers = profile.teamMembers.filter(
+    member => member.isActive && !bookedIds.has(member._id.toString())
+  );
+
+  const label = type.teamLabel.charAt(0).toUpperCase() + type.teamLabel.slice(1);
+  const totalCapacity = profile.teamMembers.length;
+  const availableCapacity = availableMembers.length;
+
+  return {
+    date: requestedDate,
+    availability: {
+      [`total${label}Members`]: totalCapacity,
+      [`available${label}Members`]: availableCapacity,
+      [`booked${label}Members`]: totalCapacity - availableCapacity,
+      canAcceptBooking: availableCapacity > 0,
+      availableMembers: availableMembers.map(member => ({
+        id: member._id,
+        name: member.name,
+        role: member.role,
+        specializations: member.specializations
+      }))
+    }
+  };
+};
+
+// How each kind of portfolio item is uploaded and cleaned up
+const PORTFOLIO_MEDIA = {
+  images: {
+    create: async (type, { files }, { title, description, category, featured }) => {
+      if (!files || files.length === 0) {
+        return { error: 'No images provided' };
+      }
+
+      const images = [];
+      for (const file of files) {
+        const uploadResult = await uploadImage(file, `${type.key}-portfolio`);
+        images.push(uploadResult.url);
+      }
+
+      return {
+        item: {
+          title,
+          description,
+          images,
+          category,
+          featured: featured === true || featured === 'true'
+        }
+      };
+    },
+    remove: async (item) => {
+      for (const imageUrl of item.images) {
+        await deleteFile(getPublicIdFromUrl(imageUrl));
+      }
+    }
+  },
+  video: {
+    create: async (type, { file }, { title, description, category }) => {
+      if (!file) {
+        return { error: 'No video file provided' };
+      }
+
+      const uploadResult = await uploadVideo(file, `${type.key}-portfolio`);
+
+      return {
+        item: {
+          title,
+          description,
+          videoUrl: uploadResult.url,
+          thumbnailUrl: generateVideoThumbnail(uploadResult.publicId),
+          category,
+          duration: uploadResult.duration,
+          featured: false
+        }
+      };
+    },
+    remove: async (item) => {
+      await deleteFile(getPublicIdFromUrl(item.videoUrl), 'video');
+    }
+  }
+};
+
+export const createPortfolioItem = (type, uploads, details) =>
+  PORTFOLIO_MEDIA[type.portfolioMedia].create(type, uploads, details);
+
+export const removePortfolioMedia = (type, item) =>
+  PORTFOLIO_MEDIA[type.portfolioMedia].remove(item);
+
+registerProviderType('photographer', Photographer);
+registerProviderType('videographer', Videographer);
+
+export default {
+  registerProviderType,
+  getProviderType,
+  getProviderTypeByModel,
+  getProviderTypeForRole,
+  listProviderTypes,
+  getProviderModel,
+  findProviderProfile,
+  findOwnedProfile,
+  searchProviders,
+  getDashboardStats,
+  getBookingHistory,
+  getTeamAvailability,
+  createPortfolioItem,
+  removePortfolioMedia
+};
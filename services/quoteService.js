@@ -0,0 +1,333 @@
+// services/quoteService.js
+const HALF_DAY_HOURS = 4;
+const FULL_DAY_HOURS = 8;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Duration in hours between two HH:MM times; events ending before they start run past midnight
+export const calculateDuration = (startTime, endTime) => {
+  let minutes = toMinutes(endTime) - toMinutes(startTime);
+  if (minutes <= 0) {
+    minutes += 24 * 60;
+  }
+  return Math.round(minutes / 60 * 100) / 100;
+};
+
+// Cheapest coverage option for the event length from the provider's rate card
+const priceCoverage = (pricing, hours) => {
+  const options = [];
+
+  if (pricing.hourly > 0) {
+    options.push({ label: `Hourly coverage (${hours}h)`, quantity: hours, unitPrice: pricing.hourly });
+  }
+  if (pricing.halfDay > 0 && hours <= HALF_DAY_HOURS) {
+    options.push({ label: 'Half day coverage', quantity: 1, unitPrice: pricing.halfDay });
+  }
+  if (pricing.fullDay > 0) {
+    const days = Math.ceil(hours / FULL_DAY_HOURS);
+    options.push({ label: days > 1 ? `Full day coverage (${days} days)` : 'Full day coverage', quantity: days, unitPrice: pricing.fullDay });
+  }
+
+  return options
+    .map(option => ({ ...option, type: 'coverage', amount: roundCurrency(option.quantity * option.unitPrice) }))
+    .sort((a, b) => a.amount - b.amount)[0] || null;
+};
+
+const isWithinServiceArea = (provider, location = {}) => {
+  const city = location.city?.trim().toLowerCase();
+  if (!city) return true;
+
+  const areas = [provider.location?.city, ...(provider.location?.serviceAreas || [])]
+    .filter(Boolean)
+    .map(area => area.trim().toLowerCase());
+
+  return areas.length === 0 || areas.includes(city);
+};
+
+// TAX_RATE is a percentage applied to the (discounted) subtotal
+const addTax = (lineItems, taxableAmount) => {
+  const taxRate = parseFloat(process.env.TAX_RATE) || 0;
+  const taxes = roundCurrency(taxableAmount * taxRate / 100);
+
+  if (taxes > 0) {
+    lineItems.push({
+      type: 'tax',
+      label: `Tax (${taxRate}%)`,
+      quantity: 1,
+      unitPrice: taxes,
+      amount: taxes
+    });
+  }
+
+  return taxes;
+};
+
+const findAddOn = (service, requested) => {
+  const key = typeof requested === 'string' ? requested : requested.addOnId || requested.name;
+  return service.addOns.find(addOn =>
+    addOn._id?.toString() === key || addOn.name === key
+  );
+};
+
+// Build a price quote from the provider's own catalogue. Nothing price-related is
+// taken from the client: services and add-ons are looked up by id or name.
+// Multi-day and recurring bookings pass their number of occurrences; every item
+// is charged once per occurrence.
+export const buildQuote = (provider, { eventDetails, services = [], occurrences = 1 }) => {
+  const errors = [];
+  const lineItems = [];
+  const bookedServices = [];
+  const duration = calculateDuration(eventDetails.startTime, eventDetails.endTime);
+
+  for (const requested of services) {
+    const service = provider.services.find(s =>
+      s._id?.toString() === requested.serviceId || s.name === requested.name
+    );
+
+    if (!service) {
+      errors.push(`Service ${requested.serviceId || requested.name} is not offered by this provider`);
+      continue;
+    }
+
+    lineItems.push({
+      type: 'service',
+      label: service.name,
+      quantity: 1,
+      unitPrice: service.basePrice || 0,
+      amount: service.basePrice || 0
+    });
+
+    const addOns = [];
+    for (const requestedAddOn of requested.addOns || []) {
+      const addOn = findAddOn(service, requestedAddOn);
+      if (!addOn) {
+        errors.push(`Add-on ${requestedAddOn.name || requestedAddOn} is not available for ${service.name}`);
+        continue;
+      }
+
+      addOns.push({ name: addOn.name, price: addOn.price || 0 });
+      lineItems.push({
+        type: 'addon',
+        label: `${service.name}: ${addOn.name}`,
+        quantity: 1,
+        unitPrice: addOn.price || 0,
+        amount: addOn.price || 0
+      });
+    }
+
+    bookedServices.push({
+      serviceId: service._id?.toString(),
+      name: service.name,
+      price: service.basePrice || 0,
+      addOns
+    });
+  }
+
+  // Without a packaged service the event is priced on the provider's hourly/day rates
+  if (services.length === 0) {
+    const coverage = priceCoverage(provider.pricing || {}, duration);
+    if (!coverage) {
+      errors.push('Provider has no pricing configured for this booking');
+    } else {
+      lineItems.push(coverage);
+    }
+  }
+
+  const travelFee = provider.pricing?.travelFee || 0;
+  if (travelFee > 0 && !isWithinServiceArea(provider, eventDetails.location)) {
+    lineItems.push({
+      type: 'travel',
+      label: `Travel to ${eventDetails.location.city}`,
+      quantity: 1,
+      unitPrice: travelFee,
+      amount: travelFee
+    });
+  }
+
+  if (occurrences > 1) {
+    for (const item of lineItems) {
+      item.label = `${item.label} × ${occurrences}`;
+      item.quantity = roundCurrency(item.quantity * occurrences);
+      item.amount = roundCurrency(item.amount * occurrences);
+    }
+  }
+
+  const sumOf = (...types) => roundCurrency(
+    lineItems.filter(item => types.includes(item.type)).reduce((sum, item) => sum + item.amount, 0)
+  );
+
+  const basePrice = sumOf('service', 'coverage');
+  const addOnsTotal = sumOf('addon');
+  const travel = sumOf('travel');
+  const subtotal = roundCurrency(basePrice + addOnsTotal + travel);
+
+  const taxes = addTax(lineItems, subtotal);
+
+  return {
+    errors,
+    duration,
+    occurrences,
+    services: bookedServices,
+    pricing: {
+      basePrice,
+      addOnsTotal,
+      travelFee: travel,
+      subtotal,
+      taxes,
+      totalAmount: roundCurrency(subtotal + taxes),
+      lineItems
+    }
+  };
+};
+
+const CUSTOM_ITEM_TYPES = ['service', 'addon', 'coverage', 'travel', 'discount'];
+
+// Price a provider's own quote from their line items ({ type, label, quantity, unitPrice }).
+// Discount items come off the subtotal before tax, as promo codes do.
+export const buildCustomQuote = ({ lineItems = [] }) => {
+  const errors = [];
+  const items = [];
+
+  if (lineItems.length === 0) {
+    errors.push('A quote needs at least one line item');
+  }
+
+  for (const [index, item] of lineItems.entries()) {
+    const type = item.type || 'service';
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    const unitPrice = Math.abs(Number(item.unitPrice));
+
+    if (!CUSTOM_ITEM_TYPES.includes(type)) {
+      errors.push(`Line item ${index + 1} must be one of ${CUSTOM_ITEM_TYPES.join(', ')}`);
+      continue;
+    }
+    if (!item.label || !(quantity > 0) || Number.isNaN(unitPrice)) {
+      errors.push(`Line item ${index + 1} needs a label, a positive quantity and a price`);
+      continue;
+    }
+
+    const amount = roundCurrency(quantity * unitPrice);
+    items.push({
+      type,
+      label: item.label,
+      quantity,
+      unitPrice: type === 'discount' ? -unitPrice : unitPrice,
+      amount: type === 'discount' ? -amount : amount
+    });
+  }
+
+  const sumOf = (...types) => roundCurrency(
+    items.filter(item => types.includes(item.type)).reduce((sum, item) => sum + item.amount, 0)
+  );
+
+  const basePrice = sumOf('service', 'coverage');
+  const addOnsTotal = sumOf('addon');
+  const travel = sumOf('travel');
+  const subtotal = roundCurrency(basePrice + addOnsTotal + travel);
+  const discount = Math.min(subtotal, -sumOf('discount'));
+  const discountedSubtotal = roundCurrency(subtotal - discount);
+
+  const taxes = addTax(items, discountedSubtotal);
+
+  return {
+    errors,
+    pricing: {
+      basePrice,
+      addOnsTotal,
+      travelFee: travel,
+      subtotal,
+      ...(discount > 0 && { discount: { amount: discount, reason: 'Custom quote discount' } }),
+      taxes,
+      totalAmount: roundCurrency(discountedSubtotal + taxes),
+      lineItems: items
+    }
+  };
+};
+
+// Apply a discount to a built quote. Discounts come off the subtotal before tax.
+export const applyDiscount = (quote, { code, amount, reason }) => {
+  const { pricing } = quote;
+  const lineItems = pricing.lineItems.filter(item => item.type !== 'tax');
+
+  lineItems.push({
+    type: 'discount',
+    label: code ? `Promo code ${code}` : reason || 'Discount',
+    quantity: 1,
+    unitPrice: -amount,
+    amount: -amount
+  });
+
+  const discountedSubtotal = roundCurrency(Math.max(0, pricing.subtotal - amount));
+  const taxes = addTax(lineItems, discountedSubtotal);
+
+  quote.pricing = {
+    ...pricing,
+    discount: { amount, reason, code },
+    taxes,
+    totalAmount: roundCurrency(discountedSubtotal + taxes),
+    lineItems
+  };
+
+  return quote;
+};
+
+// Add a charge to an existing booking's pricing as an add-on and re-tax the
+// total. Used for extras agreed after booking, such as additional proof selections.
+export const addCharge = (pricing, { label, quantity = 1, unitPrice }) => {
+  const amount = roundCurrency(quantity * unitPrice);
+  const lineItems = pricing.lineItems.filter(item => item.type !== 'tax');
+
+  lineItems.push({ type: 'addon', label, quantity, unitPrice, amount });
+
+  const previousSubtotal = pricing.subtotal ??
+    (pricing.basePrice || 0) + (pricing.addOnsTotal || 0) + (pricing.travelFee || 0);
+
+  const addOnsTotal = roundCurrency((pricing.addOnsTotal || 0) + amount);
+  const subtotal = roundCurrency(previousSubtotal + amount);
+  const discountedSubtotal = roundCurrency(Math.max(0, subtotal - (pricing.discount?.amount || 0)));
+  const taxes = addTax(lineItems, discountedSubtotal);
+
+  return {
+    addOnsTotal,
+    subtotal,
+    taxes,
+    totalAmount: roundCurrency(discountedSubtotal + taxes),
+    lineItems
+  };
+};
+
+// Take an amount off an existing booking's pricing and re-tax the total. Used
+// when part of the booking is called off, such as a cancelled occurrence.
+export const addCredit = (pricing, { label, amount }) => {
+  const lineItems = pricing.lineItems.filter(item => item.type !== 'tax');
+
+  lineItems.push({ type: 'discount', label, quantity: 1, unitPrice: -amount, amount: -amount });
+
+  const previousSubtotal = pricing.subtotal ??
+    (pricing.basePrice || 0) + (pricing.addOnsTotal || 0) + (pricing.travelFee || 0);
+
+  const subtotal = roundCurrency(Math.max(0, previousSubtotal - amount));
+  const discountedSubtotal = roundCurrency(Math.max(0, subtotal - (pricing.discount?.amount || 0)));
+  const taxes = addTax(lineItems, discountedSubtotal);
+
+  return {
+    subtotal,
+    taxes,
+    totalAmount: roundCurrency(discountedSubtotal + taxes),
+    lineItems
+  };
+};
+
+export default {
+  calculateDuration,
+  buildQuote,
+  buildCustomQuote,
+  applyDiscount,
+  addCharge,
+  addCredit
+};
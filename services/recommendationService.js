@@ -10,6 +10,7 @@ import User from '../models/User.js';
 import Booking from '../models/Booking.js';
 import Review from '../models/Review.js';
 import cron from 'cron';
+import { listProviderTypes } from './providerService.js';
 
 // Cache for storing computed recommendations
 const recommendationCache = new Map();
@@ -117,8 +118,7 @@ export const getHomepageRecommendations = async (userId = null) => {
       personalized: [],
       trending: [],
       popular: [],
-      photographers: [],
-      videographers: []
+      ...Object.fromEntries(listProviderTypes().map(type => [type.plural, []]))
     };
 
     // Get personalized recommendations if user is logged in
@@ -145,24 +145,16 @@ export const getHomepageRecommendations = async (userId = null) => {
       console.error('Failed to get popular providers:', error);
     }
 
-    // Get top photographers
-    try {
-      recommendations.photographers = await getPopularProviders({
-        limit: 6,
-        providerType: 'Photographer'
-      });
-    } catch (error) {
-      console.error('Failed to get popular photographers:', error);
-    }
-
-    // Get top videographers
-    try {
-      recommendations.videographers = await getPopularProviders({
-        limit: 6,
-        providerType: 'Videographer'
-      });
-    } catch (error) {
-      console.error('Failed to get popular videographers:', error);
+    // Get the top providers of each type
+    for (const type of listProviderTypes()) {
+      try {
+        recommendations[type.plural] = await getPopularProviders({
+          limit: 6,
+          providerType: type.modelName
+        });
+      } catch (error) {
+        console.error(`Failed to get popular ${type.plural}:`, error);
+      }
     }
 
     return recommendations;
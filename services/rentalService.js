@@ -0,0 +1,294 @@
+// services/rentalService.js
+import moment from 'moment';
+import EquipmentRental from '../models/EquipmentRental.js';
+import { getGateway } from './paymentGateway.js';
+
+const MAX_RENTAL_DAYS = parseInt(process.env.RENTAL_MAX_DAYS) || 30;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Allowed transitions and which side of the rental may make them
+export const RENTAL_TRANSITIONS = {
+  requested: {
+    approved: ['owner'],
+    declined: ['owner'],
+    cancelled: ['owner', 'renter']
+  },
+  approved: {
+    active: ['owner'],
+    cancelled: ['owner', 'renter']
+  },
+  active: {
+    returned: ['owner']
+  },
+  declined: {},
+  cancelled: {},
+  returned: {}
+};
+
+// How a user relates to a rental: 'owner', 'renter', 'admin' or null
+export const getRentalRole = (rental, user) => {
+  if (!rental || !user) return null;
+
+  if (rental.ownerUser.toString() === user._id.toString()) return 'owner';
+  if (rental.renterUser.toString() === user._id.toString()) return 'renter';
+  if (user.role === 'admin') return 'admin';
+
+  return null;
+};
+
+export const canTransitionRental = (rental, toStatus, role) => {
+  const allowedRoles = RENTAL_TRANSITIONS[rental.status]?.[toStatus];
+
+  if (!allowedRoles) {
+    return {
+      allowed: false,
+      type: 'invalid_transition',
+      reason: `Cannot change rental from ${rental.status} to ${toStatus}`
+    };
+  }
+
+  if (!allowedRoles.includes(role)) {
+    return {
+      allowed: false,
+      type: 'not_permitted',
+      reason: `Only the ${allowedRoles.join(' or ')} can mark this rental as ${toStatus}`
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Record the new status; callers save the rental
+export const applyRentalTransition = (rental, toStatus, { actor, reason } = {}) => {
+  rental.statusHistory.push({
+    from: rental.status,
+    to: toStatus,
+    changedBy: actor?._id,
+    reason
+  });
+  rental.status = toStatus;
+};
+
+// Rental dates are whole days, inclusive of both ends
+export const validateRentalDates = (startDate, endDate) => {
+  const start = moment(startDate, moment.ISO_8601, true);
+  const end = moment(endDate, moment.ISO_8601, true);
+
+  if (!start.isValid() || !end.isValid()) {
+    return { valid: false, reason: 'Start and end dates are required' };
+  }
+
+  if (start.isBefore(moment().startOf('day'))) {
+    return { valid: false, reason: 'Rentals cannot start in the past' };
+  }
+
+  if (end.isBefore(start, 'day')) {
+    return { valid: false, reason: 'End date must be on or after the start date' };
+  }
+
+  const days = end.clone().startOf('day').diff(start.clone().startOf('day'), 'days') + 1;
+  if (days > MAX_RENTAL_DAYS) {
+    return { valid: false, reason: `Rentals can be at most ${MAX_RENTAL_DAYS} days` };
+  }
+
+  return { valid: true, days, startDate: start.toDate(), endDate: end.toDate() };
+};
+
+export const quoteRental = (equipment, days) => {
+  const dailyRate = equipment.rentalPrice || 0;
+  const rentalFee = roundCurrency(dailyRate * days);
+  const deposit = roundCurrency(equipment.rentalDeposit || 0);
+
+  return {
+    dailyRate,
+    days,
+    rentalFee,
+    deposit,
+    totalAmount: roundCurrency(rentalFee + deposit),
+    currency: process.env.PAYMENT_CURRENCY || 'usd'
+  };
+};
+
+// The renter pays the fee and deposit together in one intent
+export const createRentalIntent = async (rental) => {
+  const gateway = getGateway();
+  const amount = roundCurrency(rental.pricing.totalAmount - rental.payment.amountPaid);
+
+  const intent = await gateway.createIntent({
+    amount,
+    currency: rental.pricing.currency,
+    metadata: {
+      rentalId: rental._id.toString(),
+      purpose: 'rental'
+    }
+  });
+
+  rental.payment.gateway = gateway.name;
+  rental.payment.intentId = intent.id;
+  rental.payment.intentStatus = intent.status;
+  await rental.save();
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount,
+    status: intent.status
+  };
+};
+
+// Close an unconfirmed intent so a cancelled or declined rental can't be paid;
+// callers save the rental
+export const cancelRentalIntent = async (rental) => {
+  if (rental.payment.intentStatus !== 'requires_confirmation') return;
+
+  await getGateway(rental.payment.gateway).cancelIntent(rental.payment.intentId);
+  rental.payment.intentStatus = 'canceled';
+};
+
+export const confirmRentalPayment = async (rental, { paymentMethod } = {}) => {
+  const gateway = getGateway(rental.payment.gateway);
+  const alreadyRecorded = rental.payment.intentStatus === 'succeeded';
+
+  // Only approved rentals take money; anything else closes the intent
+  if (!alreadyRecorded && rental.status !== 'approved') {
+    await cancelRentalIntent(rental);
+    await rental.save();
+  }
+
+  if (rental.payment.intentStatus === 'canceled') {
+    return {
+      intentId: rental.payment.intentId,
+      status: 'canceled',
+      failureReason: rental.status === 'approved'
+        ? 'This payment was cancelled. Please start a new payment.'
+        : `A ${rental.status} rental can't take payments`
+    };
+  }
+
+  if (!alreadyRecorded && !(await gateway.retrieveIntent(rental.payment.intentId))) {
+    rental.payment.intentStatus = 'failed';
+    await rental.save();
+    return {
+      intentId: rental.payment.intentId,
+      status: 'failed',
+      failureReason: 'Payment intent is no longer available. Please start a new payment.'
+    };
+  }
+
+  const intent = await gateway.confirmIntent(rental.payment.intentId, { paymentMethod });
+
+  // Only the request that moves the intent to succeeded records the payment,
+  // so concurrent confirms can't record it twice
+  const claimed = intent.status === 'succeeded' && !alreadyRecorded && await EquipmentRental.findOneAndUpdate(
+    { _id: rental._id, 'payment.intentId': rental.payment.intentId, 'payment.intentStatus': 'requires_confirmation' },
+    { $set: { 'payment.intentStatus': 'succeeded' } }
+  );
+  rental.payment.intentStatus = intent.status;
+
+  if (claimed) {
+    rental.payment.transactions.push({
+      amount: intent.amount,
+      transactionId: intent.transactionId,
+      date: new Date(),
+      type: 'payment'
+    });
+    rental.payment.amountPaid = roundCurrency(rental.payment.amountPaid + intent.amount);
+    rental.payment.status = 'paid';
+    rental.deposit.status = 'held';
+  }
+
+  await rental.save();
+
+  return {
+    intentId: intent.id,
+    status: intent.status,
+    failureReason: intent.failureReason
+  };
+};
+
+// Refund up to `amount` of what the renter has paid
+export const refundRental = async (rental, amount, reason) => {
+  const gateway = getGateway(rental.payment.gateway);
+  const transactions = rental.payment.transactions;
+  let remaining = roundCurrency(Math.min(amount, rental.payment.amountPaid - rental.payment.amountRefunded));
+  const refunds = [];
+
+  for (const payment of transactions.filter(t => t.type === 'payment')) {
+    if (remaining <= 0) break;
+
+    const alreadyRefunded = transactions
+      .filter(t => t.type === 'refund' && t.refundOf === payment.transactionId)
+      .reduce((sum, t) => sum + t.amount, 0);
+    const refundAmount = Math.min(roundCurrency(payment.amount - alreadyRefunded), remaining);
+    if (refundAmount <= 0) continue;
+
+    const result = await gateway.refund({
+      transactionId: payment.transactionId,
+      amount: refundAmount,
+      reason
+    });
+
+    const refund = {
+      amount: refundAmount,
+      transactionId: result.id,
+      date: new Date(),
+      type: 'refund',
+      refundOf: payment.transactionId,
+      reason
+    };
+
+    transactions.push(refund);
+    refunds.push(refund);
+    remaining = roundCurrency(remaining - refundAmount);
+  }
+
+  const refundedTotal = roundCurrency(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+  rental.payment.amountRefunded = roundCurrency(rental.payment.amountRefunded + refundedTotal);
+
+  if (rental.payment.amountRefunded > 0) {
+    rental.payment.status = rental.payment.amountRefunded >= rental.payment.amountPaid
+      ? 'refunded'
+      : 'partially_refunded';
+  }
+
+  await rental.save();
+
+  return { refundedAmount: refundedTotal, refunds };
+};
+
+// Return the deposit less any damage charge
+export const settleDeposit = async (rental, damageCharge = 0) => {
+  const deposit = rental.pricing.deposit || 0;
+  const charge = roundCurrency(Math.min(Math.max(damageCharge, 0), deposit));
+  const returnAmount = roundCurrency(deposit - charge);
+
+  let refund = { refundedAmount: 0, refunds: [] };
+  if (returnAmount > 0 && rental.payment.status !== 'pending') {
+    refund = await refundRental(rental, returnAmount, 'Rental deposit returned');
+  }
+
+  rental.deposit.damageCharge = charge;
+  rental.deposit.returnedAmount = refund.refundedAmount;
+  if (deposit === 0 || charge === 0) {
+    rental.deposit.status = 'returned';
+  } else {
+    rental.deposit.status = returnAmount > 0 ? 'partially_returned' : 'forfeited';
+  }
+
+  return refund;
+};
+
+export default {
+  RENTAL_TRANSITIONS,
+  getRentalRole,
+  canTransitionRental,
+  applyRentalTransition,
+  validateRentalDates,
+  quoteRental,
+  createRentalIntent,
+  cancelRentalIntent,
+  confirmRentalPayment,
+  refundRental,
+  settleDeposit
+};
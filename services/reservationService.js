@@ -0,0 +1,289 @@
+// services/reservationService.js
+import crypto from 'crypto';
+import moment from 'moment';
+import Reservation from '../models/Reservation.js';
+import { getScheduledOccurrences } from '../utils/recurrence.js';
+
+const SLOT_MINUTES = parseInt(process.env.RESERVATION_SLOT_MINUTES) || 15;
+const HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Absolute start/end of an event; events ending before they start run past midnight
+export const getBookingWindow = (eventDetails) => {
+  const day = moment(eventDetails.date).startOf('day');
+  const start = day.clone().add(toMinutes(eventDetails.startTime), 'minutes');
+  const end = day.clone().add(toMinutes(eventDetails.endTime), 'minutes');
+
+  if (!end.isAfter(start)) {
+    end.add(1, 'day');
+  }
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+// One window per day the booking still runs
+export const getBookingWindows = (booking) => getScheduledOccurrences(booking).map(getBookingWindow);
+
+// A crew member's own call time within the event. On overnight events, times
+// earlier than the event start fall on the following day.
+export const getAssignmentWindow = (eventDetails, { startTime, endTime } = {}) => {
+  const event = getBookingWindow(eventDetails);
+  if (!startTime && !endTime) {
+    return event;
+  }
+
+  const window = getBookingWindow({
+    date: eventDetails.date,
+    startTime: startTime || eventDetails.startTime,
+    endTime: endTime || eventDetails.endTime
+  });
+
+  const overnight = event.end.getDate() !== event.start.getDate();
+  if (overnight && window.start < event.start) {
+    window.start = moment(window.start).add(1, 'day').toDate();
+    window.end = moment(window.end).add(1, 'day').toDate();
+  }
+
+  return window;
+};
+
+// Slot start times covering [start, end), aligned to RESERVATION_SLOT_MINUTES
+const getSlots = (start, end) => {
+  const slotMs = SLOT_MINUTES * 60 * 1000;
+  const slots = [];
+
+  for (let time = Math.floor(start.getTime() / slotMs) * slotMs; time < end.getTime(); time += slotMs) {
+    slots.push(new Date(time));
+  }
+
+  return slots;
+};
+
+// Everything a booking occupies: the provider plus assigned crew and equipment.
+// Crew are held for their own call times; declined members hold nothing.
+// Pass one occurrence's details to place crew call times on that day.
+export const getBookingResources = (booking, eventDetails = booking.eventDetails) => {
+  const resources = [{ resourceType: booking.providerType, resource: booking.provider }];
+
+  for (const assignment of booking.teamAssignment?.teamMembers || []) {
+    if (assignment.member && assignment.status !== 'declined') {
+      resources.push({
+        resourceType: 'TeamMember',
+        resource: assignment.member._id || assignment.member,
+        ...((assignment.startTime || assignment.endTime) &&
+          getAssignmentWindow(eventDetails, assignment))
+      });
+    }
+  }
+
+  for (const assignment of booking.teamAssignment?.equipment || []) {
+    if (assignment.item) {
+      resources.push({ resourceType: 'Equipment', resource: assignment.item._id || assignment.item });
+    }
+  }
+
+  return resources;
+};
+
+// Resources may carry their own start/end; otherwise they take the booking window
+const withWindows = (resources, window) => resources.map(resource => {
+  const start = resource.start || window.start;
+  const end = resource.end || window.end;
+  return { ...resource, start, end, slots: getSlots(start, end) };
+});
+
+const slotRangeFilter = (resources) => ({
+  $or: resources.map(({ resource, slots }) => ({
+    resource,
+    slot: { $gte: slots[0], $lte: slots[slots.length - 1] }
+  }))
+});
+
+const isDuplicateKeyError = (error) =>
+  error.code === 11000 ||
+  (error.writeErrors?.length > 0 && error.writeErrors.every(writeError => writeError.code === 11000));
+
+// Live reservations by anyone other than `exclude` (a booking or rental filter)
+// overlapping the window, merged into one entry per holder and resource
+const queryConflicts = async (resources, window, exclude) => {
+  const now = new Date();
+
+  const reservations = await Reservation.find({
+    $and: [
+      slotRangeFilter(withWindows(resources, window)),
+      { $or: [{ status: 'confirmed' }, { expiresAt: { $gt: now } }] }
+    ],
+    ...(exclude && { $nor: [exclude] })
+  }).sort({ slot: 1 });
+
+  const conflicts = new Map();
+  for (const reservation of reservations) {
+    const key = `${reservation.booking || reservation.rental}:${reservation.resource}`;
+    if (!conflicts.has(key)) {
+      conflicts.set(key, {
+        resourceType: reservation.resourceType,
+        resource: reservation.resource,
+        status: reservation.status,
+        start: reservation.start,
+        end: reservation.end
+      });
+    }
+  }
+
+  return [...conflicts.values()];
+};
+
+export const findConflicts = (resources, window, excludeBookingId) =>
+  queryConflicts(resources, window, excludeBookingId && { booking: excludeBookingId });
+
+// Atomically claim every slot of the window for each resource on behalf of
+// `holder` ({ booking } or { rental }). Slots the holder already has are
+// refreshed; if any slot belongs to someone else, nothing new is kept and the
+// conflicting windows are returned.
+const claimSlots = async (holder, resources, { start, end, hold = true }) => {
+  const windowed = withWindows(resources, { start, end });
+  const now = new Date();
+  const claimId = crypto.randomUUID();
+  const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000);
+
+  // TTL sweeps run periodically, so clear lapsed holds before claiming
+  await Reservation.deleteMany({
+    ...slotRangeFilter(windowed),
+    status: 'hold',
+    expiresAt: { $lte: now }
+  });
+
+  const operations = windowed.flatMap(({ resourceType, resource, slots, start, end }) => slots.map(slot => ({
+    updateOne: {
+      filter: { resourceType, resource, slot, ...holder },
+      update: {
+        $set: {
+          start,
+          end,
+          status: hold ? 'hold' : 'confirmed',
+          ...(hold && { expiresAt })
+        },
+        ...(!hold && { $unset: { expiresAt: '' } }),
+        $setOnInsert: { claimId }
+      },
+      upsert: true
+    }
+  })));
+
+  try {
+    await Reservation.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+
+    await Reservation.deleteMany({ claimId });
+
+    return {
+      reserved: false,
+      reason: 'Requested time overlaps an existing reservation',
+      conflicts: await queryConflicts(resources, { start, end }, holder)
+    };
+  }
+
+  return {
+    reserved: true,
+    start,
+    end,
+    expiresAt: hold ? expiresAt : null
+  };
+};
+
+export const reserveResources = (booking, resources, window) =>
+  claimSlots({ booking: booking._id }, resources, window);
+
+// Bring a booking's reservations in line with its current details: claim the
+// window for every assigned resource and drop anything no longer assigned.
+// Pending bookings hold their slots; later statuses keep them indefinitely.
+// Assigned equipment is flagged as reserved; callers save the booking.
+export const reserveBooking = async (booking, { hold = booking.status === 'pending' } = {}) => {
+  // Every resource is claimed once per occurrence, each copy carrying that day's window
+  const resources = getScheduledOccurrences(booking).flatMap(occurrence => {
+    const window = getBookingWindow(occurrence);
+    return getBookingResources(booking, occurrence).map(resource => ({ ...window, ...resource }));
+  });
+  const window = {
+    start: new Date(Math.min(...resources.map(resource => resource.start))),
+    end: new Date(Math.max(...resources.map(resource => resource.end)))
+  };
+
+  const result = await reserveResources(booking, resources, { ...window, hold });
+
+  if (result.reserved) {
+    // Drop anything outside what was just claimed: unassigned resources,
+    // changed times and cancelled occurrences
+    await Reservation.deleteMany({
+      booking: booking._id,
+      $nor: withWindows(resources, window).map(({ resource, slots, end }) => ({
+        resource,
+        slot: { $gte: slots[0], $lt: end }
+      }))
+    });
+
+    booking.teamAssignment?.equipment?.forEach(assignment => {
+      assignment.reserved = true;
+    });
+  }
+
+  return result;
+};
+
+export const releaseBooking = async (bookingId) => {
+  await Reservation.deleteMany({ booking: bookingId });
+};
+
+// Free one resource's time on a booking without touching the rest
+export const releaseResource = async (bookingId, resource) => {
+  await Reservation.deleteMany({ booking: bookingId, resource });
+};
+
+// Free everything a booking holds on one occurrence's day, through the end of
+// the event (overnight events run into the next morning)
+export const releaseOccurrence = async (bookingId, occurrence) => {
+  const { end } = getBookingWindow(occurrence);
+  const start = moment(occurrence.date).startOf('day').toDate();
+
+  await Reservation.deleteMany({ booking: bookingId, slot: { $gte: start, $lt: end } });
+};
+
+// Rentals take whole days, from the start of startDate to the end of endDate
+export const getRentalWindow = ({ startDate, endDate }) => ({
+  start: moment(startDate).startOf('day').toDate(),
+  end: moment(endDate).startOf('day').add(1, 'day').toDate()
+});
+
+// Requested rentals hold the item like pending bookings; approved ones keep it
+export const reserveRental = (rental, { hold = rental.status === 'requested' } = {}) => claimSlots(
+  { rental: rental._id },
+  [{ resourceType: 'Equipment', resource: rental.equipment._id || rental.equipment }],
+  { ...getRentalWindow(rental), hold }
+);
+
+export const releaseRental = async (rentalId) => {
+  await Reservation.deleteMany({ rental: rentalId });
+};
+
+export default {
+  getBookingWindow,
+  getBookingWindows,
+  getAssignmentWindow,
+  getBookingResources,
+  findConflicts,
+  reserveResources,
+  reserveBooking,
+  releaseBooking,
+  releaseResource,
+  releaseOccurrence,
+  getRentalWindow,
+  reserveRental,
+  releaseRental
+};
@@ -0,0 +1,127 @@
+// services/sessionService.js
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { generateToken } from '../middleware/auth.js';
+import { disconnectSessions } from './chatService.js';
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Rotated hashes kept per session for reuse detection
+const MAX_ROTATED_HASHES = 20;
+
+export const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// A readable label for the sessions list, e.g. 'Firefox on Windows'
+export const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker))?.[1];
+  const system = systems.find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const getClientInfo = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  return {
+    device: describeDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent
+  };
+};
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken,
+  refreshTokenExpires: session.expiresAt
+});
+
+// Sign a user in on this device: a new session with its first refresh token
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...getClientInfo(req)
+  });
+
+  return { session, ...issueTokens(session, refreshToken) };
+};
+
+// Trade a refresh token for a new access token and a new refresh token. The old
+// one stops working; presenting it again revokes the session.
+// Returns { valid: false, reason } or { valid: true, session, token, refreshToken }.
+export const rotateSession = async (refreshToken, req) => {
+  const hash = hashRefreshToken(refreshToken || '');
+  const session = await Session.findOne({ refreshTokenHash: hash });
+
+  if (!session) {
+    const reused = await Session.findOne({ rotatedTokenHashes: hash });
+    if (reused && !reused.revokedAt) {
+      await revokeSession(reused, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for session ${reused._id}`);
+    }
+    return { valid: false, reason: 'Invalid refresh token' };
+  }
+
+  if (!session.isActive()) {
+    return { valid: false, reason: 'Session has expired or been revoked' };
+  }
+
+  const next = newRefreshToken();
+  session.rotatedTokenHashes = [...session.rotatedTokenHashes, hash].slice(-MAX_ROTATED_HASHES);
+  session.refreshTokenHash = hashRefreshToken(next);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  Object.assign(session, getClientInfo(req));
+
+  await session.save();
+
+  return { valid: true, session, ...issueTokens(session, next) };
+};
+
+export const revokeSession = async (session, reason = 'revoked') => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+  await disconnectSessions({ sessionId: session._id });
+  return session;
+};
+
+// Revoke every live session of a user, optionally keeping the current one
+export const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId) => {
+  const result = await Session.updateMany({
+    user: userId,
+    revokedAt: { $exists: false },
+    ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+  }, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  await disconnectSessions({ userId, exceptSessionId });
+  return result.modifiedCount;
+};
+
+export const getActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+export default {
+  hashRefreshToken,
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+};
@@ -0,0 +1,36 @@
+// services/settingsService.js
+import Setting from '../models/Setting.js';
+
+// Settings are read on hot paths such as authentication, so values are cached
+// briefly. Writes through setSetting take effect immediately on this instance.
+const CACHE_MS = 60 * 1000;
+const cache = new Map();
+
+export const getSetting = async (key, fallback = null) => {
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await Setting.findOne({ key }).lean();
+  const value = setting ? setting.value : fallback;
+
+  cache.set(key, { value, expires: Date.now() + CACHE_MS });
+  return value;
+};
+
+export const setSetting = async (key, value, userId) => {
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true }
+  );
+
+  cache.set(key, { value, expires: Date.now() + CACHE_MS });
+  return value;
+};
+
+export default {
+  getSetting,
+  setSetting
+};
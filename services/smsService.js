@@ -0,0 +1,48 @@
+// services/smsService.js
+import consoleTransport from './smsTransports/consoleTransport.js';
+import fileTransport from './smsTransports/fileTransport.js';
+
+// Every SMS transport must implement these methods. send({ to, body }) resolves
+// to { id } once the provider has accepted the message.
+const REQUIRED_METHODS = ['send'];
+
+const transports = new Map();
+
+export const registerTransport = (name, transport) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof transport[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`SMS transport "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  transports.set(name, transport);
+};
+
+export const getTransport = (name = process.env.SMS_TRANSPORT || 'console') => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`SMS transport "${name}" is not registered`);
+  }
+  return transport;
+};
+
+// '+44 (20) 7946-0958' -> '+442079460958'. Numbers without a country code are
+// returned as digits only.
+export const normalizePhone = (phone = '') => {
+  const digits = String(phone).replace(/\D/g, '');
+  return String(phone).trim().startsWith('+') ? `+${digits}` : digits;
+};
+
+export const sendSms = async ({ to, body }) => {
+  const result = await getTransport().send({ to: normalizePhone(to), body });
+  return { id: result?.id };
+};
+
+registerTransport('console', consoleTransport);
+registerTransport('file', fileTransport);
+
+export default {
+  registerTransport,
+  getTransport,
+  normalizePhone,
+  sendSms
+};
@@ -0,0 +1,13 @@
+// services/smsTransports/consoleTransport.js
+import crypto from 'crypto';
+
+// Local development: messages are printed to the server log and go nowhere else
+const send = async ({ to, body }) => {
+  const id = `sms_console_${crypto.randomBytes(8).toString('hex')}`;
+  console.log(`[SMS ${id}] to ${to}: ${body}`);
+  return { id };
+};
+
+export default {
+  send
+};
@@ -0,0 +1,27 @@
+// services/smsTransports/fileTransport.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Local development and tests: each message is appended to SMS_LOG_FILE as a line
+// of JSON, so codes can be read back without a real provider
+const getLogFile = () => process.env.SMS_LOG_FILE || 'logs/sms.log';
+
+const send = async ({ to, body }) => {
+  const message = {
+    id: `sms_file_${crypto.randomBytes(8).toString('hex')}`,
+    to,
+    body,
+    sentAt: new Date().toISOString()
+  };
+
+  const logFile = getLogFile();
+  await fs.mkdir(path.dirname(logFile), { recursive: true });
+  await fs.appendFile(logFile, `${JSON.stringify(message)}\n`);
+
+  return { id: message.id };
+};
+
+export default {
+  send
+};
@@ -0,0 +1,124 @@
+// services/teamAssignmentService.js
+import crypto from 'crypto';
+import moment from 'moment';
+import Booking from '../models/Booking.js';
+import { getBookingWindow } from './reservationService.js';
+import { getScheduledOccurrences } from '../utils/recurrence.js';
+
+const INVITATION_DAYS = parseInt(process.env.TEAM_INVITATION_DAYS) || 7;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes range of a HH:MM window, carrying past midnight when it ends before it starts
+const toRange = (start, end) => {
+  const from = toMinutes(start);
+  let to = toMinutes(end);
+  if (to <= from) {
+    to += 24 * 60;
+  }
+  return { from, to };
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Check the member's weekday availability against their call time. Members who
+// haven't set availability for a day are treated as available.
+export const checkMemberAvailability = (member, eventDetails, { startTime, endTime } = {}) => {
+  if (!member.isActive) {
+    return { available: false, reason: `${member.name} is not an active team member` };
+  }
+
+  const dayOfWeek = moment(eventDetails.date).format('dddd').toLowerCase();
+  const day = member.availability?.[dayOfWeek];
+
+  if (!day || day.available === undefined) {
+    return { available: true };
+  }
+
+  if (!day.available) {
+    return { available: false, reason: `${member.name} does not work on ${dayOfWeek}s` };
+  }
+
+  if (day.hours?.start && day.hours?.end) {
+    const hours = toRange(day.hours.start, day.hours.end);
+    const call = toRange(startTime || eventDetails.startTime, endTime || eventDetails.endTime);
+
+    if (call.from < hours.from || call.to > hours.to) {
+      return {
+        available: false,
+        reason: `${member.name} is only available ${day.hours.start}-${day.hours.end} on ${dayOfWeek}s`
+      };
+    }
+  }
+
+  return { available: true };
+};
+
+// The member must be free on every day the booking still runs
+export const checkMemberSchedule = (member, booking, assignment) => {
+  for (const occurrence of getScheduledOccurrences(booking)) {
+    const availability = checkMemberAvailability(member, occurrence, assignment);
+    if (!availability.available) {
+      return availability;
+    }
+  }
+
+  return { available: true };
+};
+
+// Issue a fresh response link for an assignment. Returns the raw token for the
+// email; only its hash is kept. Links expire after TEAM_INVITATION_DAYS or at
+// the start of the event, whichever is sooner.
+export const issueInvitation = (booking, assignment) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+  const { start } = getBookingWindow(booking.eventDetails);
+
+  assignment.responseTokenHash = hashToken(token);
+  assignment.responseTokenExpires = start < expires && start > new Date() ? start : expires;
+  assignment.invitedAt = new Date();
+  assignment.status = 'invited';
+  assignment.confirmed = false;
+  assignment.respondedAt = undefined;
+  assignment.declineReason = undefined;
+
+  return token;
+};
+
+// Find the booking and assignment a response token belongs to
+export const findInvitation = async (token) => {
+  const tokenHash = hashToken(token || '');
+
+  const booking = await Booking.findOne({
+    'teamAssignment.teamMembers.responseTokenHash': tokenHash
+  }).populate('teamAssignment.teamMembers.member', 'name email role');
+
+  if (!booking) {
+    return { valid: false, reason: 'Invitation not found' };
+  }
+
+  const assignment = booking.teamAssignment.teamMembers.find(
+    entry => entry.responseTokenHash === tokenHash
+  );
+
+  if (!assignment.responseTokenExpires || assignment.responseTokenExpires < new Date()) {
+    return { valid: false, reason: 'Invitation has expired' };
+  }
+
+  if (['cancelled', 'completed'].includes(booking.status)) {
+    return { valid: false, reason: `Booking is ${booking.status}` };
+  }
+
+  return { valid: true, booking, assignment };
+};
+
+export default {
+  hashToken,
+  checkMemberAvailability,
+  checkMemberSchedule,
+  issueInvitation,
+  findInvitation
+};
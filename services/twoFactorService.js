@@ -0,0 +1,143 @@
+// services/twoFactorService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import { getSetting, setSetting } from './settingsService.js';
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Lensora';
+
+export const REQUIRED_ROLES_SETTING = 'twoFactorRequiredRoles';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+export const findUserWithTwoFactor = (userId, extraFields = '') =>
+  User.findById(userId).select(`${TWO_FACTOR_FIELDS} ${extraFields}`.trim());
+
+export const getRequiredRoles = () => getSetting(REQUIRED_ROLES_SETTING, []);
+
+export const setRequiredRoles = (roles, userId) => setSetting(REQUIRED_ROLES_SETTING, roles, userId);
+
+export const isTwoFactorRequired = async (user) => (await getRequiredRoles()).includes(user.role);
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Fresh one-time backup codes, e.g. 'a1b2-c3d4'. Only hashes are stored; the
+// plain codes are shown to the user once.
+export const generateBackupCodes = (user) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  user.twoFactor.backupCodes = codes.map(code => ({ codeHash: hashBackupCode(code) }));
+  return codes;
+};
+
+// Start enrolment: a pending secret and the URI to show as a QR code
+export const beginEnrolment = (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+// Finish enrolment once the user proves their app produces valid codes
+export const completeEnrolment = (user, code) => {
+  const step = user.twoFactor.pendingSecret && verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null || step === undefined) {
+    return { enabled: false };
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+
+  return { enabled: true, backupCodes: generateBackupCodes(user) };
+};
+
+export const disableTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+};
+
+// Check an authenticator code or an unused backup code. Accepted codes are
+// consumed; callers save the user. Returns { valid, method, backupCodesRemaining }.
+export const verifySecondFactor = (user, { code, backupCode }) => {
+  if (!user.twoFactor?.enabled) {
+    return { valid: false };
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const entry = user.twoFactor.backupCodes.find(item => !item.usedAt && item.codeHash === hash);
+    if (!entry) {
+      return { valid: false };
+    }
+
+    entry.usedAt = new Date();
+    return {
+      valid: true,
+      method: 'backup_code',
+      backupCodesRemaining: user.twoFactor.backupCodes.filter(item => !item.usedAt).length
+    };
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+    return { valid: false };
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return { valid: true, method: 'totp' };
+};
+
+// Password accepted, second factor pending. The challenge token can't be used
+// as an access token: it carries no session.
+export const createLoginChallenge = (user) => {
+  const expires = new Date(Date.now() + CHALLENGE_MINUTES * 60 * 1000);
+  const challengeToken = jwt.sign(
+    { userId: user._id, purpose: 'two_factor_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${CHALLENGE_MINUTES}m` }
+  );
+
+  return { challengeToken, challengeExpires: expires };
+};
+
+// The user id behind a login challenge, or null if it is invalid or expired
+export const readLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  REQUIRED_ROLES_SETTING,
+  findUserWithTwoFactor,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  generateBackupCodes,
+  beginEnrolment,
+  completeEnrolment,
+  disableTwoFactor,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge
+};
@@ -0,0 +1,81 @@
+// tests/helpers/reservationStore.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Reservation from '../../models/Reservation.js';
+
+const same = (a, b) => String(a) === String(b);
+
+const isOperator = (condition) =>
+  condition?.constructor === Object && Object.keys(condition).some(key => key.startsWith('$'));
+
+// Enough of MongoDB's query operators for the filters reservationService builds
+const OPERATORS = {
+  $in: (value, list) => list.some(item => same(value, item)),
+  $nin: (value, list) => !list.some(item => same(value, item)),
+  $ne: (value, other) => !same(value, other),
+  $gt: (value, bound) => value !== undefined && value > bound,
+  $gte: (value, bound) => value !== undefined && value >= bound,
+  $lt: (value, bound) => value !== undefined && value < bound,
+  $lte: (value, bound) => value !== undefined && value <= bound,
+  $exists: (value, exists) => (value !== undefined) === exists
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case '$and':
+      return condition.every(part => matches(doc, part));
+    case '$or':
+      return condition.some(part => matches(doc, part));
+    case '$nor':
+      return !condition.some(part => matches(doc, part));
+    default:
+      return isOperator(condition)
+        ? Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](doc[key], operand))
+        : same(doc[key], condition);
+  }
+});
+
+// In-memory reservations honouring the unique (resourceType, resource, slot) index
+export const useReservationStore = () => {
+  let stored = [];
+
+  jest.spyOn(Reservation, 'deleteMany').mockImplementation(async (filter) => {
+    stored = stored.filter(doc => !matches(doc, filter));
+  });
+
+  jest.spyOn(Reservation, 'find').mockImplementation((filter) => ({
+    sort: async () => stored.filter(doc => matches(doc, filter)).sort((a, b) => a.slot - b.slot)
+  }));
+
+  jest.spyOn(Reservation, 'bulkWrite').mockImplementation(async (operations) => {
+    const writeErrors = [];
+
+    for (const { updateOne: { filter, update } } of operations) {
+      const { resourceType, resource, slot, ...holder } = filter;
+      const existing = stored.find(doc => same(doc.resource, resource) && doc.slot.getTime() === slot.getTime());
+
+      if (existing && !matches(existing, holder)) {
+        writeErrors.push({ code: 11000 });
+      } else if (existing) {
+        Object.assign(existing, update.$set);
+        Object.keys(update.$unset || {}).forEach(field => delete existing[field]);
+      } else {
+        stored.push({
+          _id: new mongoose.Types.ObjectId(),
+          resourceType,
+          resource,
+          slot,
+          ...holder,
+          ...update.$set,
+          ...update.$setOnInsert
+        });
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, writeErrors });
+    }
+  });
+
+  return { all: () => stored };
+};
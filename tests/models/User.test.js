@@ -0,0 +1,139 @@
+// tests/models/User.test.js
+import { jest } from '@jest/globals';
+import User from '../../models/User.js';
+
+// Minimal in-memory stand-in for the atomic updates incLoginAttempts issues
+const storeFor = (initial) => {
+  const stored = { ...initial };
+
+  const matches = (filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '_id') {
+      return true;
+    }
+    if (key === '$or') {
+      return condition.some(matches);
+    }
+    if ('$exists' in condition) {
+      return (stored[key] !== undefined) === condition.$exists;
+    }
+    return stored[key] !== undefined && stored[key] <= condition.$lte;
+  });
+
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    if (!matches(filter)) {
+      return null;
+    }
+    const before = { ...stored };
+    Object.assign(stored, update.$set);
+    Object.keys(update.$unset || {}).forEach(key => delete stored[key]);
+    Object.entries(update.$inc || {}).forEach(([key, by]) => {
+      stored[key] = (stored[key] || 0) + by;
+    });
+    return options.new ? { ...stored } : before;
+  });
+
+  return stored;
+};
+
+const user = () => new User({ name: 'Test User', email: 'test@example.com', password: 'secret1' });
+
+describe('User.incLoginAttempts', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts failures without locking below the limit', async () => {
+    const stored = storeFor({ loginAttempts: 2 });
+
+    await expect(user().incLoginAttempts()).resolves.toBeNull();
+    expect(stored.loginAttempts).toBe(3);
+    expect(stored.lockUntil).toBeUndefined();
+  });
+
+  test('locks on the fifth failure for the first lockout step', async () => {
+    const stored = storeFor({ loginAttempts: 4 });
+    const before = Date.now();
+
+    const lockUntil = await user().incLoginAttempts();
+
+    expect(lockUntil).toEqual(stored.lockUntil);
+    expect(lockUntil.getTime() - before).toBeGreaterThanOrEqual(15 * 60 * 1000 - 1000);
+    expect(stored.lockCount).toBe(1);
+  });
+
+  test('repeat lockouts step up the lock length', async () => {
+    storeFor({ loginAttempts: 4, lockCount: 1 });
+    const before = Date.now();
+
+    const lockUntil = await user().incLoginAttempts();
+
+    expect(lockUntil.getTime() - before).toBeGreaterThanOrEqual(60 * 60 * 1000 - 1000);
+  });
+
+  test('reads the limit and lockout steps when called, not at import', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '2';
+    process.env.LOGIN_LOCKOUT_MINUTES = '5';
+    storeFor({ loginAttempts: 1 });
+    const before = Date.now();
+
+    try {
+      const lockUntil = await user().incLoginAttempts();
+
+      expect(lockUntil.getTime() - before).toBeGreaterThanOrEqual(5 * 60 * 1000 - 1000);
+      expect(lockUntil.getTime() - before).toBeLessThan(15 * 60 * 1000);
+    } finally {
+      delete process.env.LOGIN_MAX_ATTEMPTS;
+      delete process.env.LOGIN_LOCKOUT_MINUTES;
+    }
+  });
+
+  test('an empty lockout list falls back to the default steps', async () => {
+    process.env.LOGIN_LOCKOUT_MINUTES = ' , ';
+    storeFor({ loginAttempts: 4 });
+    const before = Date.now();
+
+    try {
+      const lockUntil = await user().incLoginAttempts();
+
+      expect(lockUntil.getTime() - before).toBeGreaterThanOrEqual(15 * 60 * 1000 - 1000);
+    } finally {
+      delete process.env.LOGIN_LOCKOUT_MINUTES;
+    }
+  });
+
+  test('parallel failures lock once', async () => {
+    const stored = storeFor({ loginAttempts: 4 });
+    const loaded = [user(), user(), user()];
+
+    const results = await Promise.all(loaded.map(doc => doc.incLoginAttempts()));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(stored.loginAttempts).toBe(7);
+    expect(stored.lockCount).toBe(1);
+  });
+
+  test('an expired lock restarts the count', async () => {
+    const stored = storeFor({ loginAttempts: 5, lockCount: 1, lockUntil: new Date(Date.now() - 1000) });
+
+    await expect(user().incLoginAttempts()).resolves.toBeNull();
+    expect(stored.loginAttempts).toBe(1);
+    expect(stored.lockUntil).toBeUndefined();
+  });
+});
+
+describe('User.createEmailVerificationToken', () => {
+  test('stores only the hash and reads the validity when called', () => {
+    process.env.EMAIL_VERIFICATION_HOURS = '2';
+    const unverified = user();
+    const before = Date.now();
+
+    try {
+      const token = unverified.createEmailVerificationToken();
+
+      expect(unverified.emailVerificationToken).not.toBe(token);
+      expect(unverified.emailVerificationToken).toHaveLength(64);
+      expect(unverified.emailVerificationExpires.getTime() - before).toBeLessThanOrEqual(2 * 60 * 60 * 1000 + 1000);
+      expect(unverified.emailVerificationExpires.getTime() - before).toBeGreaterThan(60 * 60 * 1000);
+    } finally {
+      delete process.env.EMAIL_VERIFICATION_HOURS;
+    }
+  });
+});
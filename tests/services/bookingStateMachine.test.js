@@ -0,0 +1,127 @@
+// tests/services/bookingStateMachine.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Booking from '../../models/Booking.js';
+import {
+  BOOKING_TRANSITIONS,
+  getAvailableTransitions,
+  canTransition,
+  transitionBooking
+} from '../../services/bookingStateMachine.js';
+import { createPaymentIntent } from '../../services/paymentService.js';
+import { useReservationStore } from '../helpers/reservationStore.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const booking = (status, provider = id()) => new Booking({
+  client: id(),
+  provider,
+  providerType: 'Photographer',
+  status,
+  eventDetails: {
+    title: 'Wedding',
+    date: new Date('2026-06-13T00:00:00'),
+    startTime: '14:00',
+    endTime: '18:00'
+  },
+  pricing: { basePrice: 800, subtotal: 800, totalAmount: 800 }
+});
+
+describe('canTransition', () => {
+  test('clients can cancel but not confirm a pending booking', () => {
+    expect(canTransition({ status: 'pending' }, 'cancelled', 'client')).toEqual({ allowed: true });
+    expect(canTransition({ status: 'pending' }, 'confirmed', 'client')).toMatchObject({
+      allowed: false,
+      type: 'not_permitted'
+    });
+  });
+
+  test('moves outside the table are invalid and list what is allowed', () => {
+    expect(canTransition({ status: 'pending' }, 'completed', 'provider')).toEqual({
+      allowed: false,
+      type: 'invalid_transition',
+      reason: 'Booking cannot move from pending to completed',
+      allowedTransitions: ['confirmed', 'cancelled']
+    });
+  });
+
+  test('cancelled bookings are final', () => {
+    for (const status of Object.keys(BOOKING_TRANSITIONS)) {
+      expect(canTransition({ status: 'cancelled' }, status, 'admin').allowed).toBe(false);
+    }
+  });
+
+  test('only admins resolve disputes', () => {
+    expect(getAvailableTransitions({ status: 'disputed' }, 'provider')).toEqual([]);
+    expect(getAvailableTransitions({ status: 'disputed' }, 'admin'))
+      .toEqual(['confirmed', 'in_progress', 'completed', 'cancelled']);
+  });
+});
+
+describe('transitionBooking', () => {
+  beforeEach(() => {
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    // Notification side effects have no database here; their failures are logged
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('records the move in the status history', async () => {
+    useReservationStore();
+    const actor = { _id: id() };
+    const confirmed = booking('confirmed');
+
+    const result = await transitionBooking(confirmed, 'in_progress', { actor, role: 'provider', reason: 'Started' });
+
+    expect(result).toEqual({ allowed: true, booking: confirmed });
+    expect(confirmed.status).toBe('in_progress');
+    expect(confirmed.statusHistory[0]).toMatchObject({ from: 'confirmed', to: 'in_progress', role: 'provider' });
+    expect(confirmed.communication[0]).toMatchObject({ message: 'Started', type: 'status_update' });
+  });
+
+  test('starting a booking makes its reservations firm', async () => {
+    const store = useReservationStore();
+    const confirmed = booking('confirmed');
+
+    await transitionBooking(confirmed, 'in_progress', { role: 'provider' });
+
+    expect(store.all().length).toBeGreaterThan(0);
+    expect(store.all().every(doc => doc.status === 'confirmed')).toBe(true);
+  });
+
+  test('a reservation conflict refuses the move and leaves the booking as it was', async () => {
+    useReservationStore();
+    const provider = id();
+    const other = booking('confirmed', provider);
+    await transitionBooking(other, 'in_progress', { role: 'provider' });
+
+    const clashing = booking('confirmed', provider);
+    const result = await transitionBooking(clashing, 'in_progress', { role: 'provider' });
+
+    expect(result).toMatchObject({ allowed: false, type: 'conflict', conflicts: [expect.any(Object)] });
+    expect(clashing.status).toBe('confirmed');
+    expect(clashing.statusHistory).toHaveLength(0);
+  });
+
+  test('cancelling a booking cancels its open payment intent', async () => {
+    useReservationStore();
+    const confirmed = booking('confirmed');
+    await createPaymentIntent(confirmed, 'deposit');
+
+    await transitionBooking(confirmed, 'cancelled', { role: 'client' });
+
+    expect(confirmed.payment.intents[0].status).toBe('canceled');
+  });
+
+  test('failing side effects do not undo the transition', async () => {
+    const confirmed = booking('confirmed');
+
+    const result = await transitionBooking(confirmed, 'disputed', { role: 'client' });
+
+    expect(result.allowed).toBe(true);
+    expect(confirmed.status).toBe('disputed');
+  });
+});
@@ -0,0 +1,169 @@
+// tests/services/paymentService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Booking from '../../models/Booking.js';
+import { getGateway } from '../../services/paymentGateway.js';
+import {
+  createPaymentIntent,
+  confirmPaymentIntent,
+  recordPayment,
+  refundPayment,
+  getPaymentSummary
+} from '../../services/paymentService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// No providerType, so provider stats aren't recalculated
+const booking = () => new Booking({
+  client: id(),
+  provider: id(),
+  status: 'confirmed',
+  eventDetails: { title: 'Portraits', date: new Date('2026-07-04'), startTime: '10:00', endTime: '12:00' },
+  pricing: { basePrice: 1000, subtotal: 1000, totalAmount: 1000 }
+});
+
+describe('payment intents', () => {
+  beforeEach(() => {
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    // Each intent can be moved to succeeded once, as the conditional update does
+    const succeeded = new Set();
+    jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      const { intentId } = filter['payment.intents'].$elemMatch;
+      if (succeeded.has(intentId)) {
+        return null;
+      }
+      succeeded.add(intentId);
+      return {};
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a deposit intent is sized to the deposit and recorded on the booking', async () => {
+    const unpaid = booking();
+
+    const intent = await createPaymentIntent(unpaid, 'deposit');
+
+    expect(intent).toMatchObject({ amount: 300, purpose: 'deposit', status: 'requires_confirmation' });
+    expect(unpaid.payment.gateway).toBe('fake');
+    expect(unpaid.payment.intents[0]).toMatchObject({ intentId: intent.intentId, amount: 300 });
+  });
+
+  test('confirming records the payment once and marks the deposit paid', async () => {
+    const unpaid = booking();
+    const { intentId } = await createPaymentIntent(unpaid, 'deposit');
+
+    await expect(confirmPaymentIntent(unpaid, intentId, { paymentMethod: 'pm_card_visa' }))
+      .resolves.toMatchObject({ status: 'succeeded' });
+    await confirmPaymentIntent(unpaid, intentId);
+
+    expect(unpaid.payment.transactions).toHaveLength(1);
+    expect(unpaid.payment.deposit.paid).toBe(true);
+    expect(getPaymentSummary(unpaid)).toMatchObject({ status: 'partial', netPaid: 300, balanceDue: 700 });
+  });
+
+  test('a declined card fails without recording a payment', async () => {
+    const unpaid = booking();
+    const { intentId } = await createPaymentIntent(unpaid, 'balance');
+
+    const result = await confirmPaymentIntent(unpaid, intentId, { paymentMethod: 'pm_card_declined' });
+
+    expect(result).toEqual({ intentId, status: 'failed', failureReason: 'Card declined' });
+    expect(unpaid.payment.amountPaid).toBe(0);
+  });
+
+  test('a new intent cancels the open one so both cannot be paid', async () => {
+    const unpaid = booking();
+    const first = await createPaymentIntent(unpaid, 'balance');
+    const second = await createPaymentIntent(unpaid, 'balance');
+
+    await expect(getGateway('fake').retrieveIntent(first.intentId)).resolves.toMatchObject({ status: 'canceled' });
+    await expect(confirmPaymentIntent(unpaid, first.intentId)).resolves.toMatchObject({ status: 'canceled' });
+    await expect(confirmPaymentIntent(unpaid, second.intentId)).resolves.toMatchObject({ status: 'succeeded' });
+    expect(unpaid.payment.amountPaid).toBe(1000);
+  });
+
+  test('an intent larger than what is now owed is cancelled instead of overpaying', async () => {
+    const unpaid = booking();
+    const { intentId } = await createPaymentIntent(unpaid, 'balance');
+    await recordPayment(unpaid, { amount: 400, transactionId: 'cash_1', purpose: 'balance' });
+
+    const result = await confirmPaymentIntent(unpaid, intentId);
+
+    expect(result.status).toBe('canceled');
+    expect(unpaid.payment.amountPaid).toBe(400);
+  });
+
+  test('an intent the gateway no longer knows fails and asks for a new payment', async () => {
+    const unpaid = booking();
+    unpaid.payment.gateway = 'fake';
+    unpaid.payment.intents.push({ intentId: 'pi_fake_forgotten', purpose: 'balance', amount: 1000 });
+
+    const result = await confirmPaymentIntent(unpaid, 'pi_fake_forgotten');
+
+    expect(result.status).toBe('failed');
+    expect(unpaid.payment.intents[0].status).toBe('failed');
+  });
+
+  test('concurrent confirms of one intent record the payment once', async () => {
+    const unpaid = booking();
+    const { intentId } = await createPaymentIntent(unpaid, 'balance');
+
+    const results = await Promise.all([
+      confirmPaymentIntent(unpaid, intentId),
+      confirmPaymentIntent(unpaid, intentId)
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['succeeded', 'succeeded']);
+    expect(unpaid.payment.transactions).toHaveLength(1);
+    expect(unpaid.payment.amountPaid).toBe(1000);
+  });
+
+  test.each(['cancelled', 'disputed'])('intents on %s bookings are cancelled instead of confirmed', async (status) => {
+    const unpaid = booking();
+    const { intentId } = await createPaymentIntent(unpaid, 'balance');
+    unpaid.status = status;
+
+    const result = await confirmPaymentIntent(unpaid, intentId);
+
+    expect(result.status).toBe('canceled');
+    expect(unpaid.payment.amountPaid).toBe(0);
+    await expect(getGateway('fake').retrieveIntent(intentId)).resolves.toMatchObject({ status: 'canceled' });
+  });
+
+  test('refunds work back from the latest payment', async () => {
+    const paid = booking();
+    await recordPayment(paid, { amount: 300, transactionId: 'ch_1', purpose: 'deposit' });
+    await recordPayment(paid, { amount: 700, transactionId: 'ch_2', purpose: 'balance' });
+
+    const { refundedAmount, refunds } = await refundPayment(paid, 800, 'Cancelled');
+
+    expect(refundedAmount).toBe(800);
+    expect(refunds.map(refund => [refund.refundOf, refund.amount])).toEqual([['ch_2', 700], ['ch_1', 100]]);
+    expect(paid.payment.status).toBe('partial');
+  });
+});
+
+describe('payment gateway configuration', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env.NODE_ENV = env.NODE_ENV;
+    process.env.PAYMENT_GATEWAY = env.PAYMENT_GATEWAY;
+  });
+
+  test('a gateway must be configured', () => {
+    delete process.env.PAYMENT_GATEWAY;
+
+    expect(() => getGateway()).toThrow('No payment gateway configured');
+  });
+
+  test('the fake gateway is refused outside development and test', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(() => getGateway('fake')).toThrow(/only available/);
+  });
+});
@@ -0,0 +1,94 @@
+// tests/services/rentalService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import EquipmentRental from '../../models/EquipmentRental.js';
+import { getGateway } from '../../services/paymentGateway.js';
+import {
+  applyRentalTransition,
+  createRentalIntent,
+  cancelRentalIntent,
+  confirmRentalPayment
+} from '../../services/rentalService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const rental = (status = 'approved') => new EquipmentRental({
+  equipment: id(),
+  owner: id(),
+  ownerType: 'Photographer',
+  ownerUser: id(),
+  renter: id(),
+  renterType: 'Videographer',
+  renterUser: id(),
+  startDate: new Date('2026-08-01'),
+  endDate: new Date('2026-08-03'),
+  status,
+  pricing: { dailyRate: 50, days: 3, rentalFee: 150, deposit: 200, totalAmount: 350, currency: 'usd' }
+});
+
+describe('rental payments', () => {
+  beforeEach(() => {
+    jest.spyOn(EquipmentRental.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    // Each intent can be moved to succeeded once, as the conditional update does
+    const succeeded = new Set();
+    jest.spyOn(EquipmentRental, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      const intentId = filter['payment.intentId'];
+      if (succeeded.has(intentId)) {
+        return null;
+      }
+      succeeded.add(intentId);
+      return {};
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('confirming an approved rental records the fee and holds the deposit', async () => {
+    const approved = rental();
+    await createRentalIntent(approved);
+
+    const result = await confirmRentalPayment(approved);
+
+    expect(result.status).toBe('succeeded');
+    expect(approved.payment).toMatchObject({ status: 'paid', amountPaid: 350 });
+    expect(approved.deposit.status).toBe('held');
+  });
+
+  test('concurrent confirms record the payment once', async () => {
+    const approved = rental();
+    await createRentalIntent(approved);
+
+    await Promise.all([confirmRentalPayment(approved), confirmRentalPayment(approved)]);
+
+    expect(approved.payment.transactions).toHaveLength(1);
+    expect(approved.payment.amountPaid).toBe(350);
+  });
+
+  test('cancelling closes the open intent so it cannot be confirmed', async () => {
+    const approved = rental();
+    const { intentId } = await createRentalIntent(approved);
+    applyRentalTransition(approved, 'cancelled');
+    await cancelRentalIntent(approved);
+
+    const result = await confirmRentalPayment(approved);
+
+    expect(result.status).toBe('canceled');
+    expect(approved.payment).toMatchObject({ status: 'pending', amountPaid: 0 });
+    await expect(getGateway('fake').retrieveIntent(intentId)).resolves.toMatchObject({ status: 'canceled' });
+  });
+
+  test('a rental that is no longer approved cannot be paid', async () => {
+    const approved = rental();
+    await createRentalIntent(approved);
+    approved.status = 'cancelled';
+
+    const result = await confirmRentalPayment(approved);
+
+    expect(result).toMatchObject({ status: 'canceled', failureReason: "A cancelled rental can't take payments" });
+    expect(approved.payment.intentStatus).toBe('canceled');
+    expect(approved.payment.amountPaid).toBe(0);
+  });
+});
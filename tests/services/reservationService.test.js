@@ -0,0 +1,138 @@
+// tests/services/reservationService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import {
+  getBookingWindow,
+  getAssignmentWindow,
+  getBookingResources,
+  reserveBooking,
+  releaseBooking
+} from '../../services/reservationService.js';
+import { useReservationStore } from '../helpers/reservationStore.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => String(a) === String(b);
+
+const booking = (eventDetails, extra = {}) => ({
+  _id: id(),
+  status: 'pending',
+  providerType: 'Photographer',
+  provider: extra.provider || id(),
+  eventDetails: { date: new Date('2026-05-09T00:00:00'), ...eventDetails },
+  ...extra
+});
+
+describe('booking windows', () => {
+  test('an event ending before it starts runs past midnight', () => {
+    const { start, end } = getBookingWindow({ date: '2026-05-09', startTime: '20:00', endTime: '02:00' });
+
+    expect(end.getTime() - start.getTime()).toBe(6 * 60 * 60 * 1000);
+    expect(end.getDate()).toBe(start.getDate() + 1);
+  });
+
+  test('crew call times after midnight on an overnight event fall on the next day', () => {
+    const eventDetails = { date: '2026-05-09', startTime: '20:00', endTime: '02:00' };
+    const window = getAssignmentWindow(eventDetails, { startTime: '00:00', endTime: '02:00' });
+
+    expect(window.start.getDate()).toBe(10);
+    expect(window.end.getHours()).toBe(2);
+  });
+
+  test('resources skip declined crew and include equipment', () => {
+    const member = id();
+    const item = id();
+    const resources = getBookingResources(booking({ startTime: '10:00', endTime: '12:00' }, {
+      teamAssignment: {
+        teamMembers: [{ member, status: 'accepted' }, { member: id(), status: 'declined' }],
+        equipment: [{ item: { _id: item } }]
+      }
+    }));
+
+    expect(resources.map(({ resourceType, resource }) => [resourceType, String(resource)])).toEqual([
+      ['Photographer', expect.any(String)],
+      ['TeamMember', String(member)],
+      ['Equipment', String(item)]
+    ]);
+  });
+});
+
+describe('reserveBooking', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('pending bookings hold every slot of the window', async () => {
+    const store = useReservationStore();
+    const pending = booking({ startTime: '10:00', endTime: '11:00' });
+
+    const result = await reserveBooking(pending);
+
+    expect(result).toMatchObject({ reserved: true, expiresAt: expect.any(Date) });
+    expect(store.all()).toHaveLength(4);
+    expect(store.all().every(doc => doc.status === 'hold')).toBe(true);
+  });
+
+  test('an overlapping booking for the same provider is refused with the conflict', async () => {
+    const store = useReservationStore();
+    const provider = id();
+    const first = booking({ startTime: '10:00', endTime: '12:00' }, { provider });
+    const second = booking({ startTime: '11:30', endTime: '13:00' }, { provider });
+
+    await reserveBooking(first, { hold: false });
+    const result = await reserveBooking(second);
+
+    expect(result.reserved).toBe(false);
+    expect(result.conflicts).toEqual([expect.objectContaining({ resource: provider, status: 'confirmed' })]);
+    // Nothing of the refused claim is kept
+    expect(store.all().every(doc => same(doc.booking, first._id))).toBe(true);
+  });
+
+  test('back-to-back bookings do not conflict', async () => {
+    useReservationStore();
+    const provider = id();
+
+    await reserveBooking(booking({ startTime: '10:00', endTime: '12:00' }, { provider }));
+    const result = await reserveBooking(booking({ startTime: '12:00', endTime: '13:00' }, { provider }));
+
+    expect(result.reserved).toBe(true);
+  });
+
+  test('rescheduling drops slots outside the new window', async () => {
+    const store = useReservationStore();
+    const moved = booking({ startTime: '10:00', endTime: '12:00' });
+
+    await reserveBooking(moved);
+    moved.eventDetails.startTime = '11:00';
+    await reserveBooking(moved);
+
+    expect(store.all()).toHaveLength(4);
+    expect(Math.min(...store.all().map(doc => doc.slot.getHours()))).toBe(11);
+  });
+
+  test('recurring bookings reserve each scheduled occurrence', async () => {
+    const store = useReservationStore();
+    const recurring = booking({ startTime: '10:00', endTime: '11:00' }, {
+      occurrences: [
+        { _id: id(), date: new Date('2026-05-09T00:00:00'), status: 'scheduled' },
+        { _id: id(), date: new Date('2026-05-16T00:00:00'), status: 'cancelled' },
+        { _id: id(), date: new Date('2026-05-23T00:00:00'), status: 'scheduled' }
+      ]
+    });
+
+    await reserveBooking(recurring);
+
+    expect(store.all()).toHaveLength(8);
+    expect([...new Set(store.all().map(doc => doc.slot.getDate()))]).toEqual([9, 23]);
+  });
+
+  test('releasing a booking frees its slots for others', async () => {
+    const store = useReservationStore();
+    const provider = id();
+    const first = booking({ startTime: '10:00', endTime: '12:00' }, { provider });
+
+    await reserveBooking(first);
+    await releaseBooking(first._id);
+
+    expect(store.all()).toHaveLength(0);
+    await expect(reserveBooking(booking({ startTime: '10:00', endTime: '12:00' }, { provider })))
+      .resolves.toMatchObject({ reserved: true });
+  });
+});
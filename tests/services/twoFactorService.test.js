@@ -0,0 +1,55 @@
+// tests/services/twoFactorService.test.js
+import User from '../../models/User.js';
+import {
+  beginEnrolment,
+  completeEnrolment,
+  verifySecondFactor,
+  createLoginChallenge,
+  readLoginChallenge
+} from '../../services/twoFactorService.js';
+import { generateCode } from '../../utils/totp.js';
+
+const enrolledUser = () => {
+  const user = new User({ name: 'Test User', email: 'test@example.com', password: 'secret1' });
+  const { secret } = beginEnrolment(user);
+  const { backupCodes } = completeEnrolment(user, generateCode(secret));
+  return { user, secret, backupCodes };
+};
+
+describe('twoFactorService', () => {
+  test('enrolment needs a valid code from the pending secret', () => {
+    const user = new User({ name: 'Test User', email: 'test@example.com', password: 'secret1' });
+    const { secret, otpauthUri } = beginEnrolment(user);
+
+    expect(otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    expect(completeEnrolment(user, 'abcdef').enabled).toBe(false);
+
+    const result = completeEnrolment(user, generateCode(secret));
+    expect(result.enabled).toBe(true);
+    expect(result.backupCodes).toHaveLength(10);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+  });
+
+  test('a code cannot be replayed', () => {
+    const { user, secret } = enrolledUser();
+
+    // The enrolment code already used the current step
+    expect(verifySecondFactor(user, { code: generateCode(secret) }).valid).toBe(false);
+  });
+
+  test('backup codes work once each', () => {
+    const { user, backupCodes } = enrolledUser();
+
+    const first = verifySecondFactor(user, { backupCode: backupCodes[0].toUpperCase() });
+    expect(first).toEqual({ valid: true, method: 'backup_code', backupCodesRemaining: 9 });
+    expect(verifySecondFactor(user, { backupCode: backupCodes[0] }).valid).toBe(false);
+  });
+
+  test('login challenges carry the user id and nothing else is accepted', () => {
+    const { user } = enrolledUser();
+    const { challengeToken } = createLoginChallenge(user);
+
+    expect(String(readLoginChallenge(challengeToken))).toBe(String(user._id));
+    expect(readLoginChallenge('not-a-token')).toBeNull();
+  });
+});
@@ -0,0 +1,9 @@
+// tests/setup.js
+import mongoose from 'mongoose';
+
+// Tests run without a database: queries that aren't stubbed fail straight away
+// instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.JWT_SECRET = 'test-secret';
@@ -0,0 +1,87 @@
+// tests/utils/recurrence.test.js
+import moment from 'moment';
+import { expandOccurrences, getScheduledOccurrences } from '../../utils/recurrence.js';
+
+const days = ({ occurrences }) => occurrences.map(({ date }) => moment(date).format('YYYY-MM-DD'));
+
+const event = (extra) => ({ date: '2026-03-02', startTime: '10:00', endTime: '12:00', ...extra });
+
+describe('expandOccurrences', () => {
+  test('a single-day event has one occurrence', () => {
+    const result = expandOccurrences(event());
+
+    expect(days(result)).toEqual(['2026-03-02']);
+    expect(result.occurrences[0]).toMatchObject({ startTime: '10:00', endTime: '12:00' });
+  });
+
+  test('multi-day events cover every day through endDate', () => {
+    expect(days(expandOccurrences(event({ endDate: '2026-03-04' }))))
+      .toEqual(['2026-03-02', '2026-03-03', '2026-03-04']);
+    expect(expandOccurrences(event({ endDate: '2026-03-01' })).error).toMatch(/on or after/);
+  });
+
+  test('daily and monthly rules step by interval until count', () => {
+    expect(days(expandOccurrences(event({ recurrence: { frequency: 'daily', interval: 2, count: 3 } }))))
+      .toEqual(['2026-03-02', '2026-03-04', '2026-03-06']);
+    expect(days(expandOccurrences(event({ recurrence: { frequency: 'monthly', count: 2 } }))))
+      .toEqual(['2026-03-02', '2026-04-02']);
+  });
+
+  test('weekly rules with daysOfWeek take each listed day and stop at until', () => {
+    // 2026-03-02 is a Monday
+    const result = expandOccurrences(event({
+      recurrence: { frequency: 'weekly', daysOfWeek: [5, 1], until: '2026-03-13' }
+    }));
+
+    expect(days(result)).toEqual(['2026-03-02', '2026-03-06', '2026-03-09', '2026-03-13']);
+  });
+
+  test('listed days before the first date are skipped', () => {
+    // Starting on a Wednesday, Monday of the first week is already past
+    const result = expandOccurrences(event({
+      date: '2026-03-04',
+      recurrence: { frequency: 'weekly', daysOfWeek: [1, 3], count: 3 }
+    }));
+
+    expect(days(result)).toEqual(['2026-03-04', '2026-03-09', '2026-03-11']);
+  });
+
+  test('invalid rules return an error instead of occurrences', () => {
+    const rule = (recurrence) => expandOccurrences(event({ recurrence })).error;
+
+    expect(rule({ frequency: 'yearly', count: 2 })).toMatch(/frequency/);
+    expect(rule({ frequency: 'daily', interval: 0, count: 2 })).toMatch(/interval/);
+    expect(rule({ frequency: 'daily' })).toMatch(/count or an until/);
+    expect(rule({ frequency: 'daily', until: '2026-03-01' })).toMatch(/on or after/);
+    expect(rule({ frequency: 'weekly', daysOfWeek: 3, count: 2 })).toMatch(/daysOfWeek/);
+    expect(rule({ frequency: 'weekly', daysOfWeek: [7], count: 2 })).toMatch(/daysOfWeek/);
+    expect(rule({ frequency: 'daily', count: 500 })).toMatch(/at most/);
+    expect(expandOccurrences({ date: 'not a date' }).error).toBe('Invalid event date');
+  });
+});
+
+describe('getScheduledOccurrences', () => {
+  test('falls back to the event itself without occurrences', () => {
+    const booking = { eventDetails: event({ date: new Date('2026-03-02') }) };
+
+    expect(getScheduledOccurrences(booking)).toEqual([
+      { date: booking.eventDetails.date, startTime: '10:00', endTime: '12:00' }
+    ]);
+  });
+
+  test('skips cancelled occurrences and inherits the event hours', () => {
+    const booking = {
+      eventDetails: event(),
+      occurrences: [
+        { _id: 'a', date: new Date('2026-03-02'), status: 'scheduled' },
+        { _id: 'b', date: new Date('2026-03-03'), status: 'cancelled' },
+        { _id: 'c', date: new Date('2026-03-04'), status: 'scheduled', startTime: '14:00' }
+      ]
+    };
+
+    expect(getScheduledOccurrences(booking)).toEqual([
+      { occurrence: 'a', date: booking.occurrences[0].date, startTime: '10:00', endTime: '12:00' },
+      { occurrence: 'c', date: booking.occurrences[2].date, startTime: '14:00', endTime: '12:00' }
+    ]);
+  });
+});
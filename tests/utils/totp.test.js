@@ -0,0 +1,34 @@
+// tests/utils/totp.test.js
+import { base32Encode, base32Decode, generateCode, verifyCode, getTimeStep } from '../../utils/totp.js';
+
+// RFC 6238 test secret: ASCII '12345678901234567890'
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  test('base32 round-trips', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  test('matches the RFC 6238 SHA-1 vectors (last six digits)', () => {
+    expect(generateCode(SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  test('accepts codes within one step of clock drift and returns the matching step', () => {
+    const time = 1111111109 * 1000;
+    const step = getTimeStep(time);
+
+    expect(verifyCode(SECRET, generateCode(SECRET, step), { time })).toBe(step);
+    expect(verifyCode(SECRET, generateCode(SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(SECRET, generateCode(SECRET, step - 2), { time })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    expect(verifyCode(SECRET, '12345')).toBeNull();
+    expect(verifyCode(SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(SECRET, undefined)).toBeNull();
+  });
+});
@@ -1,10 +1,9 @@
 // utils/analytics.js
 import Booking from '../models/Booking.js';
 import User from '../models/User.js';
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
 import Review from '../models/Review.js';
 import mongoose from 'mongoose';
+import { listProviderTypes } from '../services/providerService.js';
 
 // Get date ranges for analytics
 export const getDateRanges = (period) => {
@@ -374,8 +373,9 @@ export const getPlatformAnalytics = async (period = '30d') => {
       // Total users
       User.countDocuments({ isActive: true }),
       // Active providers
-      Photographer.countDocuments({ isActive: true, isApproved: true }) +
-      Videographer.countDocuments({ isActive: true, isApproved: true }),
+      Promise.all(listProviderTypes().map(type =>
+        type.Model.countDocuments({ isActive: true, isApproved: true })
+      )).then(counts => counts.reduce((sum, count) => sum + count, 0)),
       // Total bookings
       Booking.countDocuments(),
       // Total revenue
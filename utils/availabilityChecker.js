@@ -7,13 +7,14 @@ export const calculateAvailability = async (provider, requestedDate, duration =
     const date = moment(requestedDate).startOf('day');
     const endOfDay = moment(requestedDate).endOf('day');
 
-    // Get existing bookings for that day
+    // Get existing bookings for that day, including later days of multi-day and recurring bookings
+    const sameDay = { $gte: date.toDate(), $lte: endOfDay.toDate() };
     const existingBookings = await Booking.find({
       provider: provider._id,
-      'eventDetails.date': {
-        $gte: date.toDate(),
-        $lte: endOfDay.toDate()
-      },
+      $or: [
+        { 'eventDetails.date': sameDay, 'occurrences.0': { $exists: false } },
+        { occurrences: { $elemMatch: { date: sameDay, status: { $ne: 'cancelled' } } } }
+      ],
       status: { $in: ['confirmed', 'in_progress'] }
     });
 
@@ -83,6 +84,24 @@ export const calculateAvailability = async (provider, requestedDate, duration =
   }
 };
 
+// Check every day of a multi-day or recurring booking. Returns the days that
+// can't be booked, with the reason for each.
+export const calculateScheduleAvailability = async (provider, occurrences, duration) => {
+  const unavailable = [];
+
+  for (const occurrence of occurrences) {
+    const availability = await calculateAvailability(provider, occurrence.date, duration);
+    if (!availability.available) {
+      unavailable.push({ date: occurrence.date, reason: availability.reason });
+    }
+  }
+
+  return {
+    available: unavailable.length === 0,
+    unavailable
+  };
+};
+
 export const findAvailableSlots = async (provider, date, duration) => {
   try {
     const availability = await calculateAvailability(provider, date, duration);
@@ -0,0 +1,35 @@
+// utils/bookingAccess.js
+import { getProviderModel } from '../services/providerService.js';
+
+// Resolve the user id behind a booking's provider profile
+export const getProviderUserId = async (booking) => {
+  if (booking.provider && booking.provider.user) {
+    return booking.provider.user._id || booking.provider.user;
+  }
+
+  const ProviderModel = getProviderModel(booking.providerType);
+  const provider = await ProviderModel.findById(booking.provider).select('user');
+
+  return provider ? provider.user : null;
+};
+
+// Work out how a user relates to a booking: 'client', 'provider', 'admin' or null
+export const getBookingRole = async (booking, user) => {
+  if (!booking || !user) return null;
+
+  const clientId = booking.client._id || booking.client;
+  if (clientId.toString() === user._id.toString()) {
+    return 'client';
+  }
+
+  const providerUserId = await getProviderUserId(booking);
+  if (providerUserId && providerUserId.toString() === user._id.toString()) {
+    return 'provider';
+  }
+
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+
+  return null;
+};
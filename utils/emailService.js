@@ -46,9 +46,12 @@ export const sendEmail = async ({ to, subject, text, html, attachments = [] }) =
   }
 };
 
-// Welcome email template
-export const sendWelcomeEmail = async (user) => {
+const getVerifyUrl = (token) => `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+
+// Welcome email template. With a verification token it also carries the verify link.
+export const sendWelcomeEmail = async (user, verificationToken) => {
   const subject = 'Welcome to Photography Booking Platform!';
+  const verifyUrl = verificationToken && getVerifyUrl(verificationToken);
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f9f9f9; padding: 20px;">
       <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
@@ -57,6 +60,15 @@ export const sendWelcomeEmail = async (user) => {
           <p style="color: #7f8c8d; font-size: 16px;">Thank you for joining our photography booking platform</p>
         </div>
         
+        ${verifyUrl ? `
+          <div style="text-align: center; margin: 30px 0;">
+            <p style="color: #2c3e50; font-size: 16px; line-height: 1.6;">Please confirm your email address before making bookings or writing reviews:</p>
+            <a href="${verifyUrl}" style="display: inline-block; background-color: #27ae60; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+              Verify Email
+            </a>
+          </div>
+        ` : ''}
+        
         ${user.role !== 'user' ? `
           <div style="background-color: #ecf0f1; padding: 20px; border-radius: 5px; margin: 20px 0;">
             <h2 style="color: #34495e; margin-top: 0;">Next Steps for ${user.role.charAt(0).toUpperCase() + user.role.slice(1)}s:</h2>
@@ -232,6 +244,47 @@ export const sendBookingReminderEmail = async (booking, recipient) => {
   });
 };
 
+// Email verification link, for resends after the welcome email
+export const sendVerificationEmail = async (user, verificationToken) => {
+  const subject = 'Verify your email address';
+  const verifyUrl = getVerifyUrl(verificationToken);
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f9f9f9; padding: 20px;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #27ae60; margin: 0;">✉️ Verify Your Email</h1>
+        </div>
+        
+        <p style="color: #2c3e50; font-size: 16px; line-height: 1.6;">
+          Hello ${user.name},
+        </p>
+        
+        <p style="color: #2c3e50; font-size: 16px; line-height: 1.6;">
+          Please confirm this is your email address. You'll be able to make bookings and write reviews once it's verified.
+        </p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${verifyUrl}" style="display: inline-block; background-color: #27ae60; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+            Verify Email
+          </a>
+        </div>
+        
+        <p style="color: #7f8c8d; font-size: 14px;">
+          If the button doesn't work, copy and paste this link into your browser:<br>
+          <a href="${verifyUrl}" style="color: #3498db;">${verifyUrl}</a>
+        </p>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: user.email,
+    subject,
+    html
+  });
+};
+
 // Password reset email
 export const sendPasswordResetEmail = async (user, resetToken) => {
   const subject = 'Password Reset Request';
@@ -279,6 +332,44 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
+// Account lockout after repeated failed logins
+export const sendAccountLockedEmail = async (user, lockUntil) => {
+  const subject = 'Account Temporarily Locked';
+  const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+  
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; background-color: #f9f9f9; padding: 20px;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #e74c3c; margin: 0;">🔒 Account Locked</h1>
+        </div>
+        
+        <p style="color: #2c3e50; font-size: 16px; line-height: 1.6;">
+          Hello ${user.name},
+        </p>
+        
+        <p style="color: #2c3e50; font-size: 16px; line-height: 1.6;">
+          We locked your account after several failed sign-in attempts. You can try again after
+          <strong>${lockUntil.toUTCString()}</strong>.
+        </p>
+        
+        <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 0; color: #856404;">
+            <strong>Security Notice:</strong> If this wasn't you, someone may be trying to guess your password.
+            <a href="${resetUrl}" style="color: #3498db;">Reset your password</a> once the lock expires.
+          </p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: user.email,
+    subject,
+    html
+  });
+};
+
 // Profile approval notification
 export const sendProfileApprovalEmail = async (user, approved, reason = '') => {
   const subject = `Profile ${approved ? 'Approved' : 'Rejected'} - Action Required`;
@@ -378,9 +469,11 @@ export const sendBulkNotificationEmail = async (user, subject, message) => {
 export default {
   sendEmail,
   sendWelcomeEmail,
+  sendVerificationEmail,
   sendBookingConfirmationEmail,
   sendBookingReminderEmail,
   sendPasswordResetEmail,
+  sendAccountLockedEmail,
   sendProfileApprovalEmail,
   sendBulkNotificationEmail
 };
@@ -0,0 +1,65 @@
+// utils/milestoneTemplates.js
+
+// Default milestones per event type. Due dates are offsets in days from the event date.
+export const MILESTONE_TEMPLATES = {
+  wedding: [
+    { key: 'consultation', name: 'Planning consultation', description: 'Walk through the day, key people and must-have shots', offsetDays: -90 },
+    { key: 'engagement_shoot', name: 'Engagement shoot', description: 'Pre-wedding portrait session', offsetDays: -60 },
+    { key: 'timeline', name: 'Final timeline and shot list', description: 'Confirm schedule, locations and family groupings', offsetDays: -14 },
+    { key: 'event_day', name: 'Wedding day', description: 'Full coverage of the event', offsetDays: 0 },
+    { key: 'sneak_peeks', name: 'Sneak peeks', description: 'A handful of edited highlights', offsetDays: 3 },
+    { key: 'proofs', name: 'Proof gallery', description: 'Proofs published for selection', offsetDays: 21 },
+    { key: 'final_gallery', name: 'Final gallery delivered', description: 'Full edited gallery available for download', offsetDays: 42 },
+    { key: 'album', name: 'Final album', description: 'Album designed, approved and shipped', offsetDays: 90 }
+  ],
+  portrait: [
+    { key: 'style_consultation', name: 'Style consultation', description: 'Agree wardrobe, location and look', offsetDays: -7 },
+    { key: 'event_day', name: 'Portrait session', offsetDays: 0 },
+    { key: 'proofs', name: 'Proof gallery', description: 'Proofs published for selection', offsetDays: 5 },
+    { key: 'final_gallery', name: 'Final retouched images', offsetDays: 14 }
+  ],
+  event: [
+    { key: 'brief', name: 'Event brief', description: 'Run of show and key moments to capture', offsetDays: -7 },
+    { key: 'event_day', name: 'Event coverage', offsetDays: 0 },
+    { key: 'highlights', name: 'Highlights delivered', offsetDays: 2 },
+    { key: 'final_gallery', name: 'Full gallery delivered', offsetDays: 14 }
+  ],
+  corporate: [
+    { key: 'brief', name: 'Creative brief approved', offsetDays: -10 },
+    { key: 'event_day', name: 'Shoot day', offsetDays: 0 },
+    { key: 'review', name: 'First cut for review', offsetDays: 7 },
+    { key: 'final_gallery', name: 'Final assets delivered', offsetDays: 14 }
+  ],
+  commercial: [
+    { key: 'brief', name: 'Creative brief approved', offsetDays: -14 },
+    { key: 'pre_production', name: 'Pre-production complete', description: 'Locations, talent and props confirmed', offsetDays: -3 },
+    { key: 'event_day', name: 'Shoot day', offsetDays: 0 },
+    { key: 'review', name: 'First cut for review', offsetDays: 10 },
+    { key: 'final_gallery', name: 'Final assets delivered', offsetDays: 21 }
+  ],
+  other: [
+    { key: 'event_day', name: 'Event day', offsetDays: 0 },
+    { key: 'final_gallery', name: 'Content delivered', offsetDays: 14 }
+  ]
+};
+
+// Own keys only, so 'toString' or 'constructor' don't count as event types
+export const hasMilestoneTemplate = (eventType) => Object.hasOwn(MILESTONE_TEMPLATES, eventType);
+
+// Materialise a template into Booking.milestones entries for a given event date
+export const buildMilestonesFromTemplate = (eventType, eventDate) => {
+  const template = hasMilestoneTemplate(eventType) ? MILESTONE_TEMPLATES[eventType] : MILESTONE_TEMPLATES.other;
+
+  return template.map(({ key, name, description, offsetDays }) => {
+    const dueDate = new Date(eventDate);
+    dueDate.setDate(dueDate.getDate() + offsetDays);
+
+    return { name, description, dueDate, template: key };
+  });
+};
+
+export default {
+  MILESTONE_TEMPLATES,
+  hasMilestoneTemplate,
+  buildMilestonesFromTemplate
+};
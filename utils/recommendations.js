@@ -1,10 +1,14 @@
 // utils/recommendations.js
-import Photographer from '../models/Photographer.js';
-import Videographer from '../models/Videographer.js';
 import Booking from '../models/Booking.js';
 import Review from '../models/Review.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
+import { getProviderModel, listProviderTypes } from '../services/providerService.js';
+
+// Profile models to search: one provider type, or all of them when none is given
+const getProviderModels = (providerType) => listProviderTypes()
+  .filter(type => !providerType || type.modelName === providerType)
+  .map(type => type.Model);
 
 // Calculate similarity score between two arrays (specializations, preferences)
 const calculateSimilarity = (arr1, arr2) => {
@@ -37,7 +41,7 @@ export const getPersonalizedRecommendations = async (userId, options = {}) => {
   try {
     const {
       limit = 10,
-      providerType = null, // 'Photographer' or 'Videographer' or null for both
+      providerType = null, // a provider model name such as 'Photographer', or null for all
       eventType = null,
       location = null,
       budget = null
@@ -91,18 +95,9 @@ export const getPersonalizedRecommendations = async (userId, options = {}) => {
     // Build query for providers
     const providerQueries = [];
     
-    if (!providerType || providerType === 'Photographer') {
+    for (const Model of getProviderModels(providerType)) {
       providerQueries.push(
-        Photographer.find({
-          isActive: true,
-          isApproved: true
-        }).populate('user', 'name avatar')
-      );
-    }
-    
-    if (!providerType || providerType === 'Videographer') {
-      providerQueries.push(
-        Videographer.find({
+        Model.find({
           isActive: true,
           isApproved: true
         }).populate('user', 'name avatar')
@@ -208,7 +203,9 @@ export const getSimilarProviders = async (providerId, providerType, options = {}
   try {
     const { limit = 5 } = options;
 
-    const ProviderModel = providerType === 'Photographer' ? Photographer : Videographer;
+    const ProviderModel = getProviderModel(providerType);
+    if (!ProviderModel) throw new Error('Invalid provider type');
+
     const baseProvider = await ProviderModel.findById(providerId);
     
     if (!baseProvider) throw new Error('Provider not found');
@@ -370,7 +367,7 @@ export const getTrendingProviders = async (options = {}) => {
     for (const [key, activity] of activityMap) {
       if (providerType && activity.providerType !== providerType) continue;
 
-      const ProviderModel = activity.providerType === 'Photographer' ? Photographer : Videographer;
+      const ProviderModel = getProviderModel(activity.providerType);
       const provider = await ProviderModel.findById(activity.providerId)
         .populate('user', 'name avatar');
 
@@ -478,19 +475,9 @@ export const getCollaborativeRecommendations = async (userId, options = {}) => {
     // Get provider details
     const providerQueries = [];
     
-    if (!providerType || providerType === 'Photographer') {
+    for (const Model of getProviderModels(providerType)) {
       providerQueries.push(
-        Photographer.find({
-          _id: { $in: Array.from(recommendedProviderIds) },
-          isActive: true,
-          isApproved: true
-        }).populate('user', 'name avatar')
-      );
-    }
-    
-    if (!providerType || providerType === 'Videographer') {
-      providerQueries.push(
-        Videographer.find({
+        Model.find({
           _id: { $in: Array.from(recommendedProviderIds) },
           isActive: true,
           isApproved: true
@@ -548,15 +535,9 @@ export const getPopularProviders = async (options = {}) => {
       baseQuery.specializations = specialization;
     }
 
-    if (!providerType || providerType === 'Photographer') {
-      providerQueries.push(
-        Photographer.find(baseQuery).populate('user', 'name avatar')
-      );
-    }
-    
-    if (!providerType || providerType === 'Videographer') {
+    for (const Model of getProviderModels(providerType)) {
       providerQueries.push(
-        Videographer.find(baseQuery).populate('user', 'name avatar')
+        Model.find(baseQuery).populate('user', 'name avatar')
       );
     }
 
@@ -0,0 +1,140 @@
+// utils/recurrence.js
+import moment from 'moment';
+
+const MAX_OCCURRENCES = parseInt(process.env.BOOKING_MAX_OCCURRENCES) || 52;
+
+export const RECURRENCE_FREQUENCIES = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+};
+
+// Every day a booking runs. Multi-day bookings repeat the same hours on each day
+// from `date` to `endDate`; recurring bookings follow `recurrence`:
+//   { frequency: 'daily' | 'weekly' | 'monthly', interval: 1, daysOfWeek: [0-6], count, until }
+// Weekly rules with daysOfWeek (0 = Sunday) repeat on each listed day of the
+// week; otherwise every interval counts from `date`. A rule ends after `count`
+// occurrences or on `until`, whichever comes first.
+// Returns { occurrences: [{ date, startTime, endTime }] } or { error }.
+export const expandOccurrences = (eventDetails) => {
+  const { date, endDate, startTime, endTime, recurrence } = eventDetails;
+  const first = moment(date).startOf('day');
+
+  if (!first.isValid()) {
+    return { error: 'Invalid event date' };
+  }
+
+  const at = (day) => ({ date: day.toDate(), startTime, endTime });
+
+  if (recurrence?.frequency) {
+    return expandRule(first, recurrence, at);
+  }
+
+  if (endDate) {
+    const last = moment(endDate).startOf('day');
+    if (!last.isValid() || last.isBefore(first)) {
+      return { error: 'End date must be on or after the event date' };
+    }
+
+    const days = last.diff(first, 'days') + 1;
+    if (days > MAX_OCCURRENCES) {
+      return { error: `A booking can cover at most ${MAX_OCCURRENCES} days` };
+    }
+
+    return {
+      occurrences: Array.from({ length: days }, (_, index) => at(first.clone().add(index, 'days')))
+    };
+  }
+
+  return { occurrences: [at(first)] };
+};
+
+const expandRule = (first, { frequency, interval = 1, daysOfWeek = [], count, until }, at) => {
+  const unit = RECURRENCE_FREQUENCIES[frequency];
+  if (!unit) {
+    return { error: `Recurrence frequency must be one of ${Object.keys(RECURRENCE_FREQUENCIES).join(', ')}` };
+  }
+
+  const step = parseInt(interval);
+  if (!(step >= 1)) {
+    return { error: 'Recurrence interval must be a positive whole number' };
+  }
+
+  const last = until ? moment(until).endOf('day') : null;
+  if (last && (!last.isValid() || last.isBefore(first))) {
+    return { error: 'Recurrence must end on or after the event date' };
+  }
+
+  if (!count && !last) {
+    return { error: 'Recurrence needs a count or an until date' };
+  }
+
+  const limit = count ? parseInt(count) : MAX_OCCURRENCES + 1;
+  if (!(limit >= 1)) {
+    return { error: 'Recurrence count must be a positive whole number' };
+  }
+
+  const isWeekday = (day) => Number.isInteger(day) && day >= 0 && day <= 6;
+  if (!Array.isArray(daysOfWeek) || !daysOfWeek.map(Number).every(isWeekday)) {
+    return { error: 'Recurrence daysOfWeek must be a list of weekdays from 0 (Sunday) to 6' };
+  }
+
+  const weekdays = frequency === 'weekly'
+    ? [...new Set(daysOfWeek.map(Number))].sort()
+    : [];
+
+  const occurrences = [];
+  let done = false;
+
+  // Weekly rules with listed days step a week at a time and take each listed
+  // day in it, skipping any that fall before the first date
+  for (let index = 0; !done && occurrences.length <= MAX_OCCURRENCES; index += 1) {
+    const period = first.clone().add(index * step, unit);
+    const days = weekdays.length > 0
+      ? weekdays.map(weekday => period.clone().day(weekday)).filter(day => day.isSameOrAfter(first))
+      : [period];
+
+    for (const day of days) {
+      if (occurrences.length >= limit || (last && day.isAfter(last))) {
+        done = true;
+        break;
+      }
+      occurrences.push(at(day));
+    }
+  }
+
+  if (occurrences.length > MAX_OCCURRENCES) {
+    return { error: `A recurring booking can have at most ${MAX_OCCURRENCES} occurrences` };
+  }
+
+  if (occurrences.length === 0) {
+    return { error: 'Recurrence has no occurrences' };
+  }
+
+  return { occurrences };
+};
+
+// The days a booking still runs: its occurrences that aren't cancelled, or the
+// event itself for single-day bookings
+export const getScheduledOccurrences = (booking) => {
+  const { date, startTime, endTime } = booking.eventDetails;
+
+  if (!booking.occurrences?.length) {
+    return [{ date, startTime, endTime }];
+  }
+
+  return booking.occurrences
+    .filter(occurrence => occurrence.status !== 'cancelled')
+    .map(occurrence => ({
+      occurrence: occurrence._id,
+      date: occurrence.date,
+      startTime: occurrence.startTime || startTime,
+      endTime: occurrence.endTime || endTime
+    }));
+};
+
+export default {
+  RECURRENCE_FREQUENCIES,
+  expandOccurrences,
+  getScheduledOccurrences
+};